@@ -1,13 +1,96 @@
 import { ARController } from './ar-controller.js';
-import { FractalAlgorithm } from './fractal.js';
-import { TaskManager } from './task-manager.js';
+import { FractalAlgorithm, SIZE_MODES } from './fractal.js';
+import { TaskManager, TaskValidationError, createTaskId } from './task-manager.js';
+import { TaskExporter, TaskImporter } from './task-formats.js';
+import { LAYOUTS } from './layouts.js';
+import { TemplateManager } from './template-manager.js';
+import { ReminderScheduler, REMINDER_OPTIONS, describeReminder } from './reminders.js';
+import { FocusSession } from './focus-session.js';
+import { DEFAULT_WORKFLOW } from './workflow.js';
+import { SavedViewManager } from './saved-views.js';
+import { PRIORITIES, QUERY_FIELDS, parseTaskQuery, isEmptyQuery } from './task-query.js';
+import { getTimeRollups, getLoggedTime, getOverrun, formatDuration } from './time-tracking.js';
+import { SearchIndex } from './search-index.js';
+import { VRSearchPanel } from './vr-search-panel.js';
+import { SyncEngine, HttpSyncAdapter } from './sync.js';
+import { CollaborationSession, BroadcastChannelTransport, WebSocketTransport } from './collaboration.js';
+import { StorageUnavailableError } from './storage.js';
+import { RECURRENCE_FREQUENCIES, WEEKDAYS, WEEKDAY_LABELS, describeRecurrence, getStreak, toLocalDay } from './recurrence.js';
+import { getChecklistProgress } from './checklist.js';
+
+const FILTER_STORAGE_KEY = 'focusar-task-filter';
+const FILTER_INPUT_DELAY_MS = 250;
+const SEARCH_RESULT_LIMIT = 8;
+const SYNC_URL_STORAGE_KEY = 'focusar-sync-url';
+const SYNC_STATUS_STYLES = {
+    off: { icon: 'fa-cloud', color: 'text-neutral-400' },
+    idle: { icon: 'fa-cloud', color: 'text-green-600' },
+    syncing: { icon: 'fa-sync-alt fa-spin', color: 'text-primary' },
+    offline: { icon: 'fa-cloud', color: 'text-amber-500' },
+    error: { icon: 'fa-exclamation-triangle', color: 'text-red-600' }
+};
+const COLLAB_STORAGE_KEY = 'focusar-collab';
+const DEFAULT_RELAY_URL = 'ws://localhost:8788';
+const PRIORITY_STYLES = {
+    low: 'bg-gray-100 text-gray-700',
+    medium: 'bg-sky-100 text-sky-800',
+    high: 'bg-amber-100 text-amber-800',
+    urgent: 'bg-red-100 text-red-800'
+};
+
+/**
+ * Format a date for display. Date-only values ('YYYY-MM-DD', as saved by
+ * date inputs) are calendar days, so they're shown as that day wherever the
+ * user is rather than parsed as UTC midnight.
+ * @param {string} date - 'YYYY-MM-DD' or an ISO date-time
+ * @returns {string} Localized date
+ */
+function formatDate(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    return match
+        ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).toLocaleDateString()
+        : new Date(date).toLocaleDateString();
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML markup or a quoted attribute. Task text can
+ * come from imports and other devices, so it never goes in as markup.
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
 
 class FocusARApp {
     constructor() {
-        this.taskManager = new TaskManager();
+        this.taskManager = new TaskManager({
+            onStorageBlocked: () => this.showNotification('Close FocusAR in your other tabs so it can finish updating', 'info')
+        });
         this.fractalAlgorithm = new FractalAlgorithm();
         this.arController = new ARController();
+        this.taskExporter = new TaskExporter(this.taskManager.workflow);
+        this.taskImporter = new TaskImporter(this.taskManager.workflow);
+        this.fractalAlgorithm.workflow = this.taskManager.workflow;
+        this.arController.setWorkflow(this.taskManager.workflow);
+        this.templateManager = new TemplateManager(this.taskManager);
+        this.reminderScheduler = new ReminderScheduler(this.taskManager);
+        this.focusSession = new FocusSession(this.taskManager);
+        this.savedViews = new SavedViewManager(this.taskManager);
+        this.taskQuery = parseTaskQuery('');
+        this.filterText = '';
+        this.filterTimer = null;
+        this.searchIndex = new SearchIndex();
+        this.vrSearchPanel = new VRSearchPanel(this.arController, this.searchIndex);
+        this.searchResults = [];
+        this.activeSearchResult = -1;
+        this.syncEngine = null;
+        this.collaboration = null;
         this.isVRMode = false;
+        this.taskElements = new Map();
+        this.selectedTaskId = null;
         
         // Initialize UI elements
         this.initializeUIElements();
@@ -16,55 +99,287 @@ class FocusARApp {
     initializeUIElements() {
         // Main UI elements
         this.addTaskBtn = document.getElementById('addTaskBtn');
+        this.importTasksBtn = document.getElementById('importTasksBtn');
+        this.importFileInput = document.getElementById('importFileInput');
+        this.exportTasksBtn = document.getElementById('exportTasksBtn');
+        this.templatesBtn = document.getElementById('templatesBtn');
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.syncBtn = document.getElementById('syncBtn');
+        this.collabBtn = document.getElementById('collabBtn');
+        this.collabPeers = document.getElementById('collabPeers');
         this.taskList = document.getElementById('taskList');
         this.taskDetails = document.getElementById('taskDetails');
+        this.taskFilterInput = document.getElementById('taskFilterInput');
+        this.taskFilterStatus = document.getElementById('taskFilterStatus');
+        this.savedViewSelect = document.getElementById('savedViewSelect');
+        this.saveViewBtn = document.getElementById('saveViewBtn');
+        this.deleteViewBtn = document.getElementById('deleteViewBtn');
+        this.searchInput = document.getElementById('searchInput');
+        this.searchResultsList = document.getElementById('searchResults');
         this.vrToggleBtn = document.getElementById('vrToggleBtn');
+        this.layoutSelect = document.getElementById('layoutSelect');
+        this.sizeBySelect = document.getElementById('sizeBySelect');
         this.vrControls = document.querySelector('.vr-controls');
 
         // VR controls
         this.resetViewBtn = document.getElementById('resetViewBtn');
         this.zoomInBtn = document.getElementById('zoomInBtn');
         this.zoomOutBtn = document.getElementById('zoomOutBtn');
+        this.performanceModeBtn = document.getElementById('performanceModeBtn');
+
+        // Focus session
+        this.focusBar = document.getElementById('focusBar');
+        this.focusPauseBtn = document.getElementById('focusPauseBtn');
+        this.focusSkipBtn = document.getElementById('focusSkipBtn');
+        this.focusStopBtn = document.getElementById('focusStopBtn');
     }
 
     async init() {
         try {
             // Initialize components
             await this.taskManager.initialize();
+            await this.templateManager.initialize();
+            this.templateManager.registerStrategies(this.fractalAlgorithm);
+            await this.savedViews.initialize();
             await this.arController.initialize('ar-view');
             
             // Set up event listeners
             this.setupEventListeners();
+
+            // Restore the last filter before the first render
+            this.syncSavedViewSelect();
+            this.setFilter(this.loadFilter(), { render: false });
             
             // Load initial tasks
             await this.loadTasks();
 
+            // From here on, render only what each change touches
+            this.taskManager.addChangeListener((tasks, change) => this.handleTasksChanged(tasks, change));
+            this.reminderScheduler.initialize();
+            // Focus time from a session the last page closed on
+            await this.focusSession.logUnsavedTime();
+            await this.startSync(this.loadSyncUrl());
+
+            // Reminder notifications link to /?task=<id>
+            this.focusTaskFromURL();
+
             // Hide loading indicator
             document.querySelector('.loading-overlay')?.classList.add('hidden');
         } catch (error) {
             console.error('Initialization error:', error);
-            this.showError('Failed to initialize application');
+            this.showError(error instanceof StorageUnavailableError ? error.message : 'Failed to initialize application');
         }
     }
 
     setupEventListeners() {
         // Task management
         this.addTaskBtn?.addEventListener('click', () => this.showAddTaskModal());
+        this.importTasksBtn?.addEventListener('click', () => this.importFileInput?.click());
+        this.importFileInput?.addEventListener('change', async () => {
+            const file = this.importFileInput.files[0];
+            this.importFileInput.value = '';
+            if (!file) return;
+
+            try {
+                const text = await file.text();
+                if (this.templateManager.isTemplateFile(text)) {
+                    await this.importTemplates(text);
+                } else {
+                    this.showImportModal(this.taskImporter.toImportJSON(file.name, text));
+                }
+            } catch (error) {
+                console.error('Error reading import file:', error);
+                this.showNotification(error.message, 'error');
+            }
+        });
+        this.exportTasksBtn?.addEventListener('click', () => this.showExportModal());
+        this.templatesBtn?.addEventListener('click', () => this.showTemplatesModal());
+        this.settingsBtn?.addEventListener('click', () => this.showWorkflowModal());
+        this.syncBtn?.addEventListener('click', () => this.showSyncModal());
+        this.collabBtn?.addEventListener('click', () => this.showCollaborationModal());
+        // Let the room know right away rather than after the peer timeout,
+        // and log the running stretch of focus time
+        window.addEventListener('pagehide', () => {
+            this.stopCollaboration();
+            this.focusSession.stop();
+        });
+
+        // Task filter and saved views
+        if (this.taskFilterInput) {
+            this.taskFilterInput.title = Object.entries(QUERY_FIELDS)
+                .map(([field, help]) => `${field}: ${help}`)
+                .join('\n');
+            this.taskFilterInput.addEventListener('input', () => {
+                clearTimeout(this.filterTimer);
+                this.filterTimer = setTimeout(() => this.setFilter(this.taskFilterInput.value), FILTER_INPUT_DELAY_MS);
+            });
+        }
+        this.savedViewSelect?.addEventListener('change', () => {
+            const view = this.savedViews.getView(this.savedViewSelect.value);
+            this.setFilter(view ? view.query : '');
+        });
+        this.saveViewBtn?.addEventListener('click', () => this.showSaveViewModal());
+        this.deleteViewBtn?.addEventListener('click', () => this.deleteSavedView());
+
+        // Search, on the desktop and on a floating panel in VR
+        this.searchInput?.addEventListener('input', () => this.updateSearchResults());
+        this.searchInput?.addEventListener('focus', () => this.updateSearchResults());
+        this.searchInput?.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+        this.searchInput?.addEventListener('blur', () => {
+            // Let a click on a result land before the list goes away
+            setTimeout(() => this.closeSearchResults(), 150);
+        });
+        this.vrSearchPanel.attach();
+        this.vrSearchPanel.onSelect = (task) => this.selectTask(task, { showPath: true });
         
+        // Scene layout, remembered per view
+        if (this.layoutSelect) {
+            this.layoutSelect.innerHTML = Object.entries(LAYOUTS)
+                .map(([name, layout]) => `<option value="${name}">${layout.label}</option>`)
+                .join('');
+            this.layoutSelect.value = this.arController.getLayout();
+            this.layoutSelect.addEventListener('change', () => this.arController.setLayout(this.layoutSelect.value));
+        }
+        if (this.sizeBySelect) {
+            this.sizeBySelect.innerHTML = Object.entries(SIZE_MODES)
+                .map(([name, mode]) => `<option value="${name}">${mode.label}</option>`)
+                .join('');
+            this.sizeBySelect.value = this.arController.getSizeBy();
+            this.sizeBySelect.addEventListener('change', () => this.arController.setSizeBy(this.sizeBySelect.value));
+        }
+
         // VR mode controls
         this.vrToggleBtn?.addEventListener('click', () => this.toggleVRMode());
         this.resetViewBtn?.addEventListener('click', () => this.resetView());
         this.zoomInBtn?.addEventListener('click', () => this.zoomIn());
         this.zoomOutBtn?.addEventListener('click', () => this.zoomOut());
+        this.performanceModeBtn?.addEventListener('click', () => this.cyclePerformanceMode());
 
         // VR state changes
         document.addEventListener('enter-vr', () => this.handleVRModeChange(true));
         document.addEventListener('exit-vr', () => this.handleVRModeChange(false));
+
+        // Selections made in the 3D view
+        this.arController.onTaskSelect = (task) => {
+            this.selectedTaskId = task.id;
+            this.updateTaskDetails(this.taskManager.getTask(task.id) || task);
+            this.collaboration?.updatePresence();
+        };
+        this.arController.onTaskMove = (task, position) => this.pinTaskPosition(task.id, position);
+
+        // Focus session controls
+        this.focusSession.addListener((state, event) => this.handleFocusChange(state, event));
+        this.focusPauseBtn?.addEventListener('click', () => {
+            if (this.focusSession.paused) {
+                this.focusSession.resume();
+            } else {
+                this.focusSession.pause();
+            }
+        });
+        this.focusSkipBtn?.addEventListener('click', () => this.focusSession.skip());
+        this.focusStopBtn?.addEventListener('click', () => this.focusSession.stop());
+
+        // Undo/redo and search shortcuts
+        document.addEventListener('keydown', (e) => this.handleKeyboardShortcut(e));
+
+        // Reminder clicked while the app was already open
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+            if (event.data?.type === 'focus-task') {
+                this.focusTaskById(event.data.taskId);
+            }
+        });
+    }
+
+    focusTaskFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const taskId = params.get('task');
+        if (!taskId) return;
+
+        // Drop the parameter so a reload doesn't jump back to the task
+        params.delete('task');
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        this.focusTaskById(taskId);
+    }
+
+    focusTaskById(taskId) {
+        const task = this.taskManager.getTask(taskId);
+        if (!task) {
+            this.showNotification('That task no longer exists', 'error');
+            return;
+        }
+
+        this.selectTask(task);
+        this.taskElements.get(taskId)?.scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeyboardShortcut(e) {
+        const inTextField = e.target.closest?.('input, textarea, select, [contenteditable]');
+        const key = e.key.toLowerCase();
+
+        // "/" or Ctrl/Cmd+K jumps to search
+        if ((key === '/' && !inTextField && !e.ctrlKey && !e.metaKey && !e.altKey) ||
+            (key === 'k' && (e.ctrlKey || e.metaKey))) {
+            if (!this.searchInput) return;
+            e.preventDefault();
+            this.searchInput.focus();
+            this.searchInput.select();
+            return;
+        }
+
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        // Leave text fields their native undo
+        if (inTextField) return;
+
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    async undo() {
+        try {
+            const label = await this.taskManager.undo();
+            if (label) {
+                this.showNotification(`Undone: ${label}`, 'success', {
+                    label: 'Redo',
+                    handler: () => this.redo()
+                });
+            }
+        } catch (error) {
+            console.error('Error undoing change:', error);
+            this.showNotification('Error undoing change', 'error');
+        }
+    }
+
+    async redo() {
+        try {
+            const label = await this.taskManager.redo();
+            if (label) {
+                this.showNotification(`Redone: ${label}`, 'success', {
+                    label: 'Undo',
+                    handler: () => this.undo()
+                });
+            }
+        } catch (error) {
+            console.error('Error redoing change:', error);
+            this.showNotification('Error redoing change', 'error');
+        }
+    }
+
+    undoAction() {
+        return { label: 'Undo', handler: () => this.undo() };
     }
 
     async loadTasks() {
         try {
             const tasks = await this.taskManager.loadTasks();
+            this.searchIndex.build(tasks);
             this.renderTasks(tasks);
         } catch (error) {
             console.error('Error loading tasks:', error);
@@ -72,33 +387,309 @@ class FocusARApp {
         }
     }
 
-    renderTasks(tasks) {
+    handleTasksChanged(tasks, change) {
+        this.renderTasks(tasks, change);
+        if (change.conflicts.length > 0) {
+            this.showConflicts(change.conflicts);
+        }
+
+        this.searchIndex.update(tasks, change);
+        this.vrSearchPanel.refresh();
+        if (this.searchResultsList && !this.searchResultsList.classList.contains('hidden')) {
+            this.updateSearchResults();
+        }
+
+        // A deleted task can't be focused on
+        if (this.focusSession.taskId && change.removed?.includes(this.focusSession.taskId)) {
+            this.focusSession.stop();
+        }
+
+        // Keep the details panel in sync with the selected task
+        if (this.selectedTaskId) {
+            const selected = this.taskManager.getTask(this.selectedTaskId);
+            if (selected) {
+                this.updateTaskDetails(selected);
+            } else {
+                this.selectedTaskId = null;
+                if (this.taskDetails) {
+                    this.taskDetails.innerHTML = '<p class="text-neutral-400">Select a task to view details</p>';
+                }
+            }
+        }
+    }
+
+    /**
+     * Explain local edits that collided with another tab's
+     * @param {Array} conflicts - From the TaskManager change payload
+     */
+    showConflicts(conflicts) {
+        const [first] = conflicts;
+        const title = this.taskManager.getTask(first.id)?.title;
+        const name = title ? `"${title}"` : 'A task';
+
+        let message;
+        if (first.deleted) {
+            message = `${name} was edited in another tab before you deleted it`;
+        } else if (first.restored) {
+            message = `${name} was deleted in another tab; your edit brought it back`;
+        } else {
+            message = `${name}: ${first.fields.join(', ')} also changed in another tab; your version was kept`;
+        }
+        if (conflicts.length > 1) {
+            message += ` (and ${conflicts.length - 1} more)`;
+        }
+        this.showNotification(message, 'info');
+    }
+
+    /**
+     * Render the task list and the AR/VR scene
+     * @param {Array} tasks - All tasks
+     * @param {Object} [change] - Change payload from TaskManager; everything is rebuilt when omitted or `reset`
+     */
+    renderTasks(tasks, change = { reset: true }) {
+        const changedIds = change.reset ? null : new Set([...change.changed, ...change.removed]);
+
+        // Dependents show a derived Blocked status, so they change with their prerequisites
+        changedIds?.forEach(id => {
+            this.taskManager.getDependents(id).forEach(dependent => changedIds.add(dependent.id));
+        });
+
+        // The list shows only matching tasks; the scene fades the rest
+        const showAll = isEmptyQuery(this.taskQuery) && this.taskQuery.sort.length === 0;
+        const visibleTasks = showAll ? tasks : this.taskManager.queryTasks(this.taskQuery);
+        this.reconcileTaskList(visibleTasks, changedIds);
+        this.updateFilterStatus(visibleTasks.length, tasks.length);
+
+        // Update AR/VR visualization
+        this.arController.setFilter(isEmptyQuery(this.taskQuery) ? null : new Set(visibleTasks.map(task => task.id)));
+        this.arController.updateTaskVisualization(tasks, changedIds);
+    }
+
+    /**
+     * Apply a filter query to the task list and the scene
+     * @param {string} text - Query, see `parseTaskQuery`
+     * @param {Object} [options]
+     * @param {boolean} [options.render=true] - Re-render now
+     */
+    setFilter(text, { render = true } = {}) {
+        clearTimeout(this.filterTimer);
+        this.filterText = text.trim();
+        if (this.taskFilterInput && this.taskFilterInput.value.trim() !== this.filterText) {
+            this.taskFilterInput.value = this.filterText;
+        }
+
+        try {
+            this.taskQuery = parseTaskQuery(this.filterText);
+            this.filterError = null;
+        } catch (error) {
+            // Keep showing everything until the query parses
+            this.taskQuery = parseTaskQuery('');
+            this.filterError = error.message;
+        }
+
+        try {
+            localStorage.setItem(FILTER_STORAGE_KEY, this.filterText);
+        } catch (error) {
+            console.error('Error saving task filter:', error);
+        }
+
+        // Show the saved view this query belongs to, if any
+        if (this.savedViewSelect) {
+            const view = this.savedViews.getViews().find(candidate => candidate.query === this.filterText);
+            this.savedViewSelect.value = view ? view.id : '';
+            this.deleteViewBtn?.classList.toggle('hidden', !view);
+        }
+
+        if (render) {
+            this.renderTasks(this.taskManager.getAllTasks());
+        }
+    }
+
+    loadFilter() {
+        try {
+            return localStorage.getItem(FILTER_STORAGE_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Add a term to the current filter, e.g. from clicking a tag
+     * @param {string} term - Query term
+     */
+    addFilterTerm(term) {
+        if (this.filterText.split(/\s+/).includes(term)) return;
+        this.setFilter(`${this.filterText} ${term}`);
+    }
+
+    updateFilterStatus(shown, total) {
+        if (!this.taskFilterStatus) return;
+
+        this.taskFilterStatus.classList.toggle('text-red-600', Boolean(this.filterError));
+        if (this.filterError) {
+            this.taskFilterStatus.textContent = this.filterError;
+        } else if (!isEmptyQuery(this.taskQuery)) {
+            this.taskFilterStatus.textContent = `Showing ${shown} of ${total} tasks`;
+        } else {
+            this.taskFilterStatus.textContent = '';
+        }
+    }
+
+    syncSavedViewSelect() {
+        if (!this.savedViewSelect) return;
+
+        this.savedViewSelect.innerHTML = '<option value="">All tasks</option>';
+        this.savedViews.getViews().forEach(view => {
+            this.savedViewSelect.appendChild(new Option(view.name, view.id));
+        });
+    }
+
+    showSaveViewModal() {
+        if (!this.filterText) {
+            this.showNotification('Type a filter to save it as a view', 'error');
+            return;
+        }
+
+        const current = this.savedViews.getView(this.savedViewSelect?.value);
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-4">Save View</h2>
+                <form id="save-view-form">
+                    <label class="block text-sm font-medium text-gray-700">Name</label>
+                    <input type="text" name="name" required class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary">
+                    <p class="mt-2 text-sm text-gray-500 font-mono break-all"></p>
+                    <p class="form-error mt-4 text-sm text-red-600"></p>
+                    <div class="mt-6 flex justify-end space-x-3">
+                        <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                        <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Save</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        form.elements.name.value = current?.name || '';
+        form.querySelector('.font-mono').textContent = this.filterText;
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                await this.savedViews.saveView({ name: form.elements.name.value, query: this.filterText });
+                modal.remove();
+                this.syncSavedViewSelect();
+                this.setFilter(this.filterText, { render: false });
+                this.showNotification('View saved');
+            } catch (error) {
+                modal.querySelector('.form-error').textContent = error.message;
+            }
+        });
+
+        document.body.appendChild(modal);
+        form.elements.name.focus();
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    async deleteSavedView() {
+        const view = this.savedViews.getView(this.savedViewSelect?.value);
+        if (!view || !confirm(`Delete the view "${view.name}"? The tasks are not affected.`)) return;
+
+        try {
+            await this.savedViews.deleteView(view.id);
+            this.syncSavedViewSelect();
+            this.setFilter('');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Bring the task list in line with the tasks, keyed by task ID. Only new
+     * and changed tasks get new elements; the rest are reordered in place.
+     * @param {Array} tasks - All tasks, in display order
+     * @param {Set<string>|null} changedIds - IDs to rebuild, or null to rebuild all
+     */
+    reconcileTaskList(tasks, changedIds) {
         if (!this.taskList) return;
 
-        this.taskList.innerHTML = '';
+        if (this.taskElements.size === 0) {
+            this.taskList.innerHTML = '';
+        }
+
+        const seen = new Set();
+        let previous = null;
+
         tasks.forEach(task => {
-            const taskElement = this.createTaskElement(task);
-            this.taskList.appendChild(taskElement);
+            seen.add(task.id);
+            let element = this.taskElements.get(task.id);
+
+            if (!element || !changedIds || changedIds.has(task.id)) {
+                const fresh = this.createTaskElement(task);
+                element?.replaceWith(fresh);
+                element = fresh;
+                this.taskElements.set(task.id, element);
+            }
+
+            const expected = previous ? previous.nextSibling : this.taskList.firstChild;
+            if (element !== expected) {
+                this.taskList.insertBefore(element, expected);
+            }
+            previous = element;
         });
 
-        // Update AR/VR visualization
-        this.arController.updateTaskVisualization(tasks);
+        this.taskElements.forEach((element, id) => {
+            if (!seen.has(id)) {
+                element.remove();
+                this.taskElements.delete(id);
+            }
+        });
     }
 
     createTaskElement(task) {
         const div = document.createElement('div');
         div.className = 'task-item p-4 bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow';
+        div.dataset.taskId = task.id;
         div.setAttribute('role', 'button');
         div.setAttribute('tabindex', '0');
 
+        const status = this.taskManager.getEffectiveStatus(task);
+        const loggedTime = getLoggedTime(task);
+        const overrun = task.estimateMinutes && loggedTime > task.estimateMinutes * 60000;
+        const streak = getStreak(task);
+        const checklist = getChecklistProgress(task);
+
         div.innerHTML = `
             <div class="flex items-center justify-between">
-                <h3 class="text-lg font-semibold">${task.title}</h3>
-                <span class="status-badge ${this.getStatusClass(task.status)}">
-                    ${task.status}
-                </span>
+                <h3 class="text-lg font-semibold">
+                    ${escapeHtml(task.title)}
+                    ${task.priority ? `<span class="ml-1 px-2 py-0.5 align-middle text-xs font-medium rounded-full ${PRIORITY_STYLES[task.priority] || ''}">${escapeHtml(task.priority)}</span>` : ''}
+                </h3>
+                <button class="status-badge px-2 py-1 text-sm rounded-full" style="${this.getStatusStyle(status)}" aria-label="Change status">
+                    <i class="fas ${this.taskManager.workflow.getIcon(status)} mr-1"></i>${escapeHtml(status)}
+                </button>
             </div>
-            <p class="text-neutral-600 mt-2">${task.description || ''}</p>
+            <p class="text-neutral-600 mt-2">${escapeHtml(task.description)}</p>
+            ${task.dueDate || task.estimateMinutes || checklist || task.tags?.length ? `
+                <div class="flex flex-wrap items-center gap-2 mt-2 text-sm">
+                    ${task.dueDate ? `<span class="text-neutral-600"><i class="far fa-calendar mr-1"></i>${formatDate(task.dueDate)}</span>` : ''}
+                    ${task.recurrence ? `
+                        <span class="text-violet-700" title="${describeRecurrence(task.recurrence)}">
+                            <i class="fas fa-redo mr-1"></i>${streak > 0 ? `${streak} in a row` : RECURRENCE_FREQUENCIES[task.recurrence.frequency].label}
+                        </span>
+                    ` : ''}
+                    ${checklist ? `
+                        <span class="${checklist.done === checklist.total ? 'text-green-600' : 'text-neutral-600'}" title="Checklist">
+                            <i class="far fa-check-square mr-1"></i>${checklist.done}/${checklist.total}
+                        </span>
+                    ` : ''}
+                    ${task.estimateMinutes ? `
+                        <span class="${overrun ? 'text-red-600' : 'text-neutral-600'}" title="Logged / estimated">
+                            <i class="far fa-clock mr-1"></i>${formatDuration(loggedTime)} / ${formatDuration(task.estimateMinutes * 60000)}
+                        </span>
+                    ` : ''}
+                    ${(task.tags || []).map(tag => `<button class="tag-chip px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100" data-tag="${escapeHtml(tag)}" title="Show tasks tagged ${escapeHtml(tag)}">${escapeHtml(tag)}</button>`).join('')}
+                </div>
+            ` : ''}
             <div class="flex items-center mt-3 space-x-2">
                 <button class="edit-btn p-2 text-blue-600 hover:bg-blue-50 rounded-full">
                     <i class="fas fa-edit"></i>
@@ -110,6 +701,18 @@ class FocusARApp {
         `;
 
         div.addEventListener('click', () => this.selectTask(task));
+        div.querySelectorAll('.tag-chip').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const tag = chip.dataset.tag;
+                this.addFilterTerm(/\s/.test(tag) ? `tag:"${tag}"` : `tag:${tag}`);
+            });
+        });
+        
+        div.querySelector('.status-badge')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showStatusPicker(task, e.currentTarget);
+        });
         
         div.querySelector('.edit-btn')?.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -124,140 +727,2054 @@ class FocusARApp {
         return div;
     }
 
-    getStatusClass(status) {
-        return {
-            'Not Started': 'bg-gray-100 text-gray-800',
-            'In Progress': 'bg-blue-100 text-blue-800',
-            'Completed': 'bg-green-100 text-green-800',
-            'Blocked': 'bg-red-100 text-red-800'
-        }[status] || 'bg-gray-100 text-gray-800';
+    /**
+     * Swap a status badge for a dropdown to change the status in place
+     * @param {Object} task - Task to update
+     * @param {HTMLElement} badge - Badge element to replace
+     */
+    showStatusPicker(task, badge) {
+        const select = document.createElement('select');
+        select.className = 'status-picker text-sm rounded-md border-gray-300';
+        // Only offer the moves the workflow allows from the current status
+        [task.status, ...this.taskManager.workflow.getAllowedTransitions(task.status)].forEach(status => {
+            select.appendChild(new Option(status, status, false, status === task.status));
+        });
+        select.addEventListener('click', (e) => e.stopPropagation());
+
+        let done = false;
+        const finish = async (commit) => {
+            if (done) return;
+            done = true;
+
+            const status = select.value;
+            select.replaceWith(badge);
+            if (!commit || status === task.status) return;
+
+            try {
+                const updated = await this.taskManager.updateTask(task.id, { status });
+                this.showNotification(
+                    this.describeOccurrenceDone(task, updated) || `Status changed to ${status}`,
+                    'success',
+                    this.undoAction()
+                );
+            } catch (error) {
+                console.error('Error updating status:', error);
+                const message = error instanceof TaskValidationError
+                    ? Object.values(error.errors).join('. ')
+                    : 'Error updating status';
+                this.showNotification(message, 'error');
+            }
+        };
+
+        select.addEventListener('change', () => finish(true));
+        select.addEventListener('blur', () => finish(false));
+        select.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') finish(false);
+        });
+
+        badge.replaceWith(select);
+        select.focus();
+    }
+
+    /**
+     * Badge colors for a status: its workflow color on a light tint of itself
+     * @param {string} status - Status name
+     * @returns {string} Inline style
+     */
+    getStatusStyle(status) {
+        const color = this.taskManager.workflow.getColor(status);
+        return `color: ${color}; background-color: ${color}1f;`;
     }
 
     async showAddTaskModal() {
+        this.showTaskModal();
+    }
+
+    async editTask(task) {
+        const currentTask = this.taskManager.getTask(task.id);
+        if (!currentTask) {
+            this.showNotification('Task no longer exists', 'error');
+            return;
+        }
+        this.showTaskModal(currentTask);
+    }
+
+    /**
+     * Show the task form, either empty for a new task or filled in for editing
+     * @param {Object} [task] - Task to edit
+     */
+    showTaskModal(task = null) {
+        const isEdit = Boolean(task);
+        const fieldClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary';
+        const errorSlot = (field) => `<p class="field-error hidden mt-1 text-sm text-red-600" data-error-for="${field}"></p>`;
+
         const modal = document.createElement('div');
         modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
         modal.innerHTML = `
-            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
-                <h2 class="text-2xl font-bold mb-4">Add New Task</h2>
-                <form id="add-task-form">
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4 max-h-screen overflow-y-auto">
+                <h2 class="text-2xl font-bold mb-4">${isEdit ? 'Edit Task' : 'Add New Task'}</h2>
+                <form id="task-form" novalidate>
                     <div class="space-y-4">
                         <div>
                             <label class="block text-sm font-medium text-gray-700">Title</label>
-                            <input type="text" name="title" required class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary">
+                            <input type="text" name="title" required class="${fieldClass}">
+                            ${errorSlot('title')}
                         </div>
                         <div>
                             <label class="block text-sm font-medium text-gray-700">Description</label>
-                            <textarea name="description" rows="3" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary"></textarea>
+                            <textarea name="description" rows="3" class="${fieldClass}"></textarea>
                         </div>
                         <div>
                             <label class="block text-sm font-medium text-gray-700">Status</label>
-                            <select name="status" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary">
-                                <option value="Not Started">Not Started</option>
-                                <option value="In Progress">In Progress</option>
-                                <option value="Completed">Completed</option>
-                                <option value="Blocked">Blocked</option>
+                            <select name="status" class="${fieldClass}"></select>
+                            ${errorSlot('status')}
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Priority</label>
+                            <select name="priority" class="${fieldClass}">
+                                <option value="">None</option>
+                                ${PRIORITIES.map(priority => `<option value="${priority}">${priority.charAt(0).toUpperCase()}${priority.slice(1)}</option>`).join('')}
+                            </select>
+                            ${errorSlot('priority')}
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Parent Task</label>
+                            <select name="parentId" class="${fieldClass}">
+                                <option value="">None (top-level task)</option>
+                            </select>
+                            ${errorSlot('parentId')}
+                        </div>
+                        <div class="grid grid-cols-2 gap-4">
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Start Date</label>
+                                <input type="date" name="startDate" class="${fieldClass}">
+                                ${errorSlot('startDate')}
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">Due Date</label>
+                                <input type="date" name="dueDate" class="${fieldClass}">
+                                ${errorSlot('dueDate')}
+                            </div>
+                        </div>
+                        <fieldset>
+                            <legend class="block text-sm font-medium text-gray-700">Remind Me</legend>
+                            <div class="mt-1 grid grid-cols-2 gap-1">
+                                ${REMINDER_OPTIONS.map(option => `
+                                    <label class="flex items-center space-x-2 text-sm">
+                                        <input type="checkbox" name="reminders" value="${option.minutes}">
+                                        <span>${option.label}</span>
+                                    </label>
+                                `).join('')}
+                            </div>
+                            ${errorSlot('reminders')}
+                        </fieldset>
+                        <fieldset>
+                            <legend class="block text-sm font-medium text-gray-700">Repeat</legend>
+                            <select name="frequency" class="${fieldClass}">
+                                <option value="">Never</option>
+                                ${Object.entries(RECURRENCE_FREQUENCIES).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('')}
                             </select>
+                            <div class="recurrence-options hidden mt-2 space-y-2">
+                                <label class="flex items-center space-x-2 text-sm">
+                                    <span>Every</span>
+                                    <input type="number" name="interval" min="1" step="1" value="1" class="w-16 rounded-md border-gray-300 shadow-sm">
+                                    <span class="interval-unit"></span>
+                                </label>
+                                <div class="recurrence-weekdays flex flex-wrap gap-2">
+                                    ${WEEKDAYS.map((day, index) => `
+                                        <label class="flex items-center space-x-1 text-sm">
+                                            <input type="checkbox" name="byWeekday" value="${day}">
+                                            <span>${WEEKDAY_LABELS[index]}</span>
+                                        </label>
+                                    `).join('')}
+                                </div>
+                                <div class="flex items-center space-x-2 text-sm">
+                                    <select name="ends" class="rounded-md border-gray-300 shadow-sm">
+                                        <option value="never">Forever</option>
+                                        <option value="until">Until</option>
+                                        <option value="count">Number of times</option>
+                                    </select>
+                                    <input type="date" name="until" class="hidden rounded-md border-gray-300 shadow-sm">
+                                    <input type="number" name="count" min="1" step="1" class="hidden w-20 rounded-md border-gray-300 shadow-sm">
+                                </div>
+                            </div>
+                            ${errorSlot('recurrence')}
+                        </fieldset>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Estimate (hours)</label>
+                            <input type="number" name="estimateHours" min="0" step="0.25" class="${fieldClass}">
+                            ${errorSlot('estimateMinutes')}
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Tags</label>
+                            <input type="text" name="tags" placeholder="comma, separated, tags" class="${fieldClass}">
+                            ${errorSlot('tags')}
                         </div>
                     </div>
+                    <p class="form-error hidden mt-4 text-sm text-red-600"></p>
                     <div class="mt-6 flex justify-end space-x-3">
                         <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
-                        <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Add Task</button>
+                        <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">${isEdit ? 'Save Changes' : 'Add Task'}</button>
                     </div>
                 </form>
             </div>
         `;
 
-        document.body.appendChild(modal);
+        // A task can't be moved under itself or its own subtasks
+        const excludedParents = new Set(isEdit
+            ? [task.id, ...this.taskManager.getDescendants(task.id).map(descendant => descendant.id)]
+            : []);
+        const { workflow } = this.taskManager;
+        const statusSelect = modal.querySelector('select[name="status"]');
+        workflow.getStatusNames().forEach(status => {
+            const option = new Option(status, status, false, status === (isEdit ? task.status : workflow.initialStatus));
+            option.disabled = isEdit && !workflow.canTransition(task.status, status);
+            statusSelect.appendChild(option);
+        });
+
+        const parentSelect = modal.querySelector('select[name="parentId"]');
+        this.taskManager.getAllTasks()
+            .filter(candidate => !excludedParents.has(candidate.id))
+            .forEach(candidate => parentSelect?.appendChild(new Option(candidate.title, candidate.id)));
 
         const form = modal.querySelector('form');
-        form?.addEventListener('submit', async (e) => {
+        if (isEdit) {
+            form.elements.title.value = task.title;
+            form.elements.description.value = task.description || '';
+            form.elements.parentId.value = task.parentId || '';
+            form.elements.priority.value = task.priority || '';
+            form.elements.dueDate.value = task.dueDate ? task.dueDate.slice(0, 10) : '';
+            form.elements.startDate.value = task.startDate ? task.startDate.slice(0, 10) : '';
+            form.querySelectorAll('input[name="reminders"]').forEach(checkbox => {
+                checkbox.checked = (task.reminders || []).includes(Number(checkbox.value));
+            });
+            form.elements.estimateHours.value = task.estimateMinutes ? task.estimateMinutes / 60 : '';
+            form.elements.tags.value = (task.tags || []).join(', ');
+            if (task.recurrence) {
+                const { frequency, interval, byWeekday, until, count } = task.recurrence;
+                form.elements.frequency.value = frequency;
+                form.elements.interval.value = interval || 1;
+                form.querySelectorAll('input[name="byWeekday"]').forEach(checkbox => {
+                    checkbox.checked = (byWeekday || []).includes(checkbox.value);
+                });
+                form.elements.ends.value = until ? 'until' : count ? 'count' : 'never';
+                form.elements.until.value = until || '';
+                form.elements.count.value = count || '';
+            }
+        }
+
+        // Only show the repeat options that apply to the chosen frequency
+        const updateRecurrenceFields = () => {
+            const frequency = form.elements.frequency.value;
+            const ends = form.elements.ends.value;
+            modal.querySelector('.recurrence-options').classList.toggle('hidden', !frequency);
+            modal.querySelector('.recurrence-weekdays').classList.toggle('hidden', frequency === 'monthly');
+            modal.querySelector('.interval-unit').textContent = frequency
+                ? `${RECURRENCE_FREQUENCIES[frequency].unit}(s)`
+                : '';
+            form.elements.until.classList.toggle('hidden', ends !== 'until');
+            form.elements.count.classList.toggle('hidden', ends !== 'count');
+        };
+        form.elements.frequency.addEventListener('change', updateRecurrenceFields);
+        form.elements.ends.addEventListener('change', updateRecurrenceFields);
+        updateRecurrenceFields();
+
+        document.body.appendChild(modal);
+        form.elements.title.focus();
+
+        form.addEventListener('submit', async (e) => {
             e.preventDefault();
+            this.showFormErrors(form, {});
             const formData = new FormData(form);
-            
-            const task = {
-                id: Date.now().toString(),
-                title: formData.get('title'),
+
+            const fields = {
+                title: formData.get('title').trim(),
                 description: formData.get('description'),
                 status: formData.get('status'),
-                created: new Date().toISOString()
+                priority: formData.get('priority') || null,
+                parentId: formData.get('parentId') || null,
+                dueDate: formData.get('dueDate') || null,
+                startDate: formData.get('startDate') || null,
+                reminders: formData.getAll('reminders').map(Number),
+                estimateMinutes: formData.get('estimateHours')
+                    ? Math.round(Number(formData.get('estimateHours')) * 60)
+                    : null,
+                tags: formData.get('tags')
+                    .split(',')
+                    .map(tag => tag.trim())
+                    .filter(Boolean),
+                recurrence: this.readRecurrence(formData)
             };
 
+            // Permission prompts need the user gesture, so ask before saving
+            if (fields.reminders.length > 0 && fields.dueDate) {
+                this.reminderScheduler.requestPermission();
+            }
+
             try {
-                await this.taskManager.addTask(task);
-                await this.loadTasks();
+                let message = 'Task added successfully';
+                if (isEdit) {
+                    const updated = await this.taskManager.updateTask(task.id, fields);
+                    message = this.describeOccurrenceDone(task, updated) || 'Task updated successfully';
+                } else {
+                    await this.taskManager.addTask({
+                        id: createTaskId(),
+                        ...fields,
+                        created: new Date().toISOString()
+                    });
+                }
                 modal.remove();
-                this.showNotification('Task added successfully');
+                this.showNotification(message, 'success', this.undoAction());
             } catch (error) {
-                console.error('Error adding task:', error);
-                this.showNotification('Error adding task', 'error');
+                console.error(`Error ${isEdit ? 'updating' : 'adding'} task:`, error);
+                if (error instanceof TaskValidationError) {
+                    this.showFormErrors(form, error.errors);
+                } else {
+                    this.showNotification(`Error ${isEdit ? 'updating' : 'adding'} task`, 'error');
+                }
             }
         });
 
         modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
     }
 
-    async deleteTask(task) {
-        if (confirm('Are you sure you want to delete this task?')) {
-            try {
-                await this.taskManager.deleteTask(task.id);
-                await this.loadTasks();
-                this.showNotification('Task deleted successfully');
-            } catch (error) {
-                console.error('Error deleting task:', error);
-                this.showNotification('Error deleting task', 'error');
-            }
-        }
-    }
+    /**
+     * Build a recurrence rule from the task form's repeat fields
+     * @param {FormData} formData - Task form data
+     * @returns {Object|null} Recurrence rule, or null for tasks that don't repeat
+     */
+    readRecurrence(formData) {
+        const frequency = formData.get('frequency');
+        if (!frequency) return null;
 
-    selectTask(task) {
-        this.arController.focusOnTask(task);
-        this.updateTaskDetails(task);
+        const rule = { frequency };
+        const interval = Number(formData.get('interval'));
+        if (interval !== 1) rule.interval = interval;
+        const byWeekday = formData.getAll('byWeekday');
+        if (frequency !== 'monthly' && byWeekday.length > 0) rule.byWeekday = byWeekday;
+        if (formData.get('ends') === 'until') rule.until = formData.get('until');
+        if (formData.get('ends') === 'count') rule.count = Number(formData.get('count'));
+        return rule;
     }
 
-    updateTaskDetails(task) {
-        if (!this.taskDetails) return;
+    /**
+     * Say what happened when an update finished an occurrence of a routine
+     * @param {Object} before - Task before the update
+     * @param {Object} after - Task returned by `updateTask`
+     * @returns {string|null} Message, or null when no occurrence was finished
+     */
+    describeOccurrenceDone(before, after) {
+        if ((after.completions?.length || 0) <= (before.completions?.length || 0)) return null;
 
-        this.taskDetails.innerHTML = `
-            <div class="space-y-4">
-                <div>
-                    <h3 class="text-sm font-medium text-gray-500">Title</h3>
-                    <p class="mt-1 text-lg">${task.title}</p>
-                </div>
-                <div>
-                    <h3 class="text-sm font-medium text-gray-500">Description</h3>
-                    <p class="mt-1">${task.description || 'No description'}</p>
-                </div>
-                <div>
-                    <h3 class="text-sm font-medium text-gray-500">Status</h3>
-                    <span class="mt-1 inline-block px-2 py-1 text-sm rounded-full ${this.getStatusClass(task.status)}">
-                        ${task.status}
-                    </span>
-                </div>
-                <div>
-                    <h3 class="text-sm font-medium text-gray-500">Created</h3>
-                    <p class="mt-1">${new Date(task.created).toLocaleDateString()}</p>
-                </div>
-            </div>
-        `;
+        if (this.taskManager.workflow.isDone(after.status)) {
+            return `"${after.title}" is finished, that was the last time`;
+        }
+        const streak = getStreak(after);
+        return `Done! Next "${after.title}" due ${formatDate(after.dueDate)}` +
+            (streak > 1 ? ` (${streak} in a row)` : '');
     }
 
-    toggleVRMode() {
-        this.isVRMode = !this.isVRMode;
-        this.arController.isVRMode = this.isVRMode;
-        
-        // Update UI
-        document.body.classList.toggle('vr-mode', this.isVRMode);
-        this.vrControls?.classList.toggle('hidden', !this.isVRMode);
-        
-        // Reinitialize visualization
-        this.loadTasks();
+    /**
+     * Show validation messages next to their fields
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} errors - Error messages keyed by field name
+     */
+    showFormErrors(form, errors) {
+        const unplaced = [];
+
+        form.querySelectorAll('.field-error').forEach(slot => {
+            slot.textContent = '';
+            slot.classList.add('hidden');
+        });
+        Object.entries(errors).forEach(([field, message]) => {
+            const slot = form.querySelector(`[data-error-for="${field}"]`);
+            if (slot) {
+                slot.textContent = message;
+                slot.classList.remove('hidden');
+            } else {
+                unplaced.push(message);
+            }
+        });
+
+        const formError = form.querySelector('.form-error');
+        formError.textContent = unplaced.join('. ');
+        formError.classList.toggle('hidden', unplaced.length === 0);
     }
 
-    handleVRModeChange(isVRActive) {
-        this.isVRMode = isVRActive;
+    showImportModal(json) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-4">Import Tasks</h2>
+                <form id="import-form">
+                    <fieldset class="space-y-2">
+                        <legend class="block text-sm font-medium text-gray-700 mb-2">Import mode</legend>
+                        <label class="flex items-start space-x-2">
+                            <input type="radio" name="mode" value="merge" checked class="mt-1">
+                            <span><strong>Merge</strong> &ndash; update tasks with matching IDs, add the rest</span>
+                        </label>
+                        <label class="flex items-start space-x-2">
+                            <input type="radio" name="mode" value="append" class="mt-1">
+                            <span><strong>Append</strong> &ndash; add everything as new tasks</span>
+                        </label>
+                        <label class="flex items-start space-x-2">
+                            <input type="radio" name="mode" value="replace" class="mt-1">
+                            <span><strong>Replace</strong> &ndash; remove current tasks first</span>
+                        </label>
+                    </fieldset>
+                    <div class="conflict-options mt-4">
+                        <label class="block text-sm font-medium text-gray-700">When a task exists in both</label>
+                        <select name="onConflict" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary">
+                            <option value="newest">Keep the most recently modified</option>
+                            <option value="existing">Keep my version</option>
+                            <option value="incoming">Use the imported version</option>
+                            <option value="ask">Ask me for each task</option>
+                        </select>
+                    </div>
+                    <div class="mt-6 flex justify-end space-x-3">
+                        <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                        <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Import</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('form');
+        const conflictOptions = modal.querySelector('.conflict-options');
+        form.addEventListener('change', () => {
+            conflictOptions.classList.toggle('hidden', form.elements.mode.value !== 'merge');
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const mode = form.elements.mode.value;
+            const onConflict = form.elements.onConflict.value === 'ask'
+                ? (existing, incoming) => confirm(
+                    `"${existing.title}" exists in both. OK to use the imported version, Cancel to keep yours.`
+                ) ? 'incoming' : 'existing'
+                : form.elements.onConflict.value;
+
+            modal.remove();
+
+            try {
+                const report = await this.taskManager.importTasks(json, { mode, onConflict });
+                this.showImportReport(report);
+            } catch (error) {
+                console.error('Error importing tasks:', error);
+                this.showNotification('Error importing tasks', 'error');
+            }
+        });
+
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    showExportModal() {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-4">Export Tasks</h2>
+                <div class="format-list space-y-2"></div>
+                <div class="mt-6 flex justify-end">
+                    <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        const list = modal.querySelector('.format-list');
+        Object.entries(this.taskExporter.formats).forEach(([format, definition]) => {
+            const button = document.createElement('button');
+            button.className = 'w-full text-left px-4 py-2 border rounded-md hover:bg-gray-50';
+            button.textContent = `${definition.label} (.${definition.extension})`;
+            button.addEventListener('click', () => {
+                modal.remove();
+                this.exportTasks(format);
+            });
+            list.appendChild(button);
+        });
+
+        // Templates travel in their own JSON file; the import button recognizes it
+        if (this.templateManager.getTemplates().length) {
+            const button = document.createElement('button');
+            button.className = 'w-full text-left px-4 py-2 border rounded-md hover:bg-gray-50';
+            button.textContent = 'Task templates (.json)';
+            button.addEventListener('click', () => {
+                modal.remove();
+                this.exportTemplates();
+            });
+            list.appendChild(button);
+        }
+
+        document.body.appendChild(modal);
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    exportTasks(format) {
+        try {
+            const { content, filename, mimeType } = this.taskExporter.export(format, this.taskManager.getAllTasks());
+            this.downloadFile(content, filename, mimeType);
+            this.showNotification(`Exported ${filename}`);
+        } catch (error) {
+            console.error('Error exporting tasks:', error);
+            this.showNotification('Error exporting tasks', 'error');
+        }
+    }
+
+    exportTemplates() {
+        try {
+            const filename = `focusar-templates-${new Date().toISOString().slice(0, 10)}.json`;
+            this.downloadFile(this.templateManager.exportTemplates(), filename, 'application/json');
+            this.showNotification(`Exported ${filename}`);
+        } catch (error) {
+            console.error('Error exporting templates:', error);
+            this.showNotification('Error exporting templates', 'error');
+        }
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async importTemplates(json) {
+        const report = await this.templateManager.importTemplates(json);
+        const summary = `Imported ${report.accepted.length} template${report.accepted.length === 1 ? '' : 's'}` +
+            (report.rejected.length ? `, ${report.rejected.length} rejected` : '');
+
+        this.showNotification(summary, report.accepted.length || !report.rejected.length ? 'success' : 'error');
+
+        if (report.rejected.length > 0) {
+            this.showRejections(
+                'Template Import Report',
+                `${report.accepted.length} accepted, ${report.rejected.length} rejected.`,
+                report.rejected.map(rejection => ({ name: rejection.name || 'Unnamed template', reason: rejection.reason }))
+            );
+        }
+    }
+
+    showTemplatesModal() {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-4">Task Templates</h2>
+                <ul class="template-list space-y-2 max-h-80 overflow-y-auto"></ul>
+                <div class="mt-6 flex justify-end">
+                    <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Close</button>
+                </div>
+            </div>
+        `;
+
+        const list = modal.querySelector('.template-list');
+        const renderList = () => {
+            const templates = this.templateManager.getTemplates();
+            list.innerHTML = templates.length ? '' : `
+                <li class="text-gray-400">No templates yet. Use "Save as template" on a task to create one.</li>
+            `;
+
+            templates.forEach(template => {
+                const item = document.createElement('li');
+                item.className = 'flex items-center justify-between px-4 py-2 border rounded-md';
+                item.innerHTML = `
+                    <div>
+                        <p class="font-medium"></p>
+                        <p class="text-sm text-gray-500"></p>
+                    </div>
+                    <div class="flex items-center space-x-2">
+                        <button class="use-template-btn text-sm text-primary">Use</button>
+                        <button class="delete-template-btn text-sm text-red-600" aria-label="Delete template">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                `;
+                const [name, summary] = item.querySelectorAll('p');
+                name.textContent = template.name;
+                summary.textContent = `${template.tasks.length} task${template.tasks.length === 1 ? '' : 's'}` +
+                    (template.description ? ` · ${template.description}` : '');
+
+                item.querySelector('.use-template-btn').addEventListener('click', () => {
+                    modal.remove();
+                    this.showUseTemplateModal(template);
+                });
+                item.querySelector('.delete-template-btn').addEventListener('click', async () => {
+                    if (!confirm(`Delete the template "${template.name}"?`)) return;
+                    try {
+                        await this.templateManager.deleteTemplate(template.id);
+                        renderList();
+                    } catch (error) {
+                        this.showNotification('Error deleting template', 'error');
+                    }
+                });
+                list.appendChild(item);
+            });
+        };
+        renderList();
+
+        document.body.appendChild(modal);
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    /**
+     * Save a task and its subtasks as a template
+     * @param {Object} task - Root task of the template
+     */
+    showSaveTemplateModal(task) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-4">Save as Template</h2>
+                <form id="template-form">
+                    <div class="space-y-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Name</label>
+                            <input type="text" name="name" required class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Description</label>
+                            <input type="text" name="description" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary">
+                        </div>
+                        <p class="variables-hint text-sm text-gray-500"></p>
+                        <p class="form-error text-sm text-red-600"></p>
+                    </div>
+                    <div class="mt-6 flex justify-end space-x-3">
+                        <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                        <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Save Template</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        form.elements.name.value = task.title;
+
+        const preview = this.templateManager.createFromSubtree(task.id, { name: task.title });
+        const variables = this.templateManager.getVariables(preview);
+        modal.querySelector('.variables-hint').textContent = variables.length
+            ? `Variables: ${variables.map(name => `{{${name}}}`).join(', ')}`
+            : `${preview.tasks.length} task${preview.tasks.length === 1 ? '' : 's'}. Write {{name}} in titles or descriptions to ask for a value when the template is used.`;
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const template = this.templateManager.createFromSubtree(task.id, {
+                    name: form.elements.name.value,
+                    description: form.elements.description.value.trim()
+                });
+                await this.templateManager.saveTemplate(template);
+                modal.remove();
+                this.showNotification(`Saved template "${template.name}"`);
+            } catch (error) {
+                modal.querySelector('.form-error').textContent = error.message;
+            }
+        });
+
+        document.body.appendChild(modal);
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    /**
+     * Ask for a parent, start date and variable values, then create the tasks
+     * @param {Object} template - Template to use
+     */
+    showUseTemplateModal(template) {
+        const variables = this.templateManager.getVariables(template);
+        const hasDueDates = template.tasks.some(item => Number.isInteger(item.dueOffsetDays));
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-4"></h2>
+                <form id="use-template-form">
+                    <div class="space-y-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Add under</label>
+                            <select name="parentId" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary">
+                                <option value="">No parent (top level)</option>
+                            </select>
+                        </div>
+                        ${hasDueDates ? `
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700">First due date</label>
+                                <input type="date" name="startDate" required class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary">
+                            </div>
+                        ` : ''}
+                        <div class="variable-fields space-y-4"></div>
+                        <p class="form-error text-sm text-red-600"></p>
+                    </div>
+                    <div class="mt-6 flex justify-end space-x-3">
+                        <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                        <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Create Tasks</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        modal.querySelector('h2').textContent = `Use "${template.name}"`;
+
+        const form = modal.querySelector('form');
+        this.taskManager.getAllTasks().forEach(task => form.elements.parentId.appendChild(new Option(task.title, task.id)));
+        if (this.selectedTaskId) {
+            form.elements.parentId.value = this.selectedTaskId;
+        }
+        if (hasDueDates) {
+            form.elements.startDate.value = toLocalDay();
+        }
+
+        const fields = modal.querySelector('.variable-fields');
+        variables.forEach(name => {
+            const field = document.createElement('div');
+            field.innerHTML = `
+                <label class="block text-sm font-medium text-gray-700"></label>
+                <input type="text" required class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary">
+            `;
+            field.querySelector('label').textContent = name;
+            field.querySelector('input').name = `var-${name}`;
+            fields.appendChild(field);
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const values = Object.fromEntries(variables.map(name => [name, form.elements[`var-${name}`].value.trim()]));
+
+            try {
+                const tasks = await this.templateManager.instantiate(template.id, {
+                    parentId: form.elements.parentId.value || null,
+                    values,
+                    ...(hasDueDates ? { startDate: form.elements.startDate.value } : {})
+                });
+                modal.remove();
+                this.showNotification(`Created ${tasks.length} task${tasks.length === 1 ? '' : 's'} from "${template.name}"`, 'success', this.undoAction());
+            } catch (error) {
+                modal.querySelector('.form-error').textContent = error instanceof TaskValidationError
+                    ? Object.values(error.errors).join('. ')
+                    : error.message;
+            }
+        });
+
+        document.body.appendChild(modal);
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    showImportReport(report) {
+        const summary = `Imported ${report.accepted.length} task${report.accepted.length === 1 ? '' : 's'}` +
+            (report.rejected.length ? `, ${report.rejected.length} rejected` : '');
+        this.showNotification(
+            summary,
+            report.accepted.length || !report.rejected.length ? 'success' : 'error',
+            report.accepted.length ? this.undoAction() : null
+        );
+
+        if (report.rejected.length === 0) return;
+
+        this.showRejections(
+            'Import Report',
+            `${report.accepted.length} accepted, ${report.rejected.length} rejected, ` +
+                `${report.remapped.length} given new IDs, ${report.conflicts.length} conflicts resolved.`,
+            report.rejected.map(rejection => ({
+                name: rejection.title || rejection.id || 'Unnamed record',
+                reason: rejection.reason
+            }))
+        );
+    }
+
+    /**
+     * List records an import skipped and why
+     * @param {string} heading - Modal heading
+     * @param {string} summary - Counts shown above the list
+     * @param {Array} rejections - `{ name, reason }` per skipped record
+     */
+    showRejections(heading, summary, rejections) {
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4 max-h-screen overflow-y-auto">
+                <h2 class="text-2xl font-bold mb-2"></h2>
+                <p class="text-gray-600 mb-4"></p>
+                <ul class="rejected-list space-y-2 text-sm"></ul>
+                <div class="mt-6 flex justify-end">
+                    <button type="button" class="close-btn px-4 py-2 border rounded-md hover:bg-gray-50">Close</button>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('h2').textContent = heading;
+        modal.querySelector('p').textContent = summary;
+        const list = modal.querySelector('.rejected-list');
+        rejections.forEach(rejection => {
+            const item = document.createElement('li');
+            item.className = 'p-2 rounded-md bg-red-50 text-red-800';
+            item.textContent = `${rejection.name}: ${rejection.reason}`;
+            list.appendChild(item);
+        });
+
+        document.body.appendChild(modal);
+        modal.querySelector('.close-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    async deleteTask(task) {
+        if (confirm('Are you sure you want to delete this task?')) {
+            try {
+                await this.taskManager.deleteTask(task.id);
+                this.showNotification('Task deleted successfully', 'success', this.undoAction());
+            } catch (error) {
+                console.error('Error deleting task:', error);
+                this.showNotification('Error deleting task', 'error');
+            }
+        }
+    }
+
+    /**
+     * Select a task in the list, the details panel and the 3D view
+     * @param {Object} task - Task to select
+     * @param {Object} [options]
+     * @param {boolean} [options.showPath=false] - Highlight its ancestors in the 3D view
+     */
+    selectTask(task, { showPath = false } = {}) {
+        this.selectedTaskId = task.id;
+        this.arController.focusOnTask(task, { showPath });
+        this.updateTaskDetails(task);
+        this.collaboration?.updatePresence();
+    }
+
+    updateSearchResults() {
+        if (!this.searchInput || !this.searchResultsList) return;
+
+        const query = this.searchInput.value;
+        this.searchResults = this.searchIndex.search(query, { limit: SEARCH_RESULT_LIMIT });
+        this.activeSearchResult = this.searchResults.length > 0 ? 0 : -1;
+
+        if (query.trim() === '') {
+            this.closeSearchResults();
+            return;
+        }
+        this.renderSearchResults();
+    }
+
+    renderSearchResults() {
+        const list = this.searchResultsList;
+        list.innerHTML = '';
+
+        if (this.searchResults.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'px-3 py-2 text-sm text-gray-500';
+            empty.textContent = 'No matching tasks';
+            list.appendChild(empty);
+        }
+
+        this.searchResults.forEach(({ task }, index) => {
+            const item = document.createElement('li');
+            item.id = `search-result-${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(index === this.activeSearchResult));
+            item.className = `px-3 py-2 cursor-pointer ${index === this.activeSearchResult ? 'bg-indigo-50' : 'hover:bg-neutral-100'}`;
+
+            const title = document.createElement('div');
+            title.className = 'text-sm font-medium text-gray-900 truncate';
+            title.textContent = task.title;
+            item.appendChild(title);
+
+            const path = this.taskManager.getAncestors(task.id).reverse().map(ancestor => ancestor.title);
+            const context = document.createElement('div');
+            context.className = 'text-xs text-gray-500 truncate';
+            context.textContent = [this.taskManager.getEffectiveStatus(task), ...path].join(' · ');
+            item.appendChild(context);
+
+            // mousedown fires before the input's blur closes the list
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.chooseSearchResult(index);
+            });
+            list.appendChild(item);
+        });
+
+        list.classList.remove('hidden');
+        this.searchInput.setAttribute('aria-expanded', 'true');
+        if (this.activeSearchResult >= 0) {
+            this.searchInput.setAttribute('aria-activedescendant', `search-result-${this.activeSearchResult}`);
+        } else {
+            this.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleSearchKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (this.searchResults.length === 0) return;
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.activeSearchResult = (this.activeSearchResult + step + this.searchResults.length) % this.searchResults.length;
+            this.renderSearchResults();
+            document.getElementById(`search-result-${this.activeSearchResult}`)?.scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.chooseSearchResult(this.activeSearchResult);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeSearchResults();
+            this.searchInput.blur();
+        }
+    }
+
+    /**
+     * Jump to a search result: select it and fly the camera to it with its
+     * ancestor path highlighted
+     * @param {number} index - Index into `searchResults`
+     */
+    chooseSearchResult(index) {
+        const result = this.searchResults[index];
+        if (!result) return;
+
+        const task = this.taskManager.getTask(result.task.id);
+        if (!task) return;
+
+        this.closeSearchResults();
+        this.searchInput.blur();
+        this.selectTask(task, { showPath: true });
+        this.taskElements.get(task.id)?.scrollIntoView({ block: 'nearest' });
+    }
+
+    closeSearchResults() {
+        if (!this.searchResultsList) return;
+        this.searchResultsList.classList.add('hidden');
+        this.searchInput?.setAttribute('aria-expanded', 'false');
+        this.searchInput?.removeAttribute('aria-activedescendant');
+    }
+
+    updateTaskDetails(task) {
+        if (!this.taskDetails) return;
+
+        const path = this.taskManager.getAncestors(task.id)
+            .reverse()
+            .map(ancestor => ancestor.title)
+            .join(' / ');
+        const subtaskCount = this.taskManager.getChildTasks(task.id).length;
+        const status = this.taskManager.getEffectiveStatus(task);
+        const dependencies = this.taskManager.getDependencies(task.id);
+        const loggedTime = getLoggedTime(task);
+        const rollup = getTimeRollups(this.taskManager.getAllTasks(), this.taskManager.workflow).get(task.id);
+        const overrun = getOverrun(rollup);
+        const isFocused = this.focusSession.phase !== 'idle' && this.focusSession.taskId === task.id;
+        const blocking = this.taskManager.getBlockingTasks(task.id);
+        const streak = getStreak(task);
+        const checklist = getChecklistProgress(task);
+        const candidates = this.taskManager.getAllTasks().filter(other =>
+            other.id !== task.id &&
+            !dependencies.includes(other) &&
+            !this.taskManager.wouldCreateDependencyCycle(task.id, [other.id])
+        );
+
+        this.taskDetails.innerHTML = `
+            <div class="space-y-4">
+                ${path ? `<p class="text-sm text-gray-500">${escapeHtml(path)}</p>` : ''}
+                <div>
+                    <h3 class="text-sm font-medium text-gray-500">Title</h3>
+                    <p class="mt-1 text-lg">${escapeHtml(task.title)}</p>
+                </div>
+                <div>
+                    <h3 class="text-sm font-medium text-gray-500">Description</h3>
+                    <p class="mt-1">${task.description ? escapeHtml(task.description) : 'No description'}</p>
+                </div>
+                <div>
+                    <h3 class="text-sm font-medium text-gray-500">Status</h3>
+                    <span class="mt-1 inline-block px-2 py-1 text-sm rounded-full" style="${this.getStatusStyle(status)}">
+                        <i class="fas ${this.taskManager.workflow.getIcon(status)} mr-1"></i>${escapeHtml(status)}
+                    </span>
+                    ${blocking.length ? `<p class="mt-1 text-sm text-red-600">Waiting on: ${blocking.map(t => escapeHtml(t.title)).join(', ')}</p>` : ''}
+                </div>
+                <div>
+                    <h3 class="text-sm font-medium text-gray-500">Depends On</h3>
+                    <ul class="mt-1 space-y-1">
+                        ${dependencies.map(dependency => `
+                            <li class="flex items-center justify-between">
+                                <span>${escapeHtml(dependency.title)}</span>
+                                <button class="remove-dependency-btn text-sm text-red-600" data-dependency-id="${escapeHtml(dependency.id)}" aria-label="Remove dependency">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </li>
+                        `).join('') || '<li class="text-gray-400">No dependencies</li>'}
+                    </ul>
+                    ${candidates.length ? `
+                        <select class="add-dependency-select mt-2 block w-full rounded-md border-gray-300 shadow-sm">
+                            <option value="">Add dependency...</option>
+                        </select>
+                    ` : ''}
+                </div>
+                ${task.startDate ? `
+                    <div>
+                        <h3 class="text-sm font-medium text-gray-500">Starts</h3>
+                        <p class="mt-1">${formatDate(task.startDate)}</p>
+                    </div>
+                ` : ''}
+                ${task.dueDate ? `
+                    <div>
+                        <h3 class="text-sm font-medium text-gray-500">Due</h3>
+                        <p class="mt-1">${formatDate(task.dueDate)}</p>
+                        ${task.reminders?.length ? `
+                            <p class="mt-1 text-sm text-gray-500">
+                                <i class="fas fa-bell mr-1"></i>${task.reminders.map(describeReminder).join(', ')}
+                            </p>
+                        ` : ''}
+                    </div>
+                ` : ''}
+                ${task.recurrence ? `
+                    <div>
+                        <h3 class="text-sm font-medium text-gray-500">Repeats</h3>
+                        <p class="mt-1">
+                            ${describeRecurrence(task.recurrence)}
+                            ${task.occurrence ? `<span class="text-sm text-gray-500">&middot; occurrence ${task.occurrence}${task.recurrence.count ? ` of ${task.recurrence.count}` : ''}</span>` : ''}
+                        </p>
+                        <p class="mt-1 text-sm ${streak > 0 ? 'text-orange-600' : 'text-gray-500'}">
+                            <i class="fas fa-fire mr-1"></i>${streak > 0 ? `${streak} in a row` : 'No streak yet'}
+                        </p>
+                        ${task.completions?.length ? `
+                            <ul class="mt-1 text-sm text-gray-500">
+                                ${task.completions.slice(-5).reverse().map(completion => `
+                                    <li>
+                                        <i class="fas fa-check mr-1"></i>${formatDate(completion.due)}
+                                        done ${new Date(completion.completedAt).toLocaleString()}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+                ` : ''}
+                ${task.priority ? `
+                    <div>
+                        <h3 class="text-sm font-medium text-gray-500">Priority</h3>
+                        <span class="mt-1 inline-block px-2 py-1 text-sm rounded-full ${PRIORITY_STYLES[task.priority] || ''}">${escapeHtml(task.priority)}</span>
+                    </div>
+                ` : ''}
+                ${task.tags?.length ? `
+                    <div>
+                        <h3 class="text-sm font-medium text-gray-500">Tags</h3>
+                        <p class="mt-1">${task.tags.map(escapeHtml).join(', ')}</p>
+                    </div>
+                ` : ''}
+                <div>
+                    <h3 class="text-sm font-medium text-gray-500">Subtasks</h3>
+                    <p class="mt-1 flex items-center justify-between">
+                        <span>${subtaskCount}</span>
+                        <button class="break-down-btn text-sm text-primary">
+                            <i class="fas fa-sitemap mr-1"></i>Break this down
+                        </button>
+                    </p>
+                    ${task.parentId && subtaskCount === 0 ? `
+                        <button class="to-checklist-btn mt-1 text-sm text-primary">
+                            <i class="far fa-check-square mr-1"></i>Make this a checklist item
+                        </button>
+                    ` : ''}
+                </div>
+                <div>
+                    <h3 class="text-sm font-medium text-gray-500">
+                        Checklist${checklist ? ` <span class="text-gray-400">${checklist.done}/${checklist.total}</span>` : ''}
+                    </h3>
+                    ${checklist ? `
+                        <div class="mt-1 h-2 rounded-full bg-gray-200 overflow-hidden">
+                            <div class="h-full bg-green-500" style="width: ${Math.round(checklist.ratio * 100)}%"></div>
+                        </div>
+                    ` : ''}
+                    <ul class="mt-1 space-y-1">
+                        ${(task.checklist || []).map((item, index, items) => `
+                            <li class="flex items-center space-x-2" data-item-id="${escapeHtml(item.id)}">
+                                <input type="checkbox" class="checklist-toggle" ${item.done ? 'checked' : ''} aria-label="Done">
+                                <span class="flex-1 ${item.done ? 'line-through text-gray-400' : ''}">${escapeHtml(item.text)}</span>
+                                <button class="checklist-move-btn text-sm text-gray-500 disabled:opacity-30" data-offset="-1" ${index === 0 ? 'disabled' : ''} aria-label="Move up">
+                                    <i class="fas fa-arrow-up"></i>
+                                </button>
+                                <button class="checklist-move-btn text-sm text-gray-500 disabled:opacity-30" data-offset="1" ${index === items.length - 1 ? 'disabled' : ''} aria-label="Move down">
+                                    <i class="fas fa-arrow-down"></i>
+                                </button>
+                                <button class="checklist-subtask-btn text-sm text-primary" title="Make subtask" aria-label="Make subtask">
+                                    <i class="fas fa-level-down-alt"></i>
+                                </button>
+                                <button class="checklist-remove-btn text-sm text-red-600" aria-label="Remove item">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <form class="checklist-add-form mt-2 flex items-center space-x-2">
+                        <input type="text" name="text" placeholder="Add a step..." class="flex-1 rounded-md border-gray-300 shadow-sm text-sm">
+                        <button type="submit" class="text-sm text-primary" aria-label="Add step">
+                            <i class="fas fa-plus"></i>
+                        </button>
+                    </form>
+                </div>
+                <div>
+                    <h3 class="text-sm font-medium text-gray-500">Time</h3>
+                    <p class="mt-1">
+                        ${task.estimateMinutes ? `${formatDuration(task.estimateMinutes * 60000)} estimated` : 'No estimate'}
+                        &middot; ${loggedTime ? `${formatDuration(loggedTime)} logged` : 'No time logged yet'}
+                    </p>
+                    ${subtaskCount > 0 && rollup.estimated ? `
+                        <p class="mt-1 text-sm text-gray-500">
+                            With subtasks: ${formatDuration(rollup.estimate)} estimated
+                            &middot; ${formatDuration(rollup.actual)} logged
+                            &middot; ${formatDuration(rollup.remaining)} remaining
+                        </p>
+                    ` : ''}
+                    ${rollup.estimate > 0 ? `
+                        <div class="mt-2 h-2 rounded-full bg-gray-200 overflow-hidden">
+                            <div class="h-full ${overrun ? 'bg-red-500' : 'bg-primary'}" style="width: ${Math.min(100, Math.round((rollup.actual / rollup.estimate) * 100))}%"></div>
+                        </div>
+                    ` : ''}
+                    ${overrun ? `
+                        <p class="mt-1 text-sm text-red-600">
+                            <i class="fas fa-exclamation-triangle mr-1"></i>${formatDuration(overrun)} over the estimate
+                        </p>
+                    ` : ''}
+                    <p class="mt-2 flex items-center justify-between">
+                        ${isFocused ? '<span class="text-sm text-gray-500">Focus session running</span>' : `
+                            <button class="start-focus-btn text-sm text-primary">
+                                <i class="fas fa-hourglass-start mr-1"></i>Start focus session
+                            </button>
+                        `}
+                        <span class="space-x-2">
+                            <button class="log-time-btn text-sm text-primary">
+                                <i class="fas fa-plus mr-1"></i>Log time
+                            </button>
+                            <button class="focus-settings-btn text-sm text-gray-500" aria-label="Focus session settings">
+                                <i class="fas fa-sliders-h"></i>
+                            </button>
+                        </span>
+                    </p>
+                </div>
+                <div>
+                    <h3 class="text-sm font-medium text-gray-500">Scene Position</h3>
+                    ${task.pinned ? `
+                        <p class="mt-1 flex items-center justify-between">
+                            <span><i class="fas fa-thumbtack mr-1"></i>Pinned</span>
+                            <button class="unpin-task-btn text-sm text-primary">Return to layout</button>
+                        </p>
+                    ` : '<p class="mt-1 text-gray-400">Placed by layout. Drag it in the 3D view to pin it.</p>'}
+                </div>
+                <div>
+                    <h3 class="text-sm font-medium text-gray-500">Created</h3>
+                    <p class="mt-1">${new Date(task.created).toLocaleDateString()}</p>
+                </div>
+                <button class="save-template-btn text-sm text-primary">
+                    <i class="fas fa-clone mr-1"></i>Save as template
+                </button>
+            </div>
+        `;
+
+        const dependencySelect = this.taskDetails.querySelector('.add-dependency-select');
+        candidates.forEach(candidate => dependencySelect?.appendChild(new Option(candidate.title, candidate.id)));
+        dependencySelect?.addEventListener('change', () => {
+            if (dependencySelect.value) {
+                this.changeDependency(task.id, dependencySelect.value, true);
+            }
+        });
+
+        this.taskDetails.querySelectorAll('.remove-dependency-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.changeDependency(task.id, button.dataset.dependencyId, false);
+            });
+        });
+
+        this.taskDetails.querySelector('.unpin-task-btn')?.addEventListener('click', () => {
+            this.unpinTaskPosition(task.id);
+        });
+        this.taskDetails.querySelector('.break-down-btn')?.addEventListener('click', () => {
+            this.showDecompositionModal(task);
+        });
+        this.taskDetails.querySelector('.to-checklist-btn')?.addEventListener('click', () => {
+            this.convertToChecklistItem(task);
+        });
+
+        this.taskDetails.querySelectorAll('[data-item-id]').forEach(row => {
+            const itemId = row.dataset.itemId;
+            row.querySelector('.checklist-toggle').addEventListener('change', (e) => {
+                const done = e.target.checked;
+                this.updateChecklist(task.id, items => items.map(item => item.id === itemId ? { ...item, done } : item));
+            });
+            row.querySelectorAll('.checklist-move-btn').forEach(button => {
+                button.addEventListener('click', () => {
+                    const offset = Number(button.dataset.offset);
+                    this.updateChecklist(task.id, items => {
+                        const index = items.findIndex(item => item.id === itemId);
+                        const reordered = [...items];
+                        reordered.splice(index + offset, 0, ...reordered.splice(index, 1));
+                        return reordered;
+                    });
+                });
+            });
+            row.querySelector('.checklist-subtask-btn').addEventListener('click', () => {
+                this.convertChecklistItem(task.id, itemId);
+            });
+            row.querySelector('.checklist-remove-btn').addEventListener('click', () => {
+                this.updateChecklist(task.id, items => items.filter(item => item.id !== itemId));
+            });
+        });
+        this.taskDetails.querySelector('.checklist-add-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = e.target.elements.text.value.trim();
+            if (text) {
+                this.updateChecklist(task.id, items => [...items, { id: createTaskId(), text, done: false }]);
+            }
+        });
+        this.taskDetails.querySelector('.save-template-btn')?.addEventListener('click', () => {
+            this.showSaveTemplateModal(task);
+        });
+        this.taskDetails.querySelector('.start-focus-btn')?.addEventListener('click', () => {
+            this.startFocusSession(task.id);
+        });
+        this.taskDetails.querySelector('.focus-settings-btn')?.addEventListener('click', () => {
+            this.showFocusSettingsModal();
+        });
+        this.taskDetails.querySelector('.log-time-btn')?.addEventListener('click', () => {
+            this.showLogTimeModal(task);
+        });
+    }
+
+    /**
+     * Record time spent away from the focus timer
+     * @param {Object} task - Task to log time on
+     */
+    showLogTimeModal(task) {
+        const fieldClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary';
+        const today = new Date();
+        const localToday = new Date(today.getTime() - today.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-4">Log Time</h2>
+                <form id="log-time-form">
+                    <p class="text-sm text-gray-500 mb-4"></p>
+                    <div class="grid grid-cols-2 gap-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Minutes</label>
+                            <input type="number" name="minutes" min="1" required class="${fieldClass}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Date</label>
+                            <input type="date" name="date" required max="${localToday}" class="${fieldClass}" value="${localToday}">
+                        </div>
+                    </div>
+                    <p class="form-error mt-4 text-sm text-red-600"></p>
+                    <div class="mt-6 flex justify-end space-x-3">
+                        <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                        <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Log</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        modal.querySelector('form p').textContent = task.title;
+
+        const form = modal.querySelector('form');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const minutes = Number(form.elements.minutes.value);
+
+            // The entry ends on the chosen day at the current time of day
+            const [year, month, day] = form.elements.date.value.split('-').map(Number);
+            const end = new Date(today);
+            end.setFullYear(year, month - 1, day);
+            const start = new Date(end.getTime() - minutes * 60000);
+
+            try {
+                const current = this.taskManager.getTask(task.id);
+                await this.taskManager.updateTask(task.id, {
+                    timeEntries: [
+                        ...(current.timeEntries || []),
+                        { start: start.toISOString(), end: end.toISOString(), source: 'manual' }
+                    ]
+                });
+                modal.remove();
+                this.showNotification(`Logged ${formatDuration(minutes * 60000)}`, 'success', this.undoAction());
+            } catch (error) {
+                console.error('Error logging time:', error);
+                modal.querySelector('.form-error').textContent = error.errors?.timeEntries || error.message;
+            }
+        });
+
+        document.body.appendChild(modal);
+        form.elements.minutes.focus();
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    async startFocusSession(taskId) {
+        try {
+            await this.focusSession.start(taskId);
+        } catch (error) {
+            console.error('Error starting focus session:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Mirror the focus timer in the focus bar and the 3D view
+     * @param {Object} state - State from `FocusSession.getState`
+     * @param {string} event - What happened
+     */
+    handleFocusChange(state, event) {
+        const active = state.phase !== 'idle';
+        this.arController.setFocusIndicator(active ? state : null);
+
+        if (this.focusBar) {
+            this.focusBar.classList.toggle('hidden', !active);
+            if (active) {
+                const seconds = Math.ceil(state.remainingMs / 1000);
+                const task = this.taskManager.getTask(state.taskId);
+                this.focusBar.querySelector('.focus-phase').textContent =
+                    `${state.phase === 'work' ? 'Focus' : 'Break'}${state.paused ? ' · Paused' : ''}`;
+                this.focusBar.querySelector('.focus-task').textContent = task?.title || '';
+                this.focusBar.querySelector('.focus-time').textContent =
+                    `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+                this.focusPauseBtn.textContent = state.paused ? 'Resume' : 'Pause';
+            }
+        }
+
+        if (event === 'break') {
+            this.showNotification(`Nice work! Take a ${Math.round(state.durationMs / 60000)} minute break.`);
+        } else if (event === 'complete') {
+            const taskId = this.focusSession.taskId;
+            this.showNotification('Break over. Ready for another session?', 'success', {
+                label: 'Start',
+                handler: () => this.startFocusSession(taskId)
+            });
+        }
+
+        // The details panel shows whether a session is running and the logged time
+        if (event !== 'tick' && this.selectedTaskId) {
+            const selected = this.taskManager.getTask(this.selectedTaskId);
+            if (selected) {
+                this.updateTaskDetails(selected);
+            }
+        }
+    }
+
+    loadSyncUrl() {
+        try {
+            return localStorage.getItem(SYNC_URL_STORAGE_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Connect to a sync server, replacing any current connection
+     * @param {string} url - Server URL, or '' to turn sync off
+     * @returns {Promise<void>}
+     */
+    async startSync(url) {
+        this.syncEngine?.dispose();
+        this.syncEngine = null;
+        if (!url) {
+            this.updateSyncStatus(null);
+            return;
+        }
+
+        try {
+            const engine = new SyncEngine(this.taskManager, new HttpSyncAdapter(url));
+            await engine.initialize();
+            engine.addListener(status => this.updateSyncStatus(status));
+            this.syncEngine = engine;
+            engine.start();
+        } catch (error) {
+            console.error('Error starting sync:', error);
+            this.showNotification('Could not start sync', 'error');
+        }
+    }
+
+    /**
+     * Show the sync state on the header button
+     * @param {Object|null} status - From `SyncEngine.getStatus`, or null when sync is off
+     */
+    updateSyncStatus(status) {
+        if (!this.syncBtn) return;
+
+        const style = SYNC_STATUS_STYLES[status?.state || 'off'];
+        this.syncBtn.className = `p-2 rounded-lg hover:bg-neutral-100 transition-colors ${style.color}`;
+        this.syncBtn.querySelector('i').className = `fas ${style.icon} text-xl`;
+
+        let title = 'Sync is off';
+        if (status) {
+            title = {
+                idle: 'Synced',
+                syncing: 'Syncing…',
+                offline: 'Offline; changes will sync when the server is reachable',
+                error: `Sync failed: ${status.error}`
+            }[status.state];
+            if (status.pending > 0) {
+                title += ` (${status.pending} change${status.pending === 1 ? '' : 's'} waiting)`;
+            }
+        }
+        this.syncBtn.title = title;
+    }
+
+    isHttpUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    showSyncModal() {
+        const fieldClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary';
+        const status = this.syncEngine?.getStatus();
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-1">Sync</h2>
+                <p class="text-sm text-gray-500 mb-4">Keep tasks in step across devices through a sync server. Workflow, templates and saved views stay on this device.</p>
+                <form id="sync-form">
+                    <label class="block text-sm font-medium text-gray-700">Server URL</label>
+                    <input type="url" name="url" placeholder="http://localhost:8787" class="${fieldClass}">
+                    <p class="sync-status mt-2 text-sm text-gray-600"></p>
+                    <p class="form-error mt-2 text-sm text-red-600"></p>
+                    <div class="mt-6 flex justify-between">
+                        <button type="button" class="sync-now-btn px-4 py-2 border rounded-md hover:bg-gray-50">Sync now</button>
+                        <div class="flex space-x-3">
+                            <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                            <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Save</button>
+                        </div>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        form.elements.url.value = this.loadSyncUrl();
+        modal.querySelector('.sync-status').textContent = status
+            ? `${this.syncBtn?.title || ''}${status.lastSyncedAt ? ` · last synced ${new Date(status.lastSyncedAt).toLocaleString()}` : ''}`
+            : 'Sync is off. Leave the URL empty to keep it off.';
+
+        const syncNowBtn = modal.querySelector('.sync-now-btn');
+        syncNowBtn.disabled = !this.syncEngine;
+        syncNowBtn.classList.toggle('opacity-50', !this.syncEngine);
+        syncNowBtn.addEventListener('click', async () => {
+            const synced = await this.syncEngine?.sync();
+            this.showNotification(synced ? 'Tasks synced' : 'Sync failed; changes stay queued', synced ? 'success' : 'error');
+            modal.remove();
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const url = form.elements.url.value.trim();
+            if (url && !this.isHttpUrl(url)) {
+                modal.querySelector('.form-error').textContent = 'Use an http or https URL';
+                return;
+            }
+
+            try {
+                if (url) {
+                    localStorage.setItem(SYNC_URL_STORAGE_KEY, url);
+                } else {
+                    localStorage.removeItem(SYNC_URL_STORAGE_KEY);
+                }
+            } catch (error) {
+                console.error('Error saving sync settings:', error);
+            }
+            modal.remove();
+            await this.startSync(url);
+        });
+
+        document.body.appendChild(modal);
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    loadCollaborationSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(COLLAB_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Join a collaboration room, leaving any current one
+     * @param {Object} settings - `{ name, room, relayUrl }`; without a relay
+     *     URL only other tabs of this browser join
+     * @returns {Promise<void>}
+     */
+    async startCollaboration({ name, room, relayUrl }) {
+        this.stopCollaboration();
+
+        const transport = relayUrl
+            ? new WebSocketTransport(relayUrl, room)
+            : new BroadcastChannelTransport(room);
+        const session = new CollaborationSession(this.taskManager, transport, {
+            name,
+            getPresence: () => ({
+                selectedTaskId: this.selectedTaskId,
+                camera: this.arController.getCameraPose()
+            })
+        });
+        session.addListener(peers => this.updateCollaborators(peers));
+
+        try {
+            await session.start();
+            this.collaboration = session;
+            this.collaborationRoom = room;
+            this.updateCollaborators([]);
+            this.showNotification(`Joined "${room}"`, 'success');
+        } catch (error) {
+            console.error('Error starting collaboration:', error);
+            this.showNotification(relayUrl ? `Could not reach the relay at ${relayUrl}` : 'Could not join the room', 'error');
+        }
+    }
+
+    stopCollaboration() {
+        if (!this.collaboration) return;
+        this.collaboration.stop();
+        this.collaboration = null;
+        this.collaborationRoom = null;
+        this.updateCollaborators([]);
+    }
+
+    /**
+     * Show who else is in the room, in the header and the 3D view
+     * @param {Array} peers - From `CollaborationSession.getPeers`
+     */
+    updateCollaborators(peers) {
+        this.arController.setCollaborators(peers);
+
+        if (this.collabBtn) {
+            const active = Boolean(this.collaboration);
+            this.collabBtn.classList.toggle('text-neutral-400', !active);
+            this.collabBtn.classList.toggle('text-primary', active);
+            this.collabBtn.title = active
+                ? `In "${this.collaborationRoom}" with ${peers.length} other${peers.length === 1 ? '' : 's'}`
+                : 'Not collaborating';
+        }
+
+        if (this.collabPeers) {
+            this.collabPeers.innerHTML = '';
+            peers.forEach(peer => {
+                const chip = document.createElement('span');
+                chip.className = 'w-7 h-7 rounded-full border-2 border-white flex items-center justify-center text-xs font-bold text-white';
+                chip.style.backgroundColor = peer.color;
+                chip.textContent = peer.name.trim().charAt(0).toUpperCase() || '?';
+                const task = peer.selectedTaskId && this.taskManager.getTask(peer.selectedTaskId);
+                chip.title = task ? `${peer.name} · viewing ${task.title}` : peer.name;
+                this.collabPeers.appendChild(chip);
+            });
+        }
+    }
+
+    isWebSocketUrl(value) {
+        try {
+            return ['ws:', 'wss:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    showCollaborationModal() {
+        const fieldClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary';
+        const settings = this.loadCollaborationSettings();
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-1">Collaborate</h2>
+                <p class="text-sm text-gray-500 mb-4">Edit the roadmap together in real time and see where everyone is looking. Everyone in the room shares one task set.</p>
+                <form id="collab-form" class="space-y-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700">Your name</label>
+                        <input type="text" name="name" required maxlength="40" class="${fieldClass}">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700">Room</label>
+                        <input type="text" name="room" required maxlength="60" class="${fieldClass}">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700">Connect through</label>
+                        <select name="transport" class="${fieldClass}">
+                            <option value="tabs">Other tabs in this browser</option>
+                            <option value="relay">Relay server</option>
+                        </select>
+                    </div>
+                    <div class="relay-field">
+                        <label class="block text-sm font-medium text-gray-700">Relay URL</label>
+                        <input type="text" name="relayUrl" placeholder="${DEFAULT_RELAY_URL}" class="${fieldClass}">
+                    </div>
+                    <p class="form-error text-sm text-red-600"></p>
+                    <div class="mt-6 flex justify-between">
+                        <button type="button" class="leave-btn px-4 py-2 border rounded-md hover:bg-gray-50">Leave</button>
+                        <div class="flex space-x-3">
+                            <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                            <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Join</button>
+                        </div>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        form.elements.name.value = settings.name || '';
+        form.elements.room.value = this.collaborationRoom || settings.room || 'roadmap';
+        form.elements.transport.value = settings.relayUrl ? 'relay' : 'tabs';
+        form.elements.relayUrl.value = settings.relayUrl || DEFAULT_RELAY_URL;
+
+        const relayField = modal.querySelector('.relay-field');
+        const updateRelayField = () => relayField.classList.toggle('hidden', form.elements.transport.value !== 'relay');
+        form.elements.transport.addEventListener('change', updateRelayField);
+        updateRelayField();
+
+        const leaveBtn = modal.querySelector('.leave-btn');
+        leaveBtn.disabled = !this.collaboration;
+        leaveBtn.classList.toggle('opacity-50', !this.collaboration);
+        leaveBtn.addEventListener('click', () => {
+            this.stopCollaboration();
+            modal.remove();
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const next = {
+                name: form.elements.name.value.trim(),
+                room: form.elements.room.value.trim(),
+                relayUrl: form.elements.transport.value === 'relay' ? form.elements.relayUrl.value.trim() : ''
+            };
+            if (next.relayUrl && !this.isWebSocketUrl(next.relayUrl)) {
+                modal.querySelector('.form-error').textContent = 'Use a ws or wss URL';
+                return;
+            }
+            if (!next.relayUrl && typeof BroadcastChannel === 'undefined') {
+                modal.querySelector('.form-error').textContent = 'This browser can\'t share between tabs; use a relay server';
+                return;
+            }
+
+            try {
+                localStorage.setItem(COLLAB_STORAGE_KEY, JSON.stringify(next));
+            } catch (error) {
+                console.error('Error saving collaboration settings:', error);
+            }
+            modal.remove();
+            await this.startCollaboration(next);
+        });
+
+        document.body.appendChild(modal);
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    /**
+     * Edit the status workflow: names, colors, icons, categories and the
+     * moves allowed between statuses
+     */
+    showWorkflowModal() {
+        const { workflow } = this.taskManager;
+        const categories = {
+            todo: 'To do',
+            active: 'Active',
+            done: 'Done',
+            blocked: 'Blocked'
+        };
+
+        // Transitions are kept by row so statuses can be renamed while editing
+        const rows = workflow.statuses.map(status => ({ ...status }));
+        const names = rows.map(row => row.name);
+        const moves = rows.map(row => new Set(
+            (workflow.transitions[row.name] || names.filter(name => name !== row.name)).map(name => names.indexOf(name))
+        ));
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-3xl w-full mx-4 max-h-screen overflow-y-auto">
+                <h2 class="text-2xl font-bold mb-2">Workflow</h2>
+                <p class="text-sm text-gray-500 mb-4">
+                    Statuses used by tasks can't be removed or renamed; move those tasks to another status first.
+                </p>
+                <form id="workflow-form">
+                    <div class="status-rows space-y-4"></div>
+                    <button type="button" class="add-status-btn mt-4 text-sm text-primary">
+                        <i class="fas fa-plus mr-1"></i>Add status
+                    </button>
+                    <p class="form-error mt-4 text-sm text-red-600"></p>
+                    <div class="mt-6 flex justify-between">
+                        <button type="button" class="reset-btn px-4 py-2 border rounded-md hover:bg-gray-50">Restore defaults</button>
+                        <span class="space-x-3">
+                            <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                            <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Save</button>
+                        </span>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const container = modal.querySelector('.status-rows');
+        const fieldClass = 'rounded-md border-gray-300 shadow-sm text-sm focus:border-primary focus:ring-primary';
+
+        // Copy edits back into `rows` and `moves` before re-rendering or saving
+        const readRows = () => {
+            container.querySelectorAll('.status-row').forEach((element, index) => {
+                const row = rows[index];
+                row.name = element.querySelector('[name="name"]').value.trim();
+                row.color = element.querySelector('[name="color"]').value;
+                row.icon = element.querySelector('[name="icon"]').value.trim() || 'fa-circle';
+                row.marker = element.querySelector('[name="marker"]').value || undefined;
+                row.category = element.querySelector('[name="category"]').value;
+                moves[index] = new Set(Array.from(element.querySelectorAll('[name="moves"]:checked'))
+                    .map(checkbox => Number(checkbox.value)));
+            });
+        };
+
+        const renderRows = () => {
+            container.innerHTML = '';
+            rows.forEach((row, index) => {
+                const element = document.createElement('div');
+                element.className = 'status-row p-3 border rounded-lg';
+                element.innerHTML = `
+                    <div class="flex flex-wrap items-center gap-2">
+                        <input type="text" name="name" required class="${fieldClass} flex-1" aria-label="Status name">
+                        <input type="color" name="color" class="h-9 w-12" aria-label="Color">
+                        <input type="text" name="icon" class="${fieldClass} w-32" aria-label="Font Awesome icon" placeholder="fa-circle">
+                        <input type="text" name="marker" maxlength="1" class="${fieldClass} w-12 text-center" aria-label="Checklist marker">
+                        <select name="category" class="${fieldClass}" aria-label="Category">
+                            ${Object.entries(categories).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                        <button type="button" class="remove-status-btn p-2 text-red-600 hover:bg-red-50 rounded-full" aria-label="Remove status">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                    <div class="mt-2 flex flex-wrap items-center gap-3 text-sm">
+                        <span class="text-gray-500">Can move to:</span>
+                        ${rows.map((other, otherIndex) => otherIndex === index ? '' : `
+                            <label class="flex items-center space-x-1">
+                                <input type="checkbox" name="moves" value="${otherIndex}" ${moves[index].has(otherIndex) ? 'checked' : ''}>
+                                <span class="move-label"></span>
+                            </label>
+                        `).join('')}
+                    </div>
+                `;
+
+                element.querySelector('[name="name"]').value = row.name;
+                element.querySelector('[name="color"]').value = row.color;
+                element.querySelector('[name="icon"]').value = row.icon || '';
+                element.querySelector('[name="marker"]').value = row.marker ?? '';
+                element.querySelector('[name="category"]').value = row.category;
+                element.querySelectorAll('.move-label').forEach(label => {
+                    const otherIndex = Number(label.previousElementSibling.value);
+                    label.textContent = rows[otherIndex].name || 'Unnamed';
+                });
+                element.querySelector('.remove-status-btn').addEventListener('click', () => {
+                    readRows();
+                    rows.splice(index, 1);
+                    moves.splice(index, 1);
+                    moves.forEach((targets, rowIndex) => {
+                        moves[rowIndex] = new Set(Array.from(targets)
+                            .filter(target => target !== index)
+                            .map(target => (target > index ? target - 1 : target)));
+                    });
+                    renderRows();
+                });
+
+                container.appendChild(element);
+            });
+        };
+
+        modal.querySelector('.add-status-btn').addEventListener('click', () => {
+            readRows();
+            rows.push({ name: `Status ${rows.length + 1}`, color: '#808080', icon: 'fa-circle', category: 'todo' });
+            moves.push(new Set());
+            renderRows();
+            container.lastElementChild.querySelector('[name="name"]').select();
+        });
+        modal.querySelector('.reset-btn').addEventListener('click', async () => {
+            try {
+                await this.taskManager.setWorkflow(DEFAULT_WORKFLOW);
+                modal.remove();
+                this.showNotification('Workflow restored');
+            } catch (error) {
+                modal.querySelector('.form-error').textContent = error.message;
+            }
+        });
+
+        const form = modal.querySelector('form');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            readRows();
+
+            const definition = {
+                statuses: rows.map(({ name, color, icon, marker, category }) => ({
+                    name, color, icon, category, ...(marker !== undefined && { marker })
+                })),
+                transitions: Object.fromEntries(rows.map((row, index) => [
+                    row.name,
+                    Array.from(moves[index]).sort((a, b) => a - b).map(target => rows[target].name)
+                ]))
+            };
+
+            try {
+                await this.taskManager.setWorkflow(definition);
+                modal.remove();
+                this.showNotification('Workflow saved');
+            } catch (error) {
+                modal.querySelector('.form-error').textContent = error.message;
+            }
+        });
+
+        renderRows();
+        document.body.appendChild(modal);
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    showFocusSettingsModal() {
+        const { settings } = this.focusSession;
+        const fieldClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary';
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-4">Focus Sessions</h2>
+                <form id="focus-settings-form">
+                    <div class="grid grid-cols-2 gap-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Work (minutes)</label>
+                            <input type="number" name="workMinutes" min="1" required class="${fieldClass}" value="${settings.workMinutes}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Break (minutes)</label>
+                            <input type="number" name="breakMinutes" min="1" required class="${fieldClass}" value="${settings.breakMinutes}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Long break (minutes)</label>
+                            <input type="number" name="longBreakMinutes" min="1" required class="${fieldClass}" value="${settings.longBreakMinutes}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700">Sessions before long break</label>
+                            <input type="number" name="sessionsBeforeLongBreak" min="1" required class="${fieldClass}" value="${settings.sessionsBeforeLongBreak}">
+                        </div>
+                    </div>
+                    <p class="form-error mt-4 text-sm text-red-600"></p>
+                    <div class="mt-6 flex justify-end space-x-3">
+                        <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                        <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Save</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                this.focusSession.updateSettings(Object.fromEntries(
+                    Array.from(form.elements)
+                        .filter(element => element.name)
+                        .map(element => [element.name, Number(element.value)])
+                ));
+                modal.remove();
+            } catch (error) {
+                modal.querySelector('.form-error').textContent = error.message;
+            }
+        });
+
+        document.body.appendChild(modal);
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+    }
+
+    /**
+     * Preview subtask suggestions for a task and add the accepted ones
+     * @param {Object} task - Task to break down
+     */
+    showDecompositionModal(task) {
+        const options = this.fractalAlgorithm.getDecompositionOptions(this.taskManager.getTree(task.id) || task);
+        if (options.length === 0) {
+            this.showNotification('No suggestions for this task', 'error');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        modal.innerHTML = `
+            <div class="bg-white p-6 rounded-xl max-w-md w-full mx-4">
+                <h2 class="text-2xl font-bold mb-1">Break This Down</h2>
+                <p class="text-sm text-gray-500 mb-4"></p>
+                <form id="decomposition-form">
+                    <label class="block text-sm font-medium text-gray-700">Suggestion</label>
+                    <select name="strategy" class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary"></select>
+                    <ul class="suggestion-list mt-4 space-y-2 max-h-64 overflow-y-auto"></ul>
+                    <div class="mt-6 flex justify-end space-x-3">
+                        <button type="button" class="cancel-btn px-4 py-2 border rounded-md hover:bg-gray-50">Cancel</button>
+                        <button type="submit" class="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90">Add Subtasks</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        modal.querySelector('p').textContent = task.title;
+
+        const form = modal.querySelector('form');
+        const list = modal.querySelector('.suggestion-list');
+        options.forEach(option => form.elements.strategy.appendChild(new Option(option.label, option.name)));
+
+        const showSuggestions = () => {
+            const { subtasks } = options.find(option => option.name === form.elements.strategy.value);
+            list.innerHTML = '';
+            subtasks.forEach(subtask => {
+                const item = document.createElement('li');
+                item.className = 'flex items-center space-x-2';
+                item.innerHTML = `
+                    <input type="checkbox" checked aria-label="Include">
+                    <input type="text" class="flex-1 rounded-md border-gray-300 shadow-sm focus:border-primary focus:ring-primary">
+                `;
+                item.querySelector('input[type="text"]').value = subtask.title;
+                item.subtask = subtask;
+                list.appendChild(item);
+            });
+        };
+        form.elements.strategy.addEventListener('change', showSuggestions);
+        showSuggestions();
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            // Titles may have been edited in the preview
+            const accepted = Array.from(list.children)
+                .filter(item => item.querySelector('input[type="checkbox"]').checked)
+                .map(item => ({ ...item.subtask, title: item.querySelector('input[type="text"]').value.trim() }))
+                .filter(subtask => subtask.title);
+            if (accepted.length === 0) {
+                modal.remove();
+                return;
+            }
+
+            try {
+                await this.taskManager.addTasks(accepted, 'Break down task');
+                modal.remove();
+                this.showNotification(`Added ${accepted.length} subtask${accepted.length === 1 ? '' : 's'}`, 'success', this.undoAction());
+            } catch (error) {
+                console.error('Error adding subtasks:', error);
+                const message = error instanceof TaskValidationError
+                    ? Object.values(error.errors).join('. ')
+                    : 'Error adding subtasks';
+                this.showNotification(message, 'error');
+            }
+        });
+
+        modal.querySelector('.cancel-btn')?.addEventListener('click', () => modal.remove());
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Save a position dragged in the 3D view; the task stays there across re-layouts
+     * @param {string} taskId - Task ID
+     * @param {Object} position - Position `{ x, y, z }` in scene coordinates
+     */
+    async pinTaskPosition(taskId, position) {
+        try {
+            await this.taskManager.updateTask(taskId, { position, pinned: true });
+        } catch (error) {
+            console.error('Error moving task:', error);
+            this.showNotification(error.message, 'error');
+            // Snap the entity back to where the layout puts it
+            this.renderTasks(this.taskManager.getAllTasks(), { changed: [taskId], removed: [] });
+        }
+    }
+
+    async unpinTaskPosition(taskId) {
+        try {
+            await this.taskManager.updateTask(taskId, { pinned: false });
+        } catch (error) {
+            console.error('Error unpinning task:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Change a task's checklist
+     * @param {string} taskId - Task ID
+     * @param {Function} update - Receives the current items and returns the new ones
+     */
+    async updateChecklist(taskId, update) {
+        try {
+            const task = this.taskManager.getTask(taskId);
+            await this.taskManager.updateTask(taskId, { checklist: update(task.checklist || []) });
+        } catch (error) {
+            console.error('Error updating checklist:', error);
+            this.showNotification(error.errors?.checklist || error.message, 'error');
+        }
+    }
+
+    /**
+     * Promote a checklist item to a subtask
+     * @param {string} taskId - Task with the checklist
+     * @param {string} itemId - Checklist item ID
+     */
+    async convertChecklistItem(taskId, itemId) {
+        try {
+            const subtask = await this.taskManager.convertChecklistItemToSubtask(taskId, itemId);
+            this.showNotification(`"${subtask.title}" is now a subtask`, 'success', this.undoAction());
+        } catch (error) {
+            console.error('Error converting checklist item:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Demote a subtask to a checklist item and select its parent
+     * @param {Object} task - Subtask
+     */
+    async convertToChecklistItem(task) {
+        try {
+            await this.taskManager.convertSubtaskToChecklistItem(task.id);
+            const parent = this.taskManager.getTask(task.parentId);
+            if (parent) this.selectTask(parent);
+            this.showNotification(`"${task.title}" is now a checklist item`, 'success', this.undoAction());
+        } catch (error) {
+            console.error('Error converting subtask:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async changeDependency(taskId, dependsOnId, add) {
+        try {
+            if (add) {
+                await this.taskManager.addDependency(taskId, dependsOnId);
+            } else {
+                await this.taskManager.removeDependency(taskId, dependsOnId);
+            }
+        } catch (error) {
+            console.error('Error updating dependency:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    toggleVRMode() {
+        this.isVRMode = !this.isVRMode;
+        this.arController.isVRMode = this.isVRMode;
+        
+        // Update UI
+        document.body.classList.toggle('vr-mode', this.isVRMode);
+        this.vrControls?.classList.toggle('hidden', !this.isVRMode);
+        
+        // Reposition the scene; task entities stay as they are
+        this.arController.updateVisualizationMode();
+        this.syncLayoutSelect();
+    }
+
+    handleVRModeChange(isVRActive) {
+        this.isVRMode = isVRActive;
         this.arController.isVRMode = isVRActive;
         document.body.classList.toggle('vr-mode', isVRActive);
         this.vrControls?.classList.toggle('hidden', !isVRActive);
+        this.syncLayoutSelect();
+    }
+
+    syncLayoutSelect() {
+        if (this.layoutSelect) {
+            this.layoutSelect.value = this.arController.getLayout();
+        }
     }
 
     resetView() {
@@ -272,15 +2789,55 @@ class FocusARApp {
         this.arController.zoomOut();
     }
 
-    showNotification(message, type = 'success') {
+    /**
+     * Cycle scene rendering between automatic, full and reduced detail
+     */
+    cyclePerformanceMode() {
+        const modes = [
+            { mode: 'auto', label: 'Detail: Auto' },
+            { mode: 'off', label: 'Detail: Full' },
+            { mode: 'on', label: 'Detail: Performance' }
+        ];
+        const current = modes.findIndex(({ mode }) => mode === this.arController.lod.mode);
+        const next = modes[(current + 1) % modes.length];
+
+        this.arController.setPerformanceMode(next.mode);
+        this.performanceModeBtn.querySelector('span').textContent = next.label;
+    }
+
+    /**
+     * Show a toast message
+     * @param {string} message - Message text
+     * @param {string} type - 'success' or 'error'
+     * @param {Object} [action] - Optional button, `{ label, handler }`
+     */
+    showNotification(message, type = 'success', action = null) {
+        // Only one toast at a time so stale Undo buttons don't pile up
+        document.querySelector('.app-notification')?.remove();
+
         const notification = document.createElement('div');
-        notification.className = `fixed bottom-4 right-4 p-4 rounded-lg shadow-lg ${
+        notification.className = `app-notification fixed bottom-4 right-4 p-4 rounded-lg shadow-lg ${
             type === 'error' ? 'bg-red-500' : 'bg-primary'
-        } text-white z-50`;
-        notification.textContent = message;
+        } text-white z-50 flex items-center space-x-4`;
+        notification.setAttribute('role', 'status');
+
+        const text = document.createElement('span');
+        text.textContent = message;
+        notification.appendChild(text);
+
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'font-semibold underline hover:no-underline';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                notification.remove();
+                action.handler();
+            });
+            notification.appendChild(button);
+        }
         
         document.body.appendChild(notification);
-        setTimeout(() => notification.remove(), 3000);
+        setTimeout(() => notification.remove(), action ? 6000 : 3000);
     }
 
     showError(message) {
@@ -1,13 +1,76 @@
+import { FractalAlgorithm, SIZE_MODES } from './fractal.js';
+import { LAYOUTS } from './layouts.js';
+import { LODManager, registerLODComponent } from './lod-manager.js';
+import { TaskDragControls } from './drag-controls.js';
+import { nestTasks } from './task-manager.js';
+
+const DEFAULT_RIG_POSITION = { x: 0, y: 1.6, z: 0 };
+const FOCUS_DISTANCE = 1.5;
+const ZOOM_STEP = 0.5;
+const MIN_ZOOM_LEVEL = -4;
+const MAX_ZOOM_LEVEL = 6;
+const CAMERA_ANIMATION_MS = 800;
+const DETAIL_CHECK_INTERVAL_MS = 250;
+const LAYOUT_TRANSITION_MS = 600;
+const LAYOUT_STORAGE_KEY = 'focusar-layouts';
+const SIZE_BY_STORAGE_KEY = 'focusar-size-by';
+// Tasks outside the active filter keep their place but fade to this share of their opacity
+const FADED_OPACITY = 0.15;
+const FOCUS_RING_COLORS = { work: '#F59E0B', break: '#22C55E', paused: '#9CA3AF' };
+// Ancestors of a task reached from search, and the connections between them
+const PATH_COLOR = '#22D3EE';
+// Collaborator avatars ease toward each new pose over roughly this long
+const AVATAR_SMOOTHING_MS = 150;
+const STREAK_COLOR = '#FB923C';
+// Streak beads drawn under a routine; longer streaks show as a number only
+const STREAK_BEADS = 7;
+const ROUTINE_CLUSTER_COLOR = '#A78BFA';
+
 export class ARController {
     constructor() {
         this.scene = null;
         this.camera = null;
+        this.container = null;
         this.tasks = new Map();
+        this.taskEntities = new Map();
+        this.renderedSignatures = new Map();
+        this.connectionEntities = new Map();
         this.selectedTask = null;
         this.isInitialized = false;
         this.isMarkerVisible = false;
         this.connections = [];
+        this.dependencyConnections = [];
         this.isVRMode = false;
+        this.zoomLevel = 0;
+        this.fractalAlgorithm = new FractalAlgorithm();
+        this.lod = new LODManager();
+        this.sceneData = null;
+        this.performanceMode = false;
+        this.detailedIds = new Set();
+        this.instancedNodes = null;
+        this.lineConnections = null;
+        this.lastDetailCheck = 0;
+        this.lastTasks = null;
+        this.focusIndicator = null;
+        this.filterMatches = null;
+        // Selected task and its ancestors, highlighted after a search jump
+        this.highlightedPath = new Set();
+        // Other participants' avatars, and the colors of everyone who selected each task
+        this.avatarEntities = new Map();
+        this.peerSelections = new Map();
+        // Floor ring and label around the routines cluster
+        this.routineClusterEntity = null;
+        this.viewLayouts = this.loadViewLayouts();
+        this.layoutTransition = false;
+        this.layoutTransitionTimer = null;
+        this.fractalAlgorithm.setLayout(this.getLayout());
+        this.fractalAlgorithm.setSizeBy(this.loadSizeBy());
+        this.dragControls = null;
+
+        // Called with the task when one is picked in the 3D view
+        this.onTaskSelect = null;
+        // Called with the task and its new position when one is dragged
+        this.onTaskMove = null;
     }
 
     async initialize(containerId) {
@@ -16,12 +79,22 @@ export class ARController {
             if (!container) {
                 throw new Error('AR/VR container not found');
             }
+            this.container = container;
+
+            if (typeof AFRAME === 'undefined') {
+                throw new Error('A-Frame failed to load');
+            }
+            registerLODComponent();
 
             // Create scene
             const scene = document.createElement('a-scene');
             scene.setAttribute('embedded', '');
             scene.setAttribute('vr-mode-ui', 'enabled: true'); // Enable VR UI
             scene.setAttribute('renderer', 'antialias: true; alpha: true');
+            scene.setAttribute('cursor', 'rayOrigin: mouse');
+            scene.setAttribute('raycaster', 'objects: .clickable');
+            scene.setAttribute('focusar-lod', '');
+            scene.arController = this;
             
             // Set up different modes
             if (this.isVRMode) {
@@ -36,10 +109,15 @@ export class ARController {
                 });
             }
 
-            // Wait for scene to load
-            await new Promise((resolve) => {
+            // Clear container and add scene; it only loads once attached
+            const loaded = new Promise((resolve) => {
                 scene.addEventListener('loaded', resolve, { once: true });
             });
+            container.innerHTML = '';
+            container.appendChild(scene);
+
+            // Wait for scene to load
+            await loaded;
 
             // Add camera rig for VR
             const cameraRig = document.createElement('a-entity');
@@ -106,14 +184,16 @@ export class ARController {
             connectionsContainer.setAttribute('id', 'connections-container');
             taskContainer.appendChild(connectionsContainer);
 
-            // Clear container and add scene
-            container.innerHTML = '';
-            container.appendChild(scene);
+            // Add collaborator avatars container
+            const avatarsContainer = document.createElement('a-entity');
+            avatarsContainer.setAttribute('id', 'avatars-container');
+            taskContainer.appendChild(avatarsContainer);
 
             // Store references
             this.scene = scene;
             this.taskContainer = taskContainer;
             this.connectionsContainer = connectionsContainer;
+            this.avatarsContainer = avatarsContainer;
             this.camera = camera;
             this.cameraRig = cameraRig;
 
@@ -124,6 +204,12 @@ export class ARController {
             this.isInitialized = true;
             console.log('AR/VR Controller initialized successfully');
 
+            // Draw anything that arrived before the scene was ready
+            if (this.pendingTasks) {
+                this.updateTaskVisualization(this.pendingTasks);
+                this.pendingTasks = null;
+            }
+
         } catch (error) {
             console.error('Error initializing AR/VR Controller:', error);
             this.showError();
@@ -145,6 +231,10 @@ export class ARController {
 
             // Handle controller interactions in VR
             this.scene.addEventListener('triggerdown', this.handleVRInteraction.bind(this));
+
+            // Grab-and-drag with mouse, touch and controllers
+            this.dragControls = new TaskDragControls(this);
+            this.dragControls.attach(this.scene);
         }
 
         // Handle window resize
@@ -162,12 +252,151 @@ export class ARController {
             this.taskContainer.setAttribute('scale', '0.5 0.5 0.5');
         } else {
             // Reset to AR mode
-            this.taskContainer.setAttribute('position', '0 0 0');
+            this.taskContainer.setAttribute('position', '0 0 -2');
             this.taskContainer.setAttribute('scale', '1 1 1');
         }
-        
-        // Update all task positions
-        this.updateTaskVisualization(Array.from(this.tasks.values()));
+
+        this.applyViewLayout();
+    }
+
+    /**
+     * Name of the current view; each view remembers its own layout
+     * @returns {string} 'vr' or 'ar'
+     */
+    getViewName() {
+        return this.isVRMode ? 'vr' : 'ar';
+    }
+
+    /**
+     * Layout chosen for the current view
+     * @returns {string} Key of `LAYOUTS`
+     */
+    getLayout() {
+        return this.viewLayouts[this.getViewName()] || 'ring';
+    }
+
+    /**
+     * Choose the layout for the current view and animate into it
+     * @param {string} name - Key of `LAYOUTS`
+     */
+    setLayout(name) {
+        if (!LAYOUTS[name]) {
+            throw new Error(`Unknown layout: ${name}`);
+        }
+
+        this.viewLayouts[this.getViewName()] = name;
+        try {
+            localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(this.viewLayouts));
+        } catch (error) {
+            console.error('Error saving layout preference:', error);
+        }
+
+        this.applyViewLayout();
+    }
+
+    loadViewLayouts() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY)) || {};
+            return Object.fromEntries(Object.entries(stored).filter(([, name]) => LAYOUTS[name]));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Fade tasks outside a filter. Takes effect on the next render.
+     * @param {Set<string>|null} matchingIds - Tasks that match, or null when nothing is filtered
+     */
+    setFilter(matchingIds) {
+        this.filterMatches = matchingIds;
+    }
+
+    isFaded(taskId) {
+        return this.filterMatches !== null && !this.filterMatches.has(taskId);
+    }
+
+    /**
+     * Fade or restore a task entity's model, ring and labels
+     * @param {Element} entity - Task group entity
+     * @param {boolean} faded - Whether the task is outside the filter
+     */
+    setEntityFaded(entity, faded) {
+        const state = String(faded);
+        if (entity.dataset.faded === state) return;
+        entity.dataset.faded = state;
+
+        const scale = faded ? FADED_OPACITY : 1;
+        entity.querySelector('.task-model')?.setAttribute('material', 'opacity', 0.9 * scale);
+        entity.querySelector('.task-holo')?.setAttribute('material', 'opacity', 0.3 * scale);
+        entity.querySelectorAll(':scope > a-text').forEach(label => label.setAttribute('opacity', scale));
+    }
+
+    /**
+     * Use a shared workflow for status colors and derived statuses
+     * @param {Workflow} workflow - Usually `TaskManager.workflow`
+     */
+    setWorkflow(workflow) {
+        this.fractalAlgorithm.workflow = workflow;
+    }
+
+    /**
+     * What node sizes follow
+     * @returns {string} Key of `SIZE_MODES`
+     */
+    getSizeBy() {
+        return this.fractalAlgorithm.sizeBy;
+    }
+
+    /**
+     * Size nodes by complexity, estimate or remaining effort
+     * @param {string} mode - Key of `SIZE_MODES`
+     */
+    setSizeBy(mode) {
+        this.fractalAlgorithm.setSizeBy(mode);
+        try {
+            localStorage.setItem(SIZE_BY_STORAGE_KEY, mode);
+        } catch (error) {
+            console.error('Error saving size preference:', error);
+        }
+
+        if (this.isInitialized && this.lastTasks) {
+            this.updateTaskVisualization(this.lastTasks);
+        }
+    }
+
+    loadSizeBy() {
+        try {
+            const stored = localStorage.getItem(SIZE_BY_STORAGE_KEY);
+            return SIZE_MODES[stored] ? stored : 'complexity';
+        } catch (error) {
+            return 'complexity';
+        }
+    }
+
+    /**
+     * Switch the fractal to the current view's layout, moving existing
+     * entities to their new positions with an animation
+     */
+    applyViewLayout() {
+        const name = this.getLayout();
+        if (this.fractalAlgorithm.layout === name) return;
+
+        this.fractalAlgorithm.setLayout(name);
+        if (!this.isInitialized || !this.lastTasks) return;
+
+        this.layoutTransition = true;
+        try {
+            this.updateTaskVisualization(this.lastTasks, new Set());
+        } finally {
+            this.layoutTransition = false;
+        }
+
+        // Connections are drawn at their final positions; show them once the nodes arrive
+        clearTimeout(this.layoutTransitionTimer);
+        this.connectionsContainer.setAttribute('visible', false);
+        this.layoutTransitionTimer = setTimeout(() => {
+            this.connectionsContainer.setAttribute('visible', true);
+        }, LAYOUT_TRANSITION_MS);
     }
 
     handleVRInteraction(event) {
@@ -188,6 +417,7 @@ export class ARController {
         taskGroup.setAttribute('position', `${visualProps.position.x} ${visualProps.position.y} ${visualProps.position.z}`);
         taskGroup.setAttribute('data-task-id', task.id);
         taskGroup.classList.add('clickable');
+        taskGroup.dataset.size = visualProps.size;
 
         // Create task visualization
         const model = document.createElement('a-entity');
@@ -195,8 +425,9 @@ export class ARController {
             primitive: 'dodecahedron',
             radius: visualProps.size * 0.5
         });
+        model.classList.add('task-model');
         model.setAttribute('material', {
-            color: this.getTaskColor(task.status),
+            color: this.getTaskColor(task.effectiveStatus || task.status),
             metalness: 0.3,
             roughness: 0.7,
             opacity: 0.9,
@@ -215,9 +446,10 @@ export class ARController {
         const holo = document.createElement('a-torus');
         holo.setAttribute('radius', visualProps.size * 0.6);
         holo.setAttribute('radius-tubular', 0.01);
+        holo.classList.add('task-holo');
         holo.setAttribute('rotation', '90 0 0');
         holo.setAttribute('material', {
-            color: this.getTaskColor(task.status),
+            color: this.getTaskColor(task.effectiveStatus || task.status),
             opacity: 0.3,
             transparent: true,
             side: 'double'
@@ -231,6 +463,25 @@ export class ARController {
         });
         taskGroup.appendChild(holo);
 
+        // Checklist progress as an arc along the torus
+        if (visualProps.progress > 0) {
+            const progressArc = document.createElement('a-ring');
+            progressArc.classList.add('checklist-progress');
+            progressArc.setAttribute('radius-inner', visualProps.size * 0.57);
+            progressArc.setAttribute('radius-outer', visualProps.size * 0.63);
+            progressArc.setAttribute('rotation', '-90 0 0');
+            progressArc.setAttribute('theta-start', 90);
+            progressArc.setAttribute('theta-length', 360 * visualProps.progress);
+            progressArc.setAttribute('material', {
+                color: this.getTaskColor(this.fractalAlgorithm.workflow.doneStatus),
+                shader: 'flat',
+                side: 'double',
+                transparent: true,
+                opacity: 0.8
+            });
+            taskGroup.appendChild(progressArc);
+        }
+
         // Add text labels with better VR visibility
         const titleText = document.createElement('a-text');
         titleText.setAttribute('value', task.title);
@@ -244,7 +495,7 @@ export class ARController {
 
         // Add status indicator
         const statusText = document.createElement('a-text');
-        statusText.setAttribute('value', task.status);
+        statusText.setAttribute('value', task.effectiveStatus || task.status);
         statusText.setAttribute('position', `0 ${-visualProps.size - 0.15} 0`);
         statusText.setAttribute('scale', '0.3 0.3 0.3');
         statusText.setAttribute('align', 'center');
@@ -253,72 +504,1056 @@ export class ARController {
         statusText.setAttribute('billboard', '');
         taskGroup.appendChild(statusText);
 
+        if (visualProps.streak !== undefined) {
+            this.addStreakIndicator(taskGroup, visualProps.streak, visualProps.size);
+        }
+
+        // Focus session countdown survives the entity being rebuilt
+        if (this.focusIndicator?.taskId === task.id) {
+            this.updateFocusRing(taskGroup, this.focusIndicator);
+        }
+        if (this.peerSelections.has(task.id)) {
+            this.updatePeerRings(taskGroup, this.peerSelections.get(task.id));
+        }
+
         // Add interaction feedback
         this.addInteractionFeedback(taskGroup, visualProps.size);
 
         return taskGroup;
     }
 
+    /**
+     * Show a routine's streak under its status: a count and one bead per
+     * occurrence done in a row, up to a week's worth
+     * @param {Element} taskGroup - Task group entity
+     * @param {number} streak - Occurrences done in a row
+     * @param {number} size - Task size
+     */
+    addStreakIndicator(taskGroup, streak, size) {
+        const indicator = document.createElement('a-entity');
+        indicator.classList.add('streak-indicator');
+        indicator.setAttribute('position', `0 ${-size - 0.5} 0`);
+        indicator.setAttribute('billboard', '');
+
+        const count = document.createElement('a-text');
+        count.setAttribute('value', streak > 0 ? `${streak} in a row` : 'no streak');
+        count.setAttribute('scale', '0.25 0.25 0.25');
+        count.setAttribute('align', 'center');
+        count.setAttribute('color', streak > 0 ? STREAK_COLOR : '#9CA3AF');
+        count.setAttribute('side', 'double');
+        indicator.appendChild(count);
+
+        for (let i = 0; i < STREAK_BEADS; i++) {
+            const bead = document.createElement('a-sphere');
+            bead.setAttribute('radius', 0.025);
+            bead.setAttribute('position', `${(i - (STREAK_BEADS - 1) / 2) * 0.07} -0.08 0`);
+            bead.setAttribute('material', {
+                color: i < streak ? STREAK_COLOR : '#4B5563',
+                shader: 'flat',
+                transparent: true,
+                opacity: i < streak ? 1 : 0.5
+            });
+            indicator.appendChild(bead);
+        }
+
+        taskGroup.appendChild(indicator);
+    }
+
+    /**
+     * Mark the routines cluster with a ring on the floor and a label
+     * @param {Object|null} cluster - `{ center, radius }` from `generateScene`, or null to remove it
+     */
+    updateRoutineCluster(cluster) {
+        if (!cluster) {
+            this.routineClusterEntity?.remove();
+            this.routineClusterEntity = null;
+            return;
+        }
+
+        let entity = this.routineClusterEntity;
+        if (!entity) {
+            entity = document.createElement('a-entity');
+            entity.classList.add('routine-cluster');
+
+            const ring = document.createElement('a-ring');
+            ring.setAttribute('rotation', '-90 0 0');
+            ring.setAttribute('material', {
+                color: ROUTINE_CLUSTER_COLOR,
+                shader: 'flat',
+                side: 'double',
+                transparent: true,
+                opacity: 0.25
+            });
+            entity.appendChild(ring);
+
+            const label = document.createElement('a-text');
+            label.setAttribute('value', 'Routines');
+            label.setAttribute('scale', '0.5 0.5 0.5');
+            label.setAttribute('align', 'center');
+            label.setAttribute('color', ROUTINE_CLUSTER_COLOR);
+            label.setAttribute('side', 'double');
+            label.setAttribute('billboard', '');
+            entity.appendChild(label);
+
+            this.taskContainer.appendChild(entity);
+            this.routineClusterEntity = entity;
+        }
+
+        const { center, radius } = cluster;
+        this.moveTaskEntity(entity, `${center.x} ${center.y} ${center.z}`);
+        const ring = entity.querySelector('a-ring');
+        ring.setAttribute('radius-inner', Math.max(0.01, radius - 0.04));
+        ring.setAttribute('radius-outer', radius);
+        entity.querySelector('a-text').setAttribute('position', `0 0.1 ${radius + 0.15}`);
+    }
+
+    /**
+     * Show focus session progress as a countdown ring around a task's torus
+     * @param {Object|null} focus - `{ taskId, phase, paused, progress, remainingMs }`, or null to hide it
+     */
+    setFocusIndicator(focus) {
+        const previousId = this.focusIndicator?.taskId;
+        this.focusIndicator = focus;
+
+        if (previousId && previousId !== focus?.taskId) {
+            this.taskEntities.get(previousId)?.querySelector('.focus-ring')?.remove();
+        }
+        if (!focus || !this.isInitialized) return;
+
+        // The focused task always gets full detail
+        if (this.performanceMode && !this.taskEntities.has(focus.taskId) && this.sceneData) {
+            this.renderScene(new Set());
+        }
+
+        const entity = this.taskEntities.get(focus.taskId);
+        if (entity) {
+            this.updateFocusRing(entity, focus);
+        }
+    }
+
+    /**
+     * Create or update the countdown ring on a task entity. The arc shrinks
+     * as the phase runs out.
+     * @param {Element} taskGroup - Task group entity
+     * @param {Object} focus - Focus indicator state
+     */
+    updateFocusRing(taskGroup, focus) {
+        const size = Number(taskGroup.dataset.size) || 1;
+        let ring = taskGroup.querySelector('.focus-ring');
+
+        if (!ring) {
+            ring = document.createElement('a-entity');
+            ring.classList.add('focus-ring');
+
+            const arc = document.createElement('a-ring');
+            arc.setAttribute('radius-inner', size * 0.68);
+            arc.setAttribute('radius-outer', size * 0.76);
+            arc.setAttribute('rotation', '-90 0 0');
+            arc.setAttribute('theta-start', 90);
+            arc.setAttribute('material', { shader: 'flat', side: 'double', transparent: true, opacity: 0.9 });
+            ring.appendChild(arc);
+
+            const time = document.createElement('a-text');
+            time.setAttribute('position', `0 ${-size - 0.35} 0`);
+            time.setAttribute('scale', '0.35 0.35 0.35');
+            time.setAttribute('align', 'center');
+            time.setAttribute('side', 'double');
+            time.setAttribute('billboard', '');
+            ring.appendChild(time);
+
+            taskGroup.appendChild(ring);
+        }
+
+        const color = focus.paused ? FOCUS_RING_COLORS.paused : FOCUS_RING_COLORS[focus.phase];
+        const seconds = Math.ceil(focus.remainingMs / 1000);
+        const arc = ring.querySelector('a-ring');
+        arc.setAttribute('theta-length', Math.max(0.5, 360 * (1 - focus.progress)));
+        arc.setAttribute('material', 'color', color);
+
+        const time = ring.querySelector('a-text');
+        time.setAttribute('value', `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+        time.setAttribute('color', color);
+    }
+
+    /**
+     * Where the viewer is and which way they look, in task-container
+     * coordinates so the pose means the same on every device showing the roadmap
+     * @returns {Object|null} `{ position: [x, y, z], direction: [x, y, z] }`
+     */
+    getCameraPose() {
+        if (!this.isInitialized) return null;
+
+        const head = this.camera.object3D;
+        const position = head.getWorldPosition(new THREE.Vector3());
+        // Entities face +z, so the view direction is the reverse of their world direction
+        const target = head.getWorldDirection(new THREE.Vector3()).negate().add(position);
+        this.taskContainer.object3D.worldToLocal(position);
+        this.taskContainer.object3D.worldToLocal(target);
+        const direction = target.sub(position).normalize();
+
+        // Rounded so head jitter doesn't count as movement
+        const round = vector => vector.toArray().map(value => Math.round(value * 100) / 100);
+        return { position: round(position), direction: round(direction) };
+    }
+
+    /**
+     * Show the other participants of a collaboration session: an avatar where
+     * each one's camera is, and a ring in their color on the task they selected
+     * @param {Array} peers - `{ id, name, color, selectedTaskId, camera }`
+     */
+    setCollaborators(peers) {
+        if (!this.isInitialized) return;
+
+        const present = new Set();
+        peers.forEach(peer => {
+            if (!peer.camera) return;
+            present.add(peer.id);
+
+            let avatar = this.avatarEntities.get(peer.id);
+            if (avatar?.dataset.signature !== `${peer.name}|${peer.color}`) {
+                avatar?.remove();
+                avatar = this.createAvatar(peer);
+                this.avatarsContainer.appendChild(avatar);
+                this.avatarEntities.set(peer.id, avatar);
+            }
+            avatar.targetPose = peer.camera;
+        });
+        this.avatarEntities.forEach((avatar, id) => {
+            if (!present.has(id)) {
+                avatar.remove();
+                this.avatarEntities.delete(id);
+            }
+        });
+
+        const selections = new Map();
+        [...peers].sort((a, b) => a.id.localeCompare(b.id)).forEach(peer => {
+            if (!peer.selectedTaskId) return;
+            if (!selections.has(peer.selectedTaskId)) selections.set(peer.selectedTaskId, []);
+            selections.get(peer.selectedTaskId).push(peer.color);
+        });
+
+        const previous = this.peerSelections;
+        this.peerSelections = selections;
+        let collapsed = false;
+        new Set([...previous.keys(), ...selections.keys()]).forEach(taskId => {
+            const colors = selections.get(taskId) || [];
+            if (JSON.stringify(colors) === JSON.stringify(previous.get(taskId) || [])) return;
+
+            const entity = this.taskEntities.get(taskId);
+            if (entity) {
+                this.updatePeerRings(entity, colors);
+            } else if (colors.length > 0) {
+                collapsed = true;
+            }
+        });
+
+        // Tasks other people are looking at always get full detail
+        if (collapsed && this.performanceMode && this.sceneData) {
+            this.renderScene(new Set());
+        }
+    }
+
+    /**
+     * @param {Object} peer - `{ id, name, color, camera }`
+     * @returns {Element} Avatar entity: a head with a nose pointing where the peer looks
+     */
+    createAvatar(peer) {
+        const avatar = document.createElement('a-entity');
+        avatar.classList.add('collaborator-avatar');
+        avatar.dataset.signature = `${peer.name}|${peer.color}`;
+        avatar.setAttribute('position', peer.camera.position.join(' '));
+
+        const head = document.createElement('a-sphere');
+        head.setAttribute('radius', 0.12);
+        head.setAttribute('material', { color: peer.color, opacity: 0.85, transparent: true });
+        avatar.appendChild(head);
+
+        const nose = document.createElement('a-cone');
+        nose.setAttribute('radius-bottom', 0.06);
+        nose.setAttribute('radius-top', 0);
+        nose.setAttribute('height', 0.14);
+        nose.setAttribute('position', '0 0 0.16');
+        nose.setAttribute('rotation', '90 0 0');
+        nose.setAttribute('material', { color: peer.color, shader: 'flat' });
+        avatar.appendChild(nose);
+
+        const label = document.createElement('a-text');
+        label.setAttribute('value', peer.name);
+        label.setAttribute('position', '0 0.24 0');
+        label.setAttribute('scale', '0.4 0.4 0.4');
+        label.setAttribute('align', 'center');
+        label.setAttribute('color', peer.color);
+        label.setAttribute('side', 'double');
+        label.setAttribute('billboard', '');
+        avatar.appendChild(label);
+
+        return avatar;
+    }
+
+    /**
+     * Replace the collaborator selection rings on a task entity
+     * @param {Element} taskGroup - Task group entity
+     * @param {Array<string>} colors - One ring per collaborator who selected the task
+     */
+    updatePeerRings(taskGroup, colors) {
+        taskGroup.querySelector('.peer-rings')?.remove();
+        if (colors.length === 0) return;
+
+        const size = Number(taskGroup.dataset.size) || 1;
+        const rings = document.createElement('a-entity');
+        rings.classList.add('peer-rings');
+        colors.forEach((color, index) => {
+            const radius = size * (0.82 + index * 0.07);
+            const ring = document.createElement('a-ring');
+            ring.setAttribute('radius-inner', radius);
+            ring.setAttribute('radius-outer', radius + size * 0.04);
+            ring.setAttribute('rotation', '-90 0 0');
+            ring.setAttribute('material', { color, shader: 'flat', side: 'double', transparent: true, opacity: 0.85 });
+            rings.appendChild(ring);
+        });
+        taskGroup.appendChild(rings);
+    }
+
+    /**
+     * Ease avatars toward their latest pose; presence arrives a few times a
+     * second, frames much more often
+     * @param {number} delta - Time since the last frame in ms
+     */
+    updateAvatars(delta) {
+        if (this.avatarEntities.size === 0) return;
+
+        const amount = Math.min(1, (delta || 16) / AVATAR_SMOOTHING_MS);
+        const forward = new THREE.Vector3(0, 0, 1);
+        const position = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+        const facing = new THREE.Quaternion();
+        this.avatarEntities.forEach(avatar => {
+            const pose = avatar.targetPose;
+            if (!pose) return;
+
+            avatar.object3D.position.lerp(position.fromArray(pose.position), amount);
+            direction.fromArray(pose.direction);
+            if (direction.lengthSq() === 0) return;
+            facing.setFromUnitVectors(forward, direction.normalize());
+            avatar.object3D.quaternion.slerp(facing, amount);
+        });
+    }
+
     addInteractionFeedback(taskGroup, size) {
         // Hover animation
-        const hoverAnim = document.createElement('a-animation');
-        hoverAnim.setAttribute('begin', 'mouseenter');
-        hoverAnim.setAttribute('end', 'mouseleave');
-        hoverAnim.setAttribute('attribute', 'scale');
-        hoverAnim.setAttribute('from', '1 1 1');
-        hoverAnim.setAttribute('to', '1.2 1.2 1.2');
-        hoverAnim.setAttribute('dur', '200');
-        taskGroup.appendChild(hoverAnim);
+        taskGroup.setAttribute('animation__hoverin', {
+            property: 'scale',
+            to: '1.2 1.2 1.2',
+            dur: 200,
+            startEvents: 'mouseenter'
+        });
+        taskGroup.setAttribute('animation__hoverout', {
+            property: 'scale',
+            to: '1 1 1',
+            dur: 200,
+            startEvents: 'mouseleave'
+        });
 
         // Click feedback
+        taskGroup.setAttribute('animation__pulse', {
+            property: 'scale',
+            from: '1.2 1.2 1.2',
+            to: '1 1 1',
+            dur: 150,
+            startEvents: 'click'
+        });
+
+        taskGroup.addEventListener('mousedown', (event) => {
+            this.dragControls?.startPointerDrag(taskGroup, event.detail);
+        });
+
         taskGroup.addEventListener('click', () => {
-            const pulse = document.createElement('a-animation');
-            pulse.setAttribute('attribute', 'scale');
-            pulse.setAttribute('from', '1.2 1.2 1.2');
-            pulse.setAttribute('to', '1 1 1');
-            pulse.setAttribute('dur', '150');
-            taskGroup.appendChild(pulse);
+            if (this.dragControls?.consumeClick()) return;
+
+            const task = this.tasks.get(taskGroup.getAttribute('data-task-id'));
+            if (task) {
+                this.selectTask(task);
+            }
         });
     }
 
-    createConnections() {
+    /**
+     * Add, move or remove connection entities so they match `this.connections`
+     * and `this.dependencyConnections`, keyed by the tasks they join
+     */
+    updateConnections() {
+        const wanted = new Map();
         this.connections.forEach(connection => {
-            // Create tube geometry for connections
-            const tube = document.createElement('a-cylinder');
-            
-            // Calculate position and rotation
-            const start = connection.from;
-            const end = connection.to;
-            const middle = {
-                x: (start.x + end.x) / 2,
-                y: (start.y + end.y) / 2,
-                z: (start.z + end.z) / 2
-            };
-
-            // Calculate distance and rotation
-            const distance = Math.sqrt(
-                Math.pow(end.x - start.x, 2) +
-                Math.pow(end.y - start.y, 2) +
-                Math.pow(end.z - start.z, 2)
-            );
-
-            tube.setAttribute('position', `${middle.x} ${middle.y} ${middle.z}`);
-            tube.setAttribute('height', distance);
-            tube.setAttribute('radius', '0.02');
-            tube.setAttribute('material', {
-                color: connection.color,
-                opacity: connection.strength,
-                transparent: true,
-                metalness: 0.5,
-                roughness: 0.5
+            const faded = this.isFaded(connection.fromId) || this.isFaded(connection.toId);
+            const onPath = this.isOnHighlightedPath(connection);
+            wanted.set(`child:${connection.fromId}:${connection.toId}`, {
+                connection,
+                faded,
+                onPath,
+                create: () => this.createConnectionEntity(connection, faded, onPath)
+            });
+        });
+        this.dependencyConnections.forEach(connection => {
+            const faded = this.isFaded(connection.fromId) || this.isFaded(connection.toId);
+            wanted.set(`dependency:${connection.fromId}:${connection.toId}`, {
+                connection,
+                faded,
+                create: () => this.createDependencyEntity(connection, faded)
             });
+        });
 
-            // Look at target
-            tube.setAttribute('look-at', `${end.x} ${end.y} ${end.z}`);
-            
-            this.connectionsContainer.appendChild(tube);
+        this.connectionEntities.forEach((rendered, key) => {
+            if (!wanted.has(key)) {
+                rendered.entity.remove();
+                this.connectionEntities.delete(key);
+            }
+        });
+
+        wanted.forEach(({ connection, faded, onPath = false, create }, key) => {
+            const signature = JSON.stringify([connection, faded, onPath]);
+            const rendered = this.connectionEntities.get(key);
+            if (rendered?.signature === signature) return;
+
+            const entity = create();
+            if (rendered) {
+                rendered.entity.replaceWith(entity);
+            } else {
+                this.connectionsContainer.appendChild(entity);
+            }
+            this.connectionEntities.set(key, { entity, signature });
+        });
+    }
+
+    /**
+     * Whether a parent/child connection joins two tasks on the highlighted path
+     * @param {Object} connection - Connection with `fromId` and `toId`
+     * @returns {boolean}
+     */
+    isOnHighlightedPath(connection) {
+        return this.highlightedPath.has(connection.fromId) && this.highlightedPath.has(connection.toId);
+    }
+
+    createConnectionEntity(connection, faded = false, onPath = false) {
+        // Create tube geometry for connections
+        const tube = document.createElement('a-cylinder');
+        
+        // Calculate position and rotation
+        const start = connection.from;
+        const end = connection.to;
+        const middle = {
+            x: (start.x + end.x) / 2,
+            y: (start.y + end.y) / 2,
+            z: (start.z + end.z) / 2
+        };
+
+        // Calculate distance and rotation
+        const distance = Math.sqrt(
+            Math.pow(end.x - start.x, 2) +
+            Math.pow(end.y - start.y, 2) +
+            Math.pow(end.z - start.z, 2)
+        );
+
+        tube.setAttribute('position', `${middle.x} ${middle.y} ${middle.z}`);
+        tube.setAttribute('height', distance);
+        tube.setAttribute('radius', onPath ? '0.035' : '0.02');
+        tube.setAttribute('material', onPath ? {
+            color: PATH_COLOR,
+            emissive: PATH_COLOR,
+            emissiveIntensity: 0.5,
+            metalness: 0.5,
+            roughness: 0.5
+        } : {
+            color: connection.color,
+            opacity: connection.strength * (faded ? FADED_OPACITY : 1),
+            transparent: true,
+            metalness: 0.5,
+            roughness: 0.5
+        });
+
+        // Align with the segment
+        tube.setAttribute('rotation', this.getRotationBetween(start, end));
+        
+        return tube;
+    }
+
+    createDependencyEntity(connection, faded = false) {
+        const group = document.createElement('a-entity');
+        group.classList.add('dependency-connection');
+
+        const start = connection.from;
+        const end = connection.to;
+        const distance = Math.sqrt(
+            Math.pow(end.x - start.x, 2) +
+            Math.pow(end.y - start.y, 2) +
+            Math.pow(end.z - start.z, 2)
+        );
+        if (distance === 0) return group;
+
+        // Thin amber line, kept apart from the parent/child tubes
+        const color = connection.satisfied ? '#FBBF24' : '#F97316';
+        const edge = document.createElement('a-cylinder');
+        edge.classList.add('dependency-edge');
+        edge.setAttribute('position', `${(start.x + end.x) / 2} ${(start.y + end.y) / 2} ${(start.z + end.z) / 2}`);
+        edge.setAttribute('height', distance);
+        edge.setAttribute('radius', '0.008');
+        edge.setAttribute('material', {
+            color,
+            opacity: (connection.satisfied ? 0.4 : 0.9) * (faded ? FADED_OPACITY : 1),
+            transparent: true,
+            emissive: color,
+            emissiveIntensity: 0.4
+        });
+        edge.setAttribute('rotation', this.getRotationBetween(start, end));
+        group.appendChild(edge);
+
+        // Arrow head pointing at the dependent task
+        const t = Math.max(0, 1 - 0.15 / distance);
+        const arrow = document.createElement('a-cone');
+        arrow.classList.add('dependency-edge');
+        arrow.setAttribute('position', `${start.x + (end.x - start.x) * t} ${start.y + (end.y - start.y) * t} ${start.z + (end.z - start.z) * t}`);
+        arrow.setAttribute('radius-bottom', '0.03');
+        arrow.setAttribute('radius-top', '0');
+        arrow.setAttribute('height', '0.08');
+        arrow.setAttribute('material', { color, opacity: faded ? FADED_OPACITY : 1, transparent: faded });
+        arrow.setAttribute('rotation', this.getRotationBetween(start, end));
+        group.appendChild(arrow);
+
+        return group;
+    }
+
+    /**
+     * Sync the scene with a task list. Entities are only rebuilt for tasks
+     * whose data or appearance changed; the rest are just moved.
+     * @param {Array} tasks - Flat list of tasks
+     * @param {Set<string>|null} [changedIds] - IDs reported by TaskManager's change
+     *     event; when omitted every task is checked for changes
+     */
+    updateTaskVisualization(tasks, changedIds = null) {
+        if (!this.isInitialized) {
+            this.pendingTasks = tasks;
+            return;
+        }
+
+        this.lastTasks = tasks;
+        const scene = this.fractalAlgorithm.generateScene(nestTasks(tasks, this.fractalAlgorithm.workflow));
+        const dirtyIds = changedIds ? this.expandChangedIds(changedIds, tasks) : null;
+
+        this.sceneData = scene;
+        this.tasks = new Map(scene.nodes.map(({ node }) => [node.task.id, node.task]));
+        this.connections = scene.connections;
+        this.dependencyConnections = scene.dependencyConnections;
+
+        this.renderScene(dirtyIds);
+        this.updateRoutineCluster(scene.routineCluster);
+
+        // Keep the selection highlighted across updates
+        if (this.selectedTask) {
+            this.selectedTask = this.tasks.get(this.selectedTask.id) || null;
+            this.highlightTask(this.selectedTask?.id);
+        }
+    }
+
+    /**
+     * Create, update or remove entities for the current scene data. In
+     * performance mode only nodes picked by the LOD manager get entities; the
+     * rest are drawn as instances and connections as one line buffer.
+     * @param {Set<string>|null} dirtyIds - Tasks whose data may have changed, or null to check all
+     */
+    renderScene(dirtyIds) {
+        const { nodes } = this.sceneData;
+        const performanceMode = this.lod.isActive(nodes.length);
+        const detailedIds = performanceMode
+            ? this.getDetailedIds()
+            : new Set(nodes.map(({ node }) => node.task.id));
+
+        // Remove entities for tasks that are gone, too deep to draw, or collapsed
+        this.taskEntities.forEach((entity, id) => {
+            if (!detailedIds.has(id)) {
+                entity.remove();
+                this.taskEntities.delete(id);
+                this.renderedSignatures.delete(id);
+            }
+        });
+
+        const collapsed = [];
+        nodes.forEach(({ node, visual }) => {
+            const id = node.task.id;
+            if (!detailedIds.has(id)) {
+                collapsed.push({ node, visual });
+                return;
+            }
+
+            const entity = this.taskEntities.get(id);
+            const position = `${visual.position.x} ${visual.position.y} ${visual.position.z}`;
+
+            let rebuild = !entity;
+            let signature = this.renderedSignatures.get(id);
+            if (!entity || !dirtyIds || dirtyIds.has(id)) {
+                const { subtasks, ...taskData } = node.task;
+                signature = JSON.stringify([taskData, visual.size, visual.color, visual.streak]);
+                rebuild = rebuild || this.renderedSignatures.get(id) !== signature;
+            }
+
+            if (rebuild) {
+                const taskGroup = this.createTaskGroup(node.task, visual);
+                if (entity) {
+                    entity.replaceWith(taskGroup);
+                } else {
+                    this.taskContainer.appendChild(taskGroup);
+                }
+                this.taskEntities.set(id, taskGroup);
+                this.renderedSignatures.set(id, signature);
+            } else if (entity.getAttribute('data-position') !== position) {
+                this.moveTaskEntity(entity, position);
+            }
+            this.taskEntities.get(id).setAttribute('data-position', position);
+            this.setEntityFaded(this.taskEntities.get(id), this.isFaded(id));
+        });
+
+        this.performanceMode = performanceMode;
+        this.detailedIds = detailedIds;
+        this.updateInstancedNodes(collapsed);
+
+        if (performanceMode) {
+            this.connectionEntities.forEach(({ entity }) => entity.remove());
+            this.connectionEntities.clear();
+            this.updateLineConnections();
+        } else {
+            this.removeLineConnections();
+            this.updateConnections();
+        }
+
+        this.updateLabelVisibility();
+    }
+
+    /**
+     * Move a task entity, animating while a layout transition is running
+     * @param {Element} entity - Task group entity
+     * @param {string} position - Target position as "x y z"
+     */
+    moveTaskEntity(entity, position) {
+        entity.removeAttribute('animation__layout');
+        if (!this.layoutTransition) {
+            entity.setAttribute('position', position);
+            return;
+        }
+
+        entity.setAttribute('animation__layout', {
+            property: 'position',
+            to: position,
+            dur: LAYOUT_TRANSITION_MS,
+            easing: 'easeInOutCubic'
+        });
+    }
+
+    /**
+     * Pick the nodes that keep full detail: shallow enough, close enough to the
+     * camera, selected here or by a collaborator, or on the highlighted path
+     * @returns {Set<string>} Task IDs
+     */
+    getDetailedIds() {
+        const cameraPosition = new THREE.Vector3();
+        this.camera.object3D.getWorldPosition(cameraPosition);
+
+        const worldPosition = new THREE.Vector3();
+        const detailedIds = new Set();
+        this.sceneData.nodes.forEach(({ node }) => {
+            worldPosition.set(node.position.x, node.position.y, node.position.z);
+            this.taskContainer.object3D.localToWorld(worldPosition);
+
+            if (node.task.id === this.selectedTask?.id ||
+                node.task.id === this.focusIndicator?.taskId ||
+                this.highlightedPath.has(node.task.id) ||
+                this.peerSelections.has(node.task.id) ||
+                this.lod.isDetailed(node.depth, worldPosition.distanceTo(cameraPosition))) {
+                detailedIds.add(node.task.id);
+            }
+        });
+
+        return detailedIds;
+    }
+
+    /**
+     * Draw collapsed nodes as a single instanced mesh
+     * @param {Array} collapsed - `{ node, visual }` entries without their own entity
+     */
+    updateInstancedNodes(collapsed) {
+        if (this.instancedNodes) {
+            this.taskContainer.object3D.remove(this.instancedNodes);
+            this.instancedNodes.geometry.dispose();
+            this.instancedNodes.material.dispose();
+            this.instancedNodes = null;
+        }
+        if (collapsed.length === 0) return;
+
+        const mesh = new THREE.InstancedMesh(
+            new THREE.DodecahedronGeometry(0.5, 0),
+            new THREE.MeshStandardMaterial({ metalness: 0.3, roughness: 0.7, transparent: true, opacity: 0.9 }),
+            collapsed.length
+        );
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color();
+
+        collapsed.forEach(({ node, visual }, index) => {
+            matrix.makeScale(visual.size, visual.size, visual.size);
+            matrix.setPosition(visual.position.x, visual.position.y, visual.position.z);
+            mesh.setMatrixAt(index, matrix);
+            color.set(this.getTaskColor(node.task.effectiveStatus || node.task.status));
+            // Instances share one material, so faded ones are dimmed instead of made transparent
+            if (this.isFaded(node.task.id)) {
+                color.multiplyScalar(FADED_OPACITY);
+            }
+            mesh.setColorAt(index, color);
         });
+        mesh.instanceMatrix.needsUpdate = true;
+        if (mesh.instanceColor) {
+            mesh.instanceColor.needsUpdate = true;
+        }
+
+        this.instancedNodes = mesh;
+        this.taskContainer.object3D.add(mesh);
     }
 
-    // ... (rest of the methods remain the same)
+    /**
+     * Draw all connections as two line-segment buffers: parent/child lines
+     * in their node colors and dashed dependency lines
+     */
+    updateLineConnections() {
+        this.removeLineConnections();
+
+        const group = new THREE.Group();
+        const color = new THREE.Color();
+
+        const positions = [];
+        const colors = [];
+        this.connections.forEach(connection => {
+            const { from, to } = connection;
+            positions.push(from.x, from.y, from.z, to.x, to.y, to.z);
+            color.setStyle(this.isOnHighlightedPath(connection) ? PATH_COLOR : connection.color);
+            if (this.isFaded(connection.fromId) || this.isFaded(connection.toId)) {
+                color.multiplyScalar(FADED_OPACITY);
+            }
+            colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+        });
+        if (positions.length > 0) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+            group.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+                vertexColors: true,
+                transparent: true,
+                opacity: 0.6
+            })));
+        }
+
+        const dependencyPositions = [];
+        this.dependencyConnections.forEach(({ from, to }) => {
+            dependencyPositions.push(from.x, from.y, from.z, to.x, to.y, to.z);
+        });
+        if (dependencyPositions.length > 0) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(dependencyPositions, 3));
+            const lines = new THREE.LineSegments(geometry, new THREE.LineDashedMaterial({
+                color: '#F97316',
+                dashSize: 0.05,
+                gapSize: 0.03
+            }));
+            lines.computeLineDistances();
+            group.add(lines);
+        }
+
+        this.lineConnections = group;
+        this.connectionsContainer.object3D.add(group);
+    }
+
+    removeLineConnections() {
+        if (!this.lineConnections) return;
+
+        this.connectionsContainer.object3D.remove(this.lineConnections);
+        this.lineConnections.children.forEach(lines => {
+            lines.geometry.dispose();
+            lines.material.dispose();
+        });
+        this.lineConnections = null;
+    }
+
+    /**
+     * In performance mode, hide text labels on nodes beyond the label distance
+     */
+    updateLabelVisibility() {
+        const cameraPosition = new THREE.Vector3();
+        const entityPosition = new THREE.Vector3();
+        if (this.performanceMode) {
+            this.camera.object3D.getWorldPosition(cameraPosition);
+        }
+
+        this.taskEntities.forEach(entity => {
+            let showLabels = true;
+            if (this.performanceMode && entity.object3D) {
+                entity.object3D.getWorldPosition(entityPosition);
+                showLabels = this.lod.showsLabel(entityPosition.distanceTo(cameraPosition));
+            }
+
+            const state = String(showLabels);
+            if (entity.dataset.labels === state) return;
+            entity.dataset.labels = state;
+            entity.querySelectorAll('a-text').forEach(label => label.setAttribute('visible', showLabels));
+        });
+    }
+
+    /**
+     * Per-frame hook from the `focusar-lod` component. Feeds the frame-time
+     * budget and re-checks detail as the camera moves.
+     * @param {number} time - Scene time in ms
+     * @param {number} delta - Time since the last frame in ms
+     */
+    tick(time, delta) {
+        this.dragControls?.tick();
+        this.updateAvatars(delta);
+        if (!this.sceneData) return;
+
+        const thresholdsChanged = this.lod.recordFrame(time, delta);
+        if (!thresholdsChanged && time - this.lastDetailCheck < DETAIL_CHECK_INTERVAL_MS) return;
+        this.lastDetailCheck = time;
+
+        const performanceMode = this.lod.isActive(this.sceneData.nodes.length);
+        if (thresholdsChanged || performanceMode !== this.performanceMode) {
+            this.renderScene(new Set());
+            return;
+        }
+        if (!performanceMode) return;
+
+        const detailedIds = this.getDetailedIds();
+        const detailChanged = detailedIds.size !== this.detailedIds.size ||
+            Array.from(detailedIds).some(id => !this.detailedIds.has(id));
+
+        if (detailChanged) {
+            this.renderScene(new Set());
+        } else {
+            this.updateLabelVisibility();
+        }
+    }
+
+    /**
+     * Set how large scenes are rendered
+     * @param {string} mode - 'auto', 'on' (always performance mode) or 'off' (always full detail)
+     */
+    setPerformanceMode(mode) {
+        this.lod.setMode(mode);
+        if (this.sceneData) {
+            this.renderScene(new Set());
+        }
+    }
+
+    /**
+     * Widen a set of changed task IDs to every task whose appearance they can
+     * affect: old and new ancestors (size follows subtask count and time
+     * rollups), descendants (size follows depth) and dependents (derived
+     * Blocked status)
+     * @param {Set<string>} changedIds - Changed or removed task IDs
+     * @param {Array} tasks - New flat task list
+     * @returns {Set<string>} IDs whose entities need checking
+     */
+    expandChangedIds(changedIds, tasks) {
+        const dirtyIds = new Set(changedIds);
+        const tasksById = new Map(tasks.map(task => [task.id, task]));
+
+        const addAncestors = (parentId, lookup) => {
+            while (parentId && !dirtyIds.has(parentId)) {
+                dirtyIds.add(parentId);
+                parentId = lookup.get(parentId)?.parentId;
+            }
+        };
+        changedIds.forEach(id => {
+            addAncestors(this.tasks.get(id)?.parentId, this.tasks);
+            addAncestors(tasksById.get(id)?.parentId, tasksById);
+        });
+        tasks.forEach(task => {
+            if (task.dependencies?.some(id => changedIds.has(id))) {
+                dirtyIds.add(task.id);
+            }
+
+            const visited = new Set();
+            let ancestorId = task.parentId;
+            while (ancestorId && !visited.has(ancestorId)) {
+                if (changedIds.has(ancestorId)) {
+                    dirtyIds.add(task.id);
+                    break;
+                }
+                visited.add(ancestorId);
+                ancestorId = tasksById.get(ancestorId)?.parentId;
+            }
+        });
+
+        return dirtyIds;
+    }
+
+    /**
+     * Select a task from within the 3D view
+     * @param {Object} task - Task to select
+     */
+    selectTask(task) {
+        this.focusOnTask(task);
+        this.onTaskSelect?.(this.tasks.get(task.id) || task);
+    }
+
+    /**
+     * Highlight a task and fly the camera to it
+     * @param {Object} task - Task to focus
+     * @param {Object} [options]
+     * @param {boolean} [options.showPath=false] - Also highlight the task's
+     *     ancestors and the connections leading down to it
+     */
+    focusOnTask(task, { showPath = false } = {}) {
+        if (!this.isInitialized || !task) return;
+
+        this.selectedTask = this.tasks.get(task.id) || task;
+        const path = showPath ? this.getAncestorPath(task.id) : new Set();
+        const pathChanged = path.size !== this.highlightedPath.size ||
+            Array.from(path).some(id => !this.highlightedPath.has(id));
+        this.highlightedPath = path;
+
+        // The selected task and its path always get full detail, even when collapsed
+        if (pathChanged || (this.performanceMode && !this.taskEntities.has(task.id))) {
+            this.renderScene(new Set());
+        }
+        this.highlightTask(task.id);
+
+        const entity = this.taskEntities.get(task.id);
+        if (!entity?.object3D) return;
+
+        const target = new THREE.Vector3();
+        entity.object3D.getWorldPosition(target);
+
+        const distance = Math.max(0.5, FOCUS_DISTANCE - this.zoomLevel * ZOOM_STEP * 0.5);
+        this.animateCameraTo({ x: target.x, y: target.y, z: target.z + distance });
+    }
+
+    /**
+     * A task and its ancestors, following `parentId`
+     * @param {string} taskId - Task ID
+     * @returns {Set<string>} Task IDs from the task up to its root
+     */
+    getAncestorPath(taskId) {
+        const path = new Set();
+        let task = this.tasks.get(taskId);
+        while (task && !path.has(task.id)) {
+            path.add(task.id);
+            task = this.tasks.get(task.parentId);
+        }
+        return path;
+    }
+
+    /**
+     * Mark one task entity as selected, and its ancestors when a path is
+     * highlighted
+     * @param {string|null} taskId - Task ID, or null to clear
+     */
+    highlightTask(taskId) {
+        this.taskEntities.forEach((entity, id) => {
+            const model = entity.querySelector('.task-model');
+            let emissive = '#000000';
+            let intensity = 0;
+            if (id === taskId) {
+                emissive = '#FFFFFF';
+                intensity = 0.35;
+            } else if (this.highlightedPath.has(id)) {
+                emissive = PATH_COLOR;
+                intensity = 0.3;
+            }
+            model?.setAttribute('material', 'emissive', emissive);
+            model?.setAttribute('material', 'emissiveIntensity', intensity);
+        });
+    }
+
+    resetView() {
+        this.zoomLevel = 0;
+        this.selectedTask = null;
+        if (this.highlightedPath.size > 0) {
+            this.highlightedPath = new Set();
+            this.renderScene(new Set());
+        }
+        this.highlightTask(null);
+        this.animateCameraTo(DEFAULT_RIG_POSITION);
+    }
+
+    zoomIn() {
+        this.zoom(1);
+    }
+
+    zoomOut() {
+        this.zoom(-1);
+    }
+
+    /**
+     * Move the camera along its view direction
+     * @param {number} steps - Positive to move closer, negative to move away
+     */
+    zoom(steps) {
+        if (!this.isInitialized) return;
+
+        const level = Math.max(MIN_ZOOM_LEVEL, Math.min(MAX_ZOOM_LEVEL, this.zoomLevel + steps));
+        const delta = level - this.zoomLevel;
+        if (delta === 0) return;
+        this.zoomLevel = level;
+
+        const direction = new THREE.Vector3();
+        (this.camera.getObject3D('camera') || this.camera.object3D).getWorldDirection(direction);
+
+        // Start from the animation target so quick repeated taps add up
+        const from = this.cameraTarget || this.cameraRig.object3D.position;
+        this.animateCameraTo({
+            x: from.x + direction.x * delta * ZOOM_STEP,
+            y: from.y + direction.y * delta * ZOOM_STEP,
+            z: from.z + direction.z * delta * ZOOM_STEP
+        });
+    }
+
+    /**
+     * Animate the camera rig to a position
+     * @param {Object} position - Target position `{ x, y, z }`
+     */
+    animateCameraTo(position) {
+        this.cameraTarget = { ...position };
+        this.cameraRig.removeAttribute('animation__camera');
+        this.cameraRig.setAttribute('animation__camera', {
+            property: 'position',
+            to: `${position.x} ${position.y} ${position.z}`,
+            dur: CAMERA_ANIMATION_MS,
+            easing: 'easeInOutQuad'
+        });
+    }
+
+    getTaskColor(status) {
+        return this.fractalAlgorithm.workflow.getColor(status);
+    }
+
+    /**
+     * Rotation that turns a Y-aligned primitive to point from start to end
+     * @param {Object} start - Start position
+     * @param {Object} end - End position
+     * @returns {string} Rotation in degrees, as an A-Frame attribute value
+     */
+    getRotationBetween(start, end) {
+        const direction = new THREE.Vector3(end.x - start.x, end.y - start.y, end.z - start.z).normalize();
+        const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+        const toDegrees = THREE.MathUtils.radToDeg;
+
+        return `${toDegrees(euler.x)} ${toDegrees(euler.y)} ${toDegrees(euler.z)}`;
+    }
+
+    showError(message = 'AR/VR view is not available on this device') {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="flex items-center justify-center h-full">
+                <div class="text-center p-4">
+                    <i class="fas fa-vr-cardboard text-4xl text-red-500 mb-2"></i>
+                    <p class="text-gray-300"></p>
+                </div>
+            </div>
+        `;
+        this.container.querySelector('p').textContent = message;
+    }
 }
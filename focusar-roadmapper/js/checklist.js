@@ -0,0 +1,34 @@
+/**
+ * Checklists: small ordered steps stored on a task as
+ * `checklist: [{ id, text, done }]`, for steps that don't deserve a subtask
+ * of their own. Items can become subtasks and back (see
+ * `TaskManager.convertChecklistItemToSubtask`).
+ */
+
+/**
+ * @param {Array} checklist - Checklist to check
+ * @returns {boolean} Whether every item has an ID, some text and a done flag
+ */
+export function isValidChecklist(checklist) {
+    if (!Array.isArray(checklist)) return false;
+
+    const ids = new Set();
+    return checklist.every(item => {
+        if (!item || typeof item.id !== 'string' || ids.has(item.id)) return false;
+        ids.add(item.id);
+        return typeof item.text === 'string' && item.text.trim() !== '' && typeof item.done === 'boolean';
+    });
+}
+
+/**
+ * How far along a task's checklist is
+ * @param {Object} task - Task with optional `checklist`
+ * @returns {Object|null} `{ done, total, ratio }`, or null without items
+ */
+export function getChecklistProgress(task) {
+    const items = task.checklist || [];
+    if (items.length === 0) return null;
+
+    const done = items.filter(item => item.done).length;
+    return { done, total: items.length, ratio: done / items.length };
+}
@@ -0,0 +1,390 @@
+import { createTaskId } from './task-manager.js';
+
+// How often the local presence is checked for changes worth sending
+const PRESENCE_POLL_MS = 200;
+// Unchanged presence is re-sent this often so peers know we're still here
+const HEARTBEAT_MS = 5000;
+// Peers not heard from for this long are dropped
+const PEER_TIMEOUT_MS = 15000;
+const MAX_RECONNECT_MS = 30 * 1000;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const PEER_COLORS = ['#F472B6', '#FB923C', '#A3E635', '#2DD4BF', '#818CF8', '#F87171', '#FACC15', '#C084FC'];
+
+/**
+ * Pick a stable color for a peer
+ * @param {string} peerId - Peer ID
+ * @returns {string} Hex color
+ */
+function colorForPeer(peerId) {
+    let hash = 0;
+    for (const char of peerId) {
+        hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    }
+    return PEER_COLORS[Math.abs(hash) % PEER_COLORS.length];
+}
+
+function isVector3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+/**
+ * Keep the parts of a peer's presence that are shaped as expected; anything
+ * else from the room is ignored
+ * @param {*} presence - Presence as received
+ * @returns {Object} `{ selectedTaskId, camera }`, each only when valid
+ */
+function readPresence(presence) {
+    if (!presence || typeof presence !== 'object') return {};
+
+    const valid = {};
+    if (presence.selectedTaskId === null || typeof presence.selectedTaskId === 'string') {
+        valid.selectedTaskId = presence.selectedTaskId;
+    }
+    if (presence.camera === null ||
+        (presence.camera && isVector3(presence.camera.position) && isVector3(presence.camera.direction))) {
+        valid.camera = presence.camera && {
+            position: [...presence.camera.position],
+            direction: [...presence.camera.direction]
+        };
+    }
+    return valid;
+}
+
+/**
+ * Collaboration between tabs of the same browser. No server needed.
+ *
+ * Transports share one interface: `connect()` resolves once messages can be
+ * sent, `send(message)` delivers a JSON-safe object to every other member of
+ * the room (never back to the sender), `close()` leaves, and incoming
+ * messages go to `onMessage`. `onReconnect`, when set, is called after a
+ * dropped connection comes back.
+ */
+export class BroadcastChannelTransport {
+    /**
+     * @param {string} room - Room name
+     */
+    constructor(room) {
+        this.room = room;
+        this.channel = null;
+        this.onMessage = null;
+        this.onReconnect = null;
+    }
+
+    async connect() {
+        this.channel = new BroadcastChannel(`focusar-collab:${this.room}`);
+        this.channel.onmessage = (event) => this.onMessage?.(event.data);
+    }
+
+    send(message) {
+        this.channel?.postMessage(message);
+    }
+
+    close() {
+        this.channel?.close();
+        this.channel = null;
+    }
+}
+
+/**
+ * Collaboration through the relay in `server/collab-relay.mjs`. Reconnects
+ * with backoff when the connection drops; messages sent while disconnected
+ * are dropped, since peers exchange full state again on reconnect.
+ */
+export class WebSocketTransport {
+    /**
+     * @param {string} url - Relay URL, e.g. ws://localhost:8788
+     * @param {string} room - Room name
+     */
+    constructor(url, room) {
+        this.url = `${url.replace(/\/+$/, '')}/${encodeURIComponent(room)}`;
+        this.socket = null;
+        this.closed = false;
+        this.failures = 0;
+        this.reconnectTimer = null;
+        this.onMessage = null;
+        this.onReconnect = null;
+    }
+
+    connect() {
+        this.closed = false;
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            let opened = false;
+
+            socket.onopen = () => {
+                opened = true;
+                this.failures = 0;
+                resolve();
+            };
+            socket.onmessage = (event) => {
+                try {
+                    this.onMessage?.(JSON.parse(event.data));
+                } catch (error) {
+                    console.error('Error reading collaboration message:', error);
+                }
+            };
+            socket.onclose = () => {
+                if (!opened) {
+                    reject(new Error(`Could not connect to ${this.url}`));
+                    return;
+                }
+                this._scheduleReconnect();
+            };
+
+            this.socket = socket;
+        });
+    }
+
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.socket?.close();
+        this.socket = null;
+    }
+
+    _scheduleReconnect() {
+        if (this.closed) return;
+
+        const delay = Math.min(MAX_RECONNECT_MS, 1000 * 2 ** this.failures);
+        this.reconnectTimer = setTimeout(async () => {
+            try {
+                await this.connect();
+                this.onReconnect?.();
+            } catch (error) {
+                this.failures += 1;
+                this._scheduleReconnect();
+            }
+        }, delay);
+    }
+}
+
+/**
+ * Live editing of one task set by several people. Task changes travel as
+ * records and merge field by field (see `mergeTasks`), so concurrent edits
+ * to different fields all survive and every participant converges on the
+ * same tasks. Each participant also shares their presence: the selected
+ * task and where their camera is, in task-container coordinates so it
+ * lines up whatever each person's own view.
+ *
+ * Messages, all carrying `from` (peer ID) and `peer` (`{ name, color }`):
+ * - `hello`: joining, with every record; peers answer with `state`
+ * - `state`: every record and the presence, for the peer named in `to`
+ * - `changes`: records that changed
+ * - `presence`: `{ selectedTaskId, camera }`
+ * - `bye`: leaving
+ */
+export class CollaborationSession {
+    /**
+     * @param {TaskManager} taskManager - Tasks to share
+     * @param {Object} transport - See `BroadcastChannelTransport`
+     * @param {Object} [options]
+     * @param {string} [options.name] - Name shown to other participants
+     * @param {Function} [options.getPresence] - Returns `{ selectedTaskId, camera }`
+     */
+    constructor(taskManager, transport, options = {}) {
+        this.taskManager = taskManager;
+        this.transport = transport;
+        this.peerId = createTaskId();
+        this.name = options.name || 'Guest';
+        this.color = colorForPeer(this.peerId);
+        this.getPresence = options.getPresence || (() => ({}));
+        this.presence = {};
+        this.lastPresenceSentAt = 0;
+        this.peers = new Map();
+        this.listeners = new Set();
+        this.pollTimer = null;
+        this.active = false;
+        this.handleTasksChanged = this.handleTasksChanged.bind(this);
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Join the room and start sharing changes and presence
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.active) return;
+        try {
+            this.transport.onMessage = this.handleMessage;
+            this.transport.onReconnect = () => this._sendHello();
+            await this.transport.connect();
+
+            this.active = true;
+            this.taskManager.addChangeListener(this.handleTasksChanged);
+            this._sendHello();
+            this.pollTimer = setInterval(() => this._tick(), PRESENCE_POLL_MS);
+        } catch (error) {
+            console.error('Error joining collaboration session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Leave the room
+     */
+    stop() {
+        if (!this.active) return;
+        this._send({ type: 'bye' });
+        this.active = false;
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.taskManager.removeChangeListener(this.handleTasksChanged);
+        this.transport.close();
+        this.peers.clear();
+        this._emit();
+    }
+
+    addListener(listener) {
+        this.listeners.add(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * @returns {Array} Other participants as `{ id, name, color, selectedTaskId, camera }`
+     */
+    getPeers() {
+        return Array.from(this.peers.values());
+    }
+
+    /**
+     * Send the presence now rather than at the next poll, e.g. on selection
+     */
+    updatePresence() {
+        if (this.active) this._tick();
+    }
+
+    handleTasksChanged(tasks, change) {
+        // Remote changes came from a peer, who already shared them
+        if (change.origin === 'remote') return;
+
+        const ids = change.reset ? this.taskManager.getRecordIds() : [...change.changed, ...change.removed];
+        this._sendRecords(ids);
+    }
+
+    async handleMessage(message) {
+        if (!message || typeof message.from !== 'string' || message.from === '' || message.from === this.peerId) return;
+        if (message.to && message.to !== this.peerId) return;
+
+        try {
+            switch (message.type) {
+                case 'hello':
+                    this._updatePeer(message, {});
+                    this._send({
+                        type: 'state',
+                        to: message.from,
+                        records: this._getRecords(this.taskManager.getRecordIds()),
+                        presence: this.presence
+                    });
+                    await this._applyRecords(message.records);
+                    break;
+                case 'state':
+                    this._updatePeer(message, message.presence);
+                    await this._applyRecords(message.records);
+                    break;
+                case 'changes':
+                    this._updatePeer(message, {});
+                    await this._applyRecords(message.records);
+                    break;
+                case 'presence':
+                    this._updatePeer(message, message.presence);
+                    break;
+                case 'bye':
+                    this.peers.delete(message.from);
+                    this._emit();
+                    break;
+            }
+        } catch (error) {
+            console.error('Error handling collaboration message:', error);
+        }
+    }
+
+    /**
+     * Merge records from a peer, and send back tasks that kept local edits
+     * the peer hadn't seen
+     * @param {Array} [records] - Tasks and tombstones
+     */
+    async _applyRecords(records) {
+        if (!Array.isArray(records) || records.length === 0) return;
+        const { merged } = await this.taskManager.applyRemoteRecords(records);
+        this._sendRecords(merged);
+    }
+
+    _sendHello() {
+        this.lastPresenceSentAt = 0;
+        this._send({ type: 'hello', records: this._getRecords(this.taskManager.getRecordIds()) });
+    }
+
+    _sendRecords(ids) {
+        const records = this._getRecords(ids);
+        if (records.length > 0) {
+            this._send({ type: 'changes', records });
+        }
+    }
+
+    _getRecords(ids) {
+        return ids.map(id => this.taskManager.getRecord(id)).filter(Boolean);
+    }
+
+    /**
+     * Send the presence when it changed or the heartbeat is due, and drop
+     * peers that went quiet
+     */
+    _tick() {
+        const now = Date.now();
+        const presence = this.getPresence() || {};
+        const changed = JSON.stringify(presence) !== JSON.stringify(this.presence);
+        if (changed || now - this.lastPresenceSentAt >= HEARTBEAT_MS) {
+            this.presence = presence;
+            this.lastPresenceSentAt = now;
+            this._send({ type: 'presence', presence });
+        }
+
+        let dropped = false;
+        this.peers.forEach((peer, id) => {
+            if (now - peer.lastSeenAt > PEER_TIMEOUT_MS) {
+                this.peers.delete(id);
+                dropped = true;
+            }
+        });
+        if (dropped) this._emit();
+    }
+
+    _updatePeer(message, received = {}) {
+        const previous = this.peers.get(message.from);
+        const presence = readPresence(received);
+        const { selectedTaskId = previous?.selectedTaskId ?? null, camera = previous?.camera ?? null } = presence;
+        this.peers.set(message.from, {
+            id: message.from,
+            name: typeof message.peer?.name === 'string' && message.peer.name.trim() ? message.peer.name : 'Guest',
+            color: HEX_COLOR.test(message.peer?.color) ? message.peer.color : colorForPeer(message.from),
+            selectedTaskId,
+            camera,
+            lastSeenAt: Date.now()
+        });
+        if (!previous || Object.keys(presence).length > 0) {
+            this._emit();
+        }
+    }
+
+    _send(message) {
+        this.transport.send({
+            ...message,
+            from: this.peerId,
+            peer: { name: this.name, color: this.color }
+        });
+    }
+
+    _emit() {
+        const peers = this.getPeers();
+        this.listeners.forEach(listener => listener(peers));
+    }
+}
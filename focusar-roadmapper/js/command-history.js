@@ -0,0 +1,75 @@
+/**
+ * Bounded undo/redo stack of reversible commands.
+ * A command is `{ label, undo, redo }` where `undo` and `redo` may be async.
+ */
+export class CommandHistory {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record a command that has already been executed
+     * @param {Object} command - Command with `label`, `undo` and `redo`
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        // A new action invalidates anything that was undone
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {Promise<Object|null>} Undone command or null if nothing to undo
+     */
+    async undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        try {
+            await command.undo();
+        } catch (error) {
+            this.undoStack.push(command);
+            throw error;
+        }
+
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {Promise<Object|null>} Redone command or null if nothing to redo
+     */
+    async redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        try {
+            await command.redo();
+        } catch (error) {
+            this.redoStack.push(command);
+            throw error;
+        }
+
+        this.undoStack.push(command);
+        return command;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Strategies for breaking a task into subtasks. A strategy has a `label`, a
+ * `priority` (higher is tried first) and `suggest(task, context)`, which
+ * returns `{ title, weight?, description? }` items, or an empty array when it
+ * has nothing useful to say about the task. `context` carries the
+ * `complexity` score from `FractalAlgorithm`.
+ */
+
+const LIST_ITEM = /^\s*(?:[-*+•]|\d+[.)])\s+(?:\[[ xX]?\]\s+)?(.+?)\s*$/;
+
+/**
+ * Lowercased title and description, for keyword matching
+ * @param {Object} task - Task to read
+ * @returns {string} Searchable text
+ */
+function taskText(task) {
+    return `${task.title || ''} ${task.description || ''}`.toLowerCase();
+}
+
+/**
+ * Pattern matching a keyword at the start of a word. Keywords are plain
+ * text, so regex characters in them (`c++`, `(beta)`) are escaped.
+ * @param {string} keyword - Lowercased keyword
+ * @returns {RegExp} Pattern
+ */
+function keywordPattern(keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // `\b` only marks a word start before a word character
+    return new RegExp(/^\w/.test(keyword) ? `\\b${escaped}` : escaped);
+}
+
+/**
+ * Uses bullet or numbered lists in the description as the subtasks
+ */
+export class ListStrategy {
+    constructor() {
+        this.label = 'Items listed in the description';
+        this.priority = 100;
+    }
+
+    suggest(task) {
+        const items = (task.description || '')
+            .split('\n')
+            .map(line => line.match(LIST_ITEM)?.[1])
+            .filter(Boolean);
+
+        // A single bullet is a note, not a breakdown
+        return items.length >= 2 ? items.map(title => ({ title })) : [];
+    }
+}
+
+/**
+ * Pulls "implement/add/create/develop X" phrases out of descriptions that
+ * talk about features
+ */
+export class FeatureStrategy {
+    constructor() {
+        this.label = 'Features mentioned in the description';
+        this.priority = 60;
+    }
+
+    suggest(task) {
+        const description = task.description || '';
+        if (!/\b(feature|functionality)\b/i.test(description)) {
+            return [];
+        }
+
+        return description.split(/[.!?\n]+/)
+            .map(sentence => sentence.match(/\b(implement|add|create|develop)\s+([^,.!?]+)/i)?.[2].trim())
+            .filter(Boolean)
+            .map(feature => ({ title: feature.charAt(0).toUpperCase() + feature.slice(1) }));
+    }
+}
+
+/**
+ * Fixed set of subtasks, offered when the task mentions any of the keywords.
+ * Without keywords it is offered for every task.
+ */
+export class KeywordStrategy {
+    /**
+     * @param {Object} definition - `{ label, keywords, subtasks, priority }`;
+     *     `subtasks` are titles or `{ title, weight, description }` items
+     */
+    constructor({ label, keywords = [], subtasks, priority = 40 }) {
+        this.label = label;
+        this.keywords = keywords.map(keyword => keyword.toLowerCase());
+        this.patterns = this.keywords.map(keywordPattern);
+        this.subtasks = subtasks.map(item => (typeof item === 'string' ? { title: item } : item));
+        this.priority = priority;
+    }
+
+    suggest(task) {
+        const text = taskText(task);
+        const matches = this.keywords.length === 0 ||
+            this.patterns.some(pattern => pattern.test(text));
+
+        return matches ? this.subtasks.map(item => ({ ...item })) : [];
+    }
+}
+
+/**
+ * Fallback: evenly sized phases, more of them for more complex tasks
+ */
+export class PhaseStrategy {
+    constructor() {
+        this.label = 'Phases';
+        this.priority = 0;
+    }
+
+    suggest(task, { complexity }) {
+        const count = Math.max(2, Math.min(5, Math.ceil(complexity / 2)));
+        return Array.from({ length: count }, (_, index) => ({ title: `Phase ${index + 1}` }));
+    }
+}
+
+/**
+ * Built-in strategies by name
+ * @returns {Map<string, Object>} Fresh registry that callers may extend
+ */
+export function createDefaultStrategies() {
+    return new Map([
+        ['list', new ListStrategy()],
+        ['features', new FeatureStrategy()],
+        ['optimization', new KeywordStrategy({
+            label: 'Optimization',
+            keywords: ['improve', 'optimize', 'optimise', 'speed up', 'performance', 'faster'],
+            priority: 50,
+            subtasks: [
+                { title: 'Measure baseline', weight: 0.2 },
+                { title: 'Identify bottlenecks', weight: 0.2 },
+                { title: 'Apply improvements', weight: 0.4 },
+                { title: 'Verify gains', weight: 0.2 }
+            ]
+        })],
+        ['core-components', new KeywordStrategy({
+            label: 'Plan, build, test, document',
+            keywords: ['implement', 'develop', 'create', 'build'],
+            priority: 40,
+            subtasks: [
+                { title: 'Research & Planning', weight: 0.2 },
+                { title: 'Core Implementation', weight: 0.4 },
+                { title: 'Testing & Validation', weight: 0.2 },
+                { title: 'Documentation', weight: 0.2 }
+            ]
+        })],
+        ['phases', new PhaseStrategy()]
+    ]);
+}
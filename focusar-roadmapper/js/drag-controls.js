@@ -0,0 +1,182 @@
+const DRAG_THRESHOLD = 0.02;
+const CONTROLLER_GRAB_EVENTS = { down: ['triggerdown', 'gripdown'], up: ['triggerup', 'gripup'] };
+
+/**
+ * Grab-and-drag for task entities. Mouse and touch drag on a plane facing the
+ * camera; tracked controllers (`laser-controls`, `oculus-touch-controls`)
+ * carry the entity along their ray at the distance it was grabbed.
+ *
+ * Drops are reported through `ARController.onTaskMove` with the position in
+ * task container coordinates, the same space layouts use.
+ */
+export class TaskDragControls {
+    constructor(arController) {
+        this.arController = arController;
+        this.drag = null;
+        this.suppressClick = false;
+        this.raycaster = new THREE.Raycaster();
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+    }
+
+    /**
+     * Listen for controller grabs on the scene
+     * @param {Element} scene - The a-scene element
+     */
+    attach(scene) {
+        CONTROLLER_GRAB_EVENTS.down.forEach(type => {
+            scene.addEventListener(type, (event) => this.startControllerDrag(event.target));
+        });
+        CONTROLLER_GRAB_EVENTS.up.forEach(type => {
+            scene.addEventListener(type, (event) => {
+                if (this.drag?.controller === event.target) {
+                    this.endDrag();
+                }
+            });
+        });
+    }
+
+    /**
+     * Start dragging from a cursor `mousedown` on a task entity
+     * @param {Element} entity - Task group entity
+     * @param {Object} detail - Cursor event detail with the `intersection`
+     */
+    startPointerDrag(entity, detail) {
+        if (this.drag) return;
+
+        const camera = this.arController.camera.getObject3D('camera');
+        if (!camera) return;
+
+        const entityPosition = entity.object3D.getWorldPosition(new THREE.Vector3());
+        const grabPoint = detail?.intersection?.point?.clone() || entityPosition.clone();
+        const normal = camera.getWorldDirection(new THREE.Vector3());
+
+        this.drag = {
+            entity,
+            camera,
+            plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, grabPoint),
+            offset: entityPosition.sub(grabPoint),
+            start: entity.object3D.position.clone(),
+            moved: false
+        };
+        this.setLookControlsEnabled(false);
+
+        window.addEventListener('pointermove', this.handlePointerMove);
+        window.addEventListener('pointerup', this.handlePointerUp);
+        window.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    /**
+     * Start dragging the task entity a controller is pointing at
+     * @param {Element} controller - Controller entity with a raycaster
+     */
+    startControllerDrag(controller) {
+        const raycaster = controller?.components?.raycaster;
+        if (this.drag || !raycaster) return;
+
+        const entity = raycaster.intersectedEls
+            .map(el => el.closest('[data-task-id]'))
+            .find(el => el && this.arController.taskEntities.has(el.getAttribute('data-task-id')));
+        const intersection = entity && raycaster.getIntersection(entity);
+        if (!intersection) return;
+
+        this.drag = {
+            entity,
+            controller,
+            distance: intersection.distance,
+            offset: entity.object3D.getWorldPosition(new THREE.Vector3()).sub(intersection.point),
+            start: entity.object3D.position.clone(),
+            moved: false
+        };
+    }
+
+    handlePointerMove(event) {
+        const { camera, plane, offset } = this.drag;
+        const rect = this.arController.scene.canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        this.raycaster.setFromCamera(pointer, camera);
+        const hit = this.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+        if (hit) {
+            this.moveTo(hit.add(offset));
+        }
+    }
+
+    handlePointerUp() {
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        window.removeEventListener('pointercancel', this.handlePointerUp);
+        this.setLookControlsEnabled(true);
+        this.endDrag();
+    }
+
+    /**
+     * Follow controller rays; called every frame
+     */
+    tick() {
+        const controller = this.drag?.controller;
+        if (!controller) return;
+
+        const { ray } = controller.components.raycaster.raycaster;
+        this.moveTo(ray.origin.clone()
+            .addScaledVector(ray.direction, this.drag.distance)
+            .add(this.drag.offset));
+    }
+
+    /**
+     * Place the dragged entity at a world position
+     * @param {THREE.Vector3} worldPosition - Target in world space
+     */
+    moveTo(worldPosition) {
+        const { entity, start } = this.drag;
+        const local = this.arController.taskContainer.object3D.worldToLocal(worldPosition);
+
+        if (!this.drag.moved && local.distanceTo(start) < DRAG_THRESHOLD) return;
+        this.drag.moved = true;
+
+        // Forget the rendered position so the next render puts it back if the move is rejected
+        entity.removeAttribute('animation__layout');
+        entity.removeAttribute('data-position');
+        entity.object3D.position.copy(local);
+    }
+
+    endDrag() {
+        const { entity, moved } = this.drag;
+        this.drag = null;
+        if (!moved) return;
+
+        // The cursor still fires a click on release; it should not select
+        this.suppressClick = true;
+        setTimeout(() => {
+            this.suppressClick = false;
+        }, 0);
+
+        const task = this.arController.tasks.get(entity.getAttribute('data-task-id'));
+        const { x, y, z } = entity.object3D.position;
+        const round = (value) => Math.round(value * 1000) / 1000;
+
+        if (task) {
+            this.arController.onTaskMove?.(task, { x: round(x), y: round(y), z: round(z) });
+        }
+    }
+
+    /**
+     * Whether a click should be ignored because it ended a drag
+     * @returns {boolean}
+     */
+    consumeClick() {
+        const suppress = this.suppressClick;
+        this.suppressClick = false;
+        return suppress;
+    }
+
+    setLookControlsEnabled(enabled) {
+        const camera = this.arController.camera;
+        if (camera?.components['look-controls'] && this.arController.isVRMode) {
+            camera.setAttribute('look-controls', 'enabled', enabled);
+        }
+    }
+}
@@ -0,0 +1,301 @@
+const SETTINGS_KEY = 'focusar-focus-settings';
+// Stretches not yet saved on their task, so closing the tab mid-save loses nothing
+const UNSAVED_KEY = 'focusar-focus-unsaved';
+const TICK_MS = 1000;
+// Shorter stretches (a quick pause/resume) aren't worth a time entry
+const MIN_LOGGED_MS = 1000;
+
+export const DEFAULT_FOCUS_SETTINGS = {
+    workMinutes: 25,
+    breakMinutes: 5,
+    longBreakMinutes: 15,
+    sessionsBeforeLongBreak: 4
+};
+
+/**
+ * Pomodoro-style focus sessions on a single task. A session is a work block
+ * followed by a break; every 4th break (by default) is a long one.
+ *
+ * Work time is logged on the task as `timeEntries` (`{ start, end, source }`
+ * with ISO strings), one entry per uninterrupted stretch, so pauses are not counted.
+ * Timing uses wall-clock timestamps, so throttled background tabs stay accurate.
+ * A stretch is kept in localStorage until it is saved on the task, and
+ * `logUnsavedTime` saves any left over when the page closed first.
+ *
+ * Listeners are called with `(state, event)` where event is one of
+ * 'start', 'tick', 'pause', 'resume', 'break', 'complete' or 'stop'.
+ */
+export class FocusSession {
+    constructor(taskManager) {
+        this.taskManager = taskManager;
+        this.settings = this.loadSettings();
+        this.phase = 'idle';
+        this.taskId = null;
+        this.paused = false;
+        this.durationMs = 0;
+        this.remainingMs = 0;
+        this.endsAt = null;
+        this.segmentStart = null;
+        this.completedSessions = 0;
+        this.timer = null;
+        this.listeners = new Set();
+    }
+
+    loadSettings() {
+        try {
+            return { ...DEFAULT_FOCUS_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+        } catch (error) {
+            return { ...DEFAULT_FOCUS_SETTINGS };
+        }
+    }
+
+    /**
+     * Change session lengths; applies from the next phase
+     * @param {Object} settings - Any of the `DEFAULT_FOCUS_SETTINGS` keys
+     */
+    updateSettings(settings) {
+        const next = { ...this.settings, ...settings };
+        const invalid = Object.keys(DEFAULT_FOCUS_SETTINGS).find(key =>
+            !Number.isFinite(next[key]) || next[key] <= 0
+        );
+        if (invalid) {
+            throw new Error(`${invalid} must be a positive number`);
+        }
+
+        this.settings = next;
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+        } catch (error) {
+            console.error('Error saving focus settings:', error);
+        }
+    }
+
+    addListener(listener) {
+        this.listeners.add(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * Current timer state
+     * @returns {Object} `{ phase, taskId, paused, durationMs, remainingMs, progress, completedSessions }`
+     */
+    getState() {
+        const remainingMs = this.phase === 'idle' ? 0 : this._remaining();
+        return {
+            phase: this.phase,
+            taskId: this.taskId,
+            paused: this.paused,
+            durationMs: this.durationMs,
+            remainingMs,
+            progress: this.durationMs ? 1 - remainingMs / this.durationMs : 0,
+            completedSessions: this.completedSessions
+        };
+    }
+
+    /**
+     * Start a work block on a task, ending any running session first.
+     * Todo and blocked tasks move to the workflow's first active status
+     * when the workflow allows it.
+     * @param {string} taskId - Task to focus on
+     * @returns {Promise<void>}
+     */
+    async start(taskId) {
+        const task = this.taskManager.getTask(taskId);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+
+        if (this.phase !== 'idle') {
+            await this.stop();
+        }
+
+        this.taskId = taskId;
+        this._beginPhase('work', this.settings.workMinutes);
+        this.timer = setInterval(() => this._tick(), TICK_MS);
+        this._emit('start');
+
+        const { workflow } = this.taskManager;
+        const category = workflow.getStatus(task.status)?.category;
+        if ((category === 'todo' || category === 'blocked') &&
+            workflow.activeStatus && workflow.canTransition(task.status, workflow.activeStatus)) {
+            try {
+                await this.taskManager.updateTask(taskId, { status: workflow.activeStatus });
+            } catch (error) {
+                console.error('Error starting task:', error);
+            }
+        }
+    }
+
+    pause() {
+        if (this.phase === 'idle' || this.paused) return;
+
+        this.remainingMs = this._remaining();
+        this.paused = true;
+        const logged = this._closeSegment();
+        this._emit('pause');
+        return logged;
+    }
+
+    resume() {
+        if (this.phase === 'idle' || !this.paused) return;
+
+        this.paused = false;
+        this.endsAt = Date.now() + this.remainingMs;
+        if (this.phase === 'work') {
+            this.segmentStart = Date.now();
+        }
+        this._emit('resume');
+    }
+
+    /**
+     * End the session now, logging any unlogged work
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.phase === 'idle') return;
+
+        const logged = this._closeSegment();
+        this._reset();
+        this._emit('stop');
+        await logged;
+    }
+
+    /**
+     * Jump to the end of the current phase
+     * @returns {Promise<void>}
+     */
+    async skip() {
+        if (this.phase === 'idle') return;
+        await this._completePhase();
+    }
+
+    _tick() {
+        if (this.paused) return;
+
+        if (this._remaining() <= 0) {
+            this._completePhase();
+        } else {
+            this._emit('tick');
+        }
+    }
+
+    async _completePhase() {
+        if (this.phase === 'work') {
+            const logged = this._closeSegment();
+            this.completedSessions++;
+
+            const longBreak = this.completedSessions % this.settings.sessionsBeforeLongBreak === 0;
+            this._beginPhase('break', longBreak ? this.settings.longBreakMinutes : this.settings.breakMinutes);
+            this._emit('break');
+            await logged;
+        } else {
+            this._reset();
+            this._emit('complete');
+        }
+    }
+
+    _beginPhase(phase, minutes) {
+        this.phase = phase;
+        this.paused = false;
+        this.durationMs = minutes * 60 * 1000;
+        this.remainingMs = this.durationMs;
+        this.endsAt = Date.now() + this.durationMs;
+        this.segmentStart = phase === 'work' ? Date.now() : null;
+    }
+
+    _reset() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.phase = 'idle';
+        this.paused = false;
+        this.durationMs = 0;
+        this.remainingMs = 0;
+        this.endsAt = null;
+        this.segmentStart = null;
+    }
+
+    _remaining() {
+        return this.paused ? this.remainingMs : Math.max(0, this.endsAt - Date.now());
+    }
+
+    /**
+     * Save stretches that were closed but not saved on their task before the
+     * page went away. Call once tasks are loaded.
+     * @returns {Promise<void>}
+     */
+    async logUnsavedTime() {
+        for (const stretch of this._readUnsaved()) {
+            await this._logStretch(stretch);
+        }
+    }
+
+    /**
+     * Log the running stretch of work, if any, as a time entry on the task.
+     * The stretch is kept before the first `await`, so it survives the page
+     * closing right after.
+     * @returns {Promise<void>}
+     */
+    async _closeSegment() {
+        if (this.phase !== 'work' || this.segmentStart === null) return;
+
+        const start = this.segmentStart;
+        const end = Math.min(Date.now(), this.endsAt ?? Date.now());
+        this.segmentStart = null;
+        if (end - start < MIN_LOGGED_MS) return;
+
+        const stretch = { taskId: this.taskId, start: new Date(start).toISOString(), end: new Date(end).toISOString() };
+        this._writeUnsaved([...this._readUnsaved(), stretch]);
+        await this._logStretch(stretch);
+    }
+
+    /**
+     * Add a stretch to its task's time entries, unless it's already there,
+     * and forget it once saved
+     * @param {Object} stretch - `{ taskId, start, end }` with ISO strings
+     * @returns {Promise<void>}
+     */
+    async _logStretch({ taskId, start, end }) {
+        const task = this.taskManager.getTask(taskId);
+        try {
+            const logged = (task?.timeEntries || []).some(entry => entry.start === start && entry.end === end);
+            if (task && !logged) {
+                await this.taskManager.updateTask(task.id, {
+                    timeEntries: [...(task.timeEntries || []), { start, end, source: 'timer' }]
+                });
+            }
+            this._writeUnsaved(this._readUnsaved().filter(stretch => stretch.start !== start || stretch.taskId !== taskId));
+        } catch (error) {
+            console.error('Error logging focus time:', error);
+        }
+    }
+
+    _readUnsaved() {
+        try {
+            const stretches = JSON.parse(localStorage.getItem(UNSAVED_KEY));
+            return Array.isArray(stretches) ? stretches : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    _writeUnsaved(stretches) {
+        try {
+            if (stretches.length > 0) {
+                localStorage.setItem(UNSAVED_KEY, JSON.stringify(stretches));
+            } else {
+                localStorage.removeItem(UNSAVED_KEY);
+            }
+        } catch (error) {
+            console.error('Error saving focus time:', error);
+        }
+    }
+
+    _emit(event) {
+        const state = this.getState();
+        this.listeners.forEach(listener => listener(state, event));
+    }
+}
+
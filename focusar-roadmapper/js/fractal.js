@@ -1,3 +1,23 @@
+import { LAYOUTS } from './layouts.js';
+import { createDefaultStrategies } from './decomposition.js';
+import { createTaskId } from './task-manager.js';
+import { Workflow } from './workflow.js';
+import { getStreak } from './recurrence.js';
+import { getChecklistProgress } from './checklist.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Space between the project trees and the routines cluster
+const ROUTINE_CLUSTER_GAP = 1.5;
+
+/**
+ * What node size and color intensity follow
+ */
+export const SIZE_MODES = {
+    complexity: { label: 'Size by complexity' },
+    estimate: { label: 'Size by estimate' },
+    remaining: { label: 'Size by remaining effort' }
+};
+
 class FractalNode {
     constructor(task, depth = 0) {
         this.task = task;
@@ -10,7 +30,6 @@ class FractalNode {
 
     addChild(child) {
         this.children.push(child);
-        this.updateLayout();
     }
 
     calculateComplexity(task) {
@@ -21,24 +40,13 @@ class FractalNode {
         if (task.subtasks) {
             score += task.subtasks.length;
         }
+        // Unchecked checklist items count as half a subtask each
+        const progress = getChecklistProgress(task);
+        if (progress) {
+            score += (progress.total - progress.done) * 0.5;
+        }
         return Math.min(10, score);
     }
-
-    updateLayout() {
-        // Recalculate positions of children in 3D space
-        const angleStep = (2 * Math.PI) / this.children.length;
-        const radius = Math.max(0.5, this.children.length * 0.2);
-
-        this.children.forEach((child, index) => {
-            const angle = angleStep * index;
-            child.position = {
-                x: this.position.x + Math.cos(angle) * radius,
-                y: this.position.y - 0.5,
-                z: this.position.z + Math.sin(angle) * radius
-            };
-            child.updateLayout();
-        });
-    }
 }
 
 export class FractalAlgorithm {
@@ -46,21 +54,149 @@ export class FractalAlgorithm {
         this.maxDepth = 5;
         this.minTaskSize = 0.1;
         this.spreadFactor = 1.5;
+        this.rootHeight = 2;
+        this.floor = 0.2;
+        this.layout = 'ring';
+        this.sizeBy = 'complexity';
+        this.workflow = new Workflow();
+        this.decompositionStrategies = createDefaultStrategies();
         this.root = null;
+        // `{ center, radius }` of the routines laid out last, or null
+        this.routineCluster = null;
+    }
+
+    /**
+     * Choose how trees are positioned
+     * @param {string} name - Key of `LAYOUTS`
+     */
+    setLayout(name) {
+        if (!LAYOUTS[name]) {
+            throw new Error(`Unknown layout: ${name}`);
+        }
+        this.layout = name;
+    }
+
+    /**
+     * Choose what node size and color intensity follow
+     * @param {string} mode - Key of `SIZE_MODES`
+     */
+    setSizeBy(mode) {
+        if (!SIZE_MODES[mode]) {
+            throw new Error(`Unknown size mode: ${mode}`);
+        }
+        this.sizeBy = mode;
+    }
+
+    /**
+     * Position every node of a forest with the current layout, then move
+     * pinned tasks to their saved positions. Recurring root tasks (routines)
+     * are laid out on their own and set beside the other trees.
+     * @param {Array<FractalNode>} roots - Root nodes
+     */
+    applyLayout(roots) {
+        const options = {
+            spreadFactor: this.spreadFactor,
+            rootHeight: this.rootHeight,
+            floor: this.floor
+        };
+        const routines = roots.filter(root => root.task.recurrence);
+        const projects = roots.filter(root => !root.task.recurrence);
+
+        [projects, routines].forEach(group => {
+            if (group.length > 0) LAYOUTS[this.layout].apply(group, options);
+        });
+        this.routineCluster = routines.length > 0 ? this._placeRoutineCluster(routines, projects) : null;
+
+        roots.forEach(root => this._applyPinnedPositions(root, null));
+    }
+
+    /**
+     * Move the routine trees to the right of the project trees
+     * @param {Array<FractalNode>} routines - Recurring root nodes, already laid out
+     * @param {Array<FractalNode>} projects - Other root nodes, already laid out
+     * @returns {Object} `{ center, radius }` of the cluster on the floor
+     */
+    _placeRoutineCluster(routines, projects) {
+        const bounds = (nodes) => {
+            const box = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+            const visit = (node) => {
+                box.minX = Math.min(box.minX, node.position.x);
+                box.maxX = Math.max(box.maxX, node.position.x);
+                box.minZ = Math.min(box.minZ, node.position.z);
+                box.maxZ = Math.max(box.maxZ, node.position.z);
+                node.children.forEach(visit);
+            };
+            nodes.forEach(visit);
+            return box;
+        };
+        const shift = (node, dx, dz) => {
+            node.position = { ...node.position, x: node.position.x + dx, z: node.position.z + dz };
+            node.children.forEach(child => shift(child, dx, dz));
+        };
+
+        let box = bounds(routines);
+        const dx = projects.length > 0
+            ? bounds(projects).maxX + ROUTINE_CLUSTER_GAP - box.minX
+            : -(box.minX + box.maxX) / 2;
+        const dz = -(box.minZ + box.maxZ) / 2;
+        routines.forEach(root => shift(root, dx, dz));
+
+        box = bounds(routines);
+        return {
+            center: { x: (box.minX + box.maxX) / 2, y: this.floor, z: 0 },
+            radius: Math.max(box.maxX - box.minX, box.maxZ - box.minZ) / 2 + ROUTINE_CLUSTER_GAP / 2
+        };
+    }
+
+    /**
+     * Place pinned nodes at their task's `position`. Unpinned descendants
+     * move along with their nearest pinned ancestor.
+     * @param {FractalNode} node - Current node
+     * @param {Object|null} offset - Shift inherited from a pinned ancestor
+     */
+    _applyPinnedPositions(node, offset) {
+        const { pinned, position } = node.task;
+
+        if (pinned && position) {
+            offset = {
+                x: position.x - node.position.x,
+                y: position.y - node.position.y,
+                z: position.z - node.position.z
+            };
+            node.position = { x: position.x, y: position.y, z: position.z };
+        } else if (offset) {
+            node.position = {
+                x: node.position.x + offset.x,
+                y: node.position.y + offset.y,
+                z: node.position.z + offset.z
+            };
+        }
+
+        node.children.forEach(child => this._applyPinnedPositions(child, offset));
     }
 
     /**
      * Creates a fractal tree from a task hierarchy
-     * @param {Object} task - Root task
+     * @param {Object} task - Root task with nested `subtasks`, e.g. from `TaskManager.getTree`
      * @returns {FractalNode} Root node of fractal tree
      */
     createFractalTree(task) {
         this.root = this._buildTree(task, 0);
-        this.root.position = { x: 0, y: 2, z: 0 };
-        this.root.updateLayout();
+        this.applyLayout([this.root]);
         return this.root;
     }
 
+    /**
+     * Creates one fractal tree per root task, laid out together
+     * @param {Array} trees - Nested root tasks, e.g. from `TaskManager.getForest`
+     * @returns {Array<FractalNode>} Root nodes of the fractal trees
+     */
+    createFractalForest(trees) {
+        const roots = trees.map(tree => this._buildTree(tree, 0));
+        this.applyLayout(roots);
+        return roots;
+    }
+
     /**
      * Recursively builds the fractal tree
      * @param {Object} task - Current task
@@ -80,45 +216,59 @@ export class FractalAlgorithm {
         return node;
     }
 
+    /**
+     * Add or replace a decomposition strategy
+     * @param {string} name - Registry key
+     * @param {Object} strategy - `{ label, priority, suggest(task, context) }`, see decomposition.js
+     */
+    registerDecompositionStrategy(name, strategy) {
+        this.decompositionStrategies.set(name, strategy);
+    }
+
+    unregisterDecompositionStrategy(name) {
+        this.decompositionStrategies.delete(name);
+    }
+
     /**
      * Suggests optimal task decomposition
      * @param {Object} task - Task to decompose
+     * @param {string} [strategyName] - Strategy to use; defaults to the highest priority one with suggestions
      * @returns {Array} Suggested subtasks
      */
-    suggestDecomposition(task) {
-        const complexity = this._analyzeComplexity(task);
-        const patterns = this._identifyPatterns(task);
-        const subtasks = [];
-
-        // Core components pattern
-        if (patterns.includes('core-components')) {
-            subtasks.push(
-                this._createSubtask(task, 'Research & Planning', 0.2),
-                this._createSubtask(task, 'Core Implementation', 0.4),
-                this._createSubtask(task, 'Testing & Validation', 0.2),
-                this._createSubtask(task, 'Documentation', 0.2)
-            );
-        }
-        // Feature breakdown pattern
-        else if (patterns.includes('feature-breakdown')) {
-            const features = this._extractFeatures(task.description);
-            features.forEach(feature => {
-                subtasks.push(this._createSubtask(task, feature, 1.0 / features.length));
-            });
-        }
-        // Default pattern
-        else {
-            const numSubtasks = Math.max(2, Math.min(5, Math.ceil(complexity / 2)));
-            for (let i = 0; i < numSubtasks; i++) {
-                subtasks.push(this._createSubtask(
-                    task,
-                    `Phase ${i + 1}`,
-                    1.0 / numSubtasks
-                ));
-            }
-        }
+    suggestDecomposition(task, strategyName = null) {
+        const options = this.getDecompositionOptions(task);
+        const option = strategyName
+            ? options.find(({ name }) => name === strategyName)
+            : options[0];
 
-        return subtasks;
+        return option ? option.subtasks : [];
+    }
+
+    /**
+     * Runs every strategy against a task
+     * @param {Object} task - Task to decompose
+     * @returns {Array} `{ name, label, subtasks }` for each strategy with suggestions, best first
+     */
+    getDecompositionOptions(task) {
+        const context = { complexity: this._analyzeComplexity(task) };
+
+        return Array.from(this.decompositionStrategies.entries())
+            .sort(([, a], [, b]) => (b.priority || 0) - (a.priority || 0))
+            .map(([name, strategy]) => {
+                const items = strategy.suggest(task, context);
+                const totalWeight = items.reduce((sum, item) => sum + (item.weight ?? 1), 0);
+                return {
+                    name,
+                    label: strategy.label,
+                    subtasks: items.map(item => this._createSubtask(
+                        task,
+                        item.title,
+                        (item.weight ?? 1) / totalWeight,
+                        item.description
+                    ))
+                };
+            })
+            .filter(option => option.subtasks.length > 0);
     }
 
     /**
@@ -167,64 +317,24 @@ export class FractalAlgorithm {
         ));
     }
 
-    /**
-     * Identifies patterns in task description
-     * @param {Object} task - Task to analyze
-     * @returns {Array} Array of identified patterns
-     */
-    _identifyPatterns(task) {
-        const patterns = [];
-        const description = task.description?.toLowerCase() || '';
-
-        if (description.includes('implement') || description.includes('develop') || description.includes('create')) {
-            patterns.push('core-components');
-        }
-
-        if (description.includes('feature') || description.includes('functionality')) {
-            patterns.push('feature-breakdown');
-        }
-
-        if (description.includes('improve') || description.includes('optimize')) {
-            patterns.push('optimization');
-        }
-
-        return patterns;
-    }
-
-    /**
-     * Extracts features from task description
-     * @param {string} description - Task description
-     * @returns {Array} Array of identified features
-     */
-    _extractFeatures(description) {
-        const features = [];
-        const sentences = description.split(/[.!?]+/);
-
-        sentences.forEach(sentence => {
-            const feature = sentence.match(/\b(implement|add|create|develop)\s+([^,.!?]+)/i);
-            if (feature) {
-                features.push(feature[2].trim());
-            }
-        });
-
-        return features.length > 0 ? features : ['Core Feature'];
-    }
-
     /**
      * Creates a subtask with given parameters
      * @param {Object} parentTask - Parent task
      * @param {string} title - Subtask title
-     * @param {number} complexityFactor - Complexity factor
+     * @param {number} complexityFactor - Share of the parent's complexity
+     * @param {string} [description] - Description; defaults to a note about the parent
      * @returns {Object} Created subtask
      */
-    _createSubtask(parentTask, title, complexityFactor) {
+    _createSubtask(parentTask, title, complexityFactor, description) {
+        const complexity = parentTask.complexity ?? this._analyzeComplexity(parentTask);
+
         return {
-            id: Date.now() + Math.random(),
+            id: createTaskId(),
             title: title,
-            description: `Part of: ${parentTask.title}`,
-            status: 'Not Started',
+            description: description || `Part of: ${parentTask.title}`,
+            status: this.workflow.initialStatus,
             parentId: parentTask.id,
-            complexity: parentTask.complexity * complexityFactor,
+            complexity: Math.round(complexity * complexityFactor * 100) / 100,
             created: new Date().toISOString()
         };
     }
@@ -243,6 +353,57 @@ export class FractalAlgorithm {
         };
     }
 
+    /**
+     * Lays out a forest and collects everything a scene needs to draw it
+     * @param {Array} trees - Nested root tasks, e.g. from `nestTasks`
+     * @returns {Object} `{ roots, nodes, connections, dependencyConnections, routineCluster }`
+     *     where each entry of `nodes` is `{ node, visual }` and `routineCluster`
+     *     is `{ center, radius }` when there are routines
+     */
+    generateScene(trees) {
+        const roots = this.createFractalForest(trees);
+        const nodes = [];
+        const connections = [];
+
+        const visit = (node) => {
+            const visual = {
+                size: this._calculateSize(node),
+                color: this._calculateColor(node),
+                position: node.position
+            };
+            if (node.task.recurrence) {
+                visual.streak = getStreak(node.task);
+            }
+            const progress = getChecklistProgress(node.task);
+            if (progress) {
+                visual.progress = progress.ratio;
+            }
+            nodes.push({ node, visual });
+
+            node.children.forEach(child => {
+                const childColor = this._calculateColor(child);
+                connections.push({
+                    fromId: node.task.id,
+                    toId: child.task.id,
+                    from: node.position,
+                    to: child.position,
+                    strength: this._calculateConnectionStrength(node, child),
+                    color: `rgb(${Math.round(childColor.r)}, ${Math.round(childColor.g)}, ${Math.round(childColor.b)})`
+                });
+                visit(child);
+            });
+        };
+        roots.forEach(visit);
+
+        return {
+            roots,
+            nodes,
+            connections,
+            dependencyConnections: this.calculateDependencyConnections(roots),
+            routineCluster: this.routineCluster
+        };
+    }
+
     /**
      * Calculates size based on node properties
      * @param {FractalNode} node - Node to calculate size for
@@ -250,8 +411,25 @@ export class FractalAlgorithm {
      */
     _calculateSize(node) {
         const depthFactor = Math.pow(0.8, node.depth);
-        const complexityFactor = 0.5 + (node.complexity / 20);
-        return Math.max(this.minTaskSize, depthFactor * complexityFactor);
+        const weightFactor = 0.5 + (this._calculateWeight(node) / 20);
+        return Math.max(this.minTaskSize, depthFactor * weightFactor);
+    }
+
+    /**
+     * Score from 1 to 10 for the current size mode. Effort modes use the
+     * task's rollup (see `getTimeRollups`) on a log scale, so an 8 hour task
+     * is clearly bigger than a 1 hour one without dwarfing everything else.
+     * @param {FractalNode} node - Node to weigh
+     * @returns {number} Weight
+     */
+    _calculateWeight(node) {
+        const rollup = node.task.timeRollup;
+        if (this.sizeBy === 'complexity' || !rollup) {
+            return node.complexity;
+        }
+
+        const effort = this.sizeBy === 'remaining' ? rollup.remaining : rollup.estimate;
+        return Math.min(10, 1 + Math.log2(1 + effort / HOUR_MS) * 2);
     }
 
     /**
@@ -260,16 +438,21 @@ export class FractalAlgorithm {
      * @returns {Object} RGB color values
      */
     _calculateColor(node) {
-        const baseColors = {
-            'Not Started': { r: 128, g: 128, b: 128 },
-            'In Progress': { r: 79, g: 70, b: 229 },
-            'Completed': { r: 34, g: 197, b: 94 },
-            'Blocked': { r: 239, g: 68, b: 68 }
-        };
-
-        const status = node.task.status || 'Not Started';
-        const color = baseColors[status];
-        const intensity = 0.5 + (node.complexity / 20);
+        const status = node.task.effectiveStatus || node.task.status;
+        const hex = parseInt(this.workflow.getColor(status).slice(1), 16);
+        const color = { r: (hex >> 16) & 255, g: (hex >> 8) & 255, b: hex & 255 };
+        const intensity = 0.5 + (this._calculateWeight(node) / 20);
+
+        // Ticking off checklist items shifts unfinished tasks toward the done color
+        const progress = getChecklistProgress(node.task);
+        const doneStatus = this.workflow.doneStatus;
+        if (progress && doneStatus && !this.workflow.isDone(status)) {
+            const doneHex = parseInt(this.workflow.getColor(doneStatus).slice(1), 16);
+            const mix = progress.ratio * 0.6;
+            color.r += (((doneHex >> 16) & 255) - color.r) * mix;
+            color.g += (((doneHex >> 8) & 255) - color.g) * mix;
+            color.b += ((doneHex & 255) - color.b) * mix;
+        }
 
         return {
             r: Math.min(255, color.r * intensity),
@@ -299,6 +482,38 @@ export class FractalAlgorithm {
         return connections;
     }
 
+    /**
+     * Calculates dependency edges between laid-out nodes
+     * @param {Array<FractalNode>} roots - Root nodes of the fractal trees
+     * @returns {Array} Array of dependency connection objects, prerequisite to dependent
+     */
+    calculateDependencyConnections(roots) {
+        const nodesById = new Map();
+        const collect = (node) => {
+            nodesById.set(node.task.id, node);
+            node.children.forEach(collect);
+        };
+        roots.forEach(collect);
+
+        const connections = [];
+        nodesById.forEach(node => {
+            (node.task.dependencies || []).forEach(dependencyId => {
+                const prerequisite = nodesById.get(dependencyId);
+                if (!prerequisite) return;
+
+                connections.push({
+                    fromId: prerequisite.task.id,
+                    toId: node.task.id,
+                    from: prerequisite.position,
+                    to: node.position,
+                    satisfied: this.workflow.isDone(prerequisite.task.status)
+                });
+            });
+        });
+
+        return connections;
+    }
+
     /**
      * Calculates connection strength between nodes
      * @param {FractalNode} parent - Parent node
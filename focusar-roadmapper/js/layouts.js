@@ -0,0 +1,323 @@
+/**
+ * Layout strategies for fractal trees. Each layout assigns `position` to every
+ * node of a forest of `FractalNode`s and nothing else, so layouts can be
+ * swapped without rebuilding the trees.
+ *
+ * Layouts receive `{ spreadFactor, rootHeight, floor }`: `spreadFactor`
+ * scales horizontal spacing, roots sit at `rootHeight` and no node is placed
+ * below `floor`.
+ */
+
+const LEVEL_HEIGHT = 0.5;
+const NODE_RADIUS = 0.3;
+
+/**
+ * Visit every node of a forest, parents before children
+ * @param {Array} roots - Root nodes
+ * @param {Function} callback - Receives each node
+ */
+function walk(roots, callback) {
+    const stack = [...roots].reverse();
+    while (stack.length > 0) {
+        const node = stack.pop();
+        callback(node);
+        for (let i = node.children.length - 1; i >= 0; i--) {
+            stack.push(node.children[i]);
+        }
+    }
+}
+
+/**
+ * Vertical distance between levels, compressed so the deepest level stays
+ * above the floor
+ * @param {Array} roots - Root nodes
+ * @param {Object} options - Layout options
+ * @returns {number} Level height
+ */
+function levelHeight(roots, { rootHeight, floor }) {
+    let maxDepth = 0;
+    walk(roots, node => {
+        maxDepth = Math.max(maxDepth, node.depth);
+    });
+    return maxDepth === 0 ? LEVEL_HEIGHT : Math.min(LEVEL_HEIGHT, (rootHeight - floor) / maxDepth);
+}
+
+/**
+ * Add an equal and opposite force along the line between two points
+ * @param {Array<number>} a - First position `[x, y, z]`
+ * @param {Array<number>} b - Second position
+ * @param {Array<number>} forceA - Force accumulator for `a`
+ * @param {Array<number>} forceB - Force accumulator for `b`
+ * @param {Function} strength - Maps distance to force; positive pushes apart
+ */
+function applyForce(a, b, forceA, forceB, strength) {
+    const dx = a[0] - b[0];
+    const dy = a[1] - b[1];
+    const dz = a[2] - b[2];
+    const distance = Math.max(0.01, Math.sqrt(dx * dx + dy * dy + dz * dz));
+    const scale = strength(distance) / distance;
+
+    forceA[0] += dx * scale;
+    forceA[1] += dy * scale;
+    forceA[2] += dz * scale;
+    forceB[0] -= dx * scale;
+    forceB[1] -= dy * scale;
+    forceB[2] -= dz * scale;
+}
+
+/**
+ * Place roots left to right so that their footprints don't overlap
+ * @param {Array} roots - Root nodes
+ * @param {Array<number>} radii - Footprint radius of each root's subtree
+ * @param {Object} options - Layout options
+ */
+function placeRootsInRow(roots, radii, { rootHeight }) {
+    const gap = NODE_RADIUS;
+    const width = radii.reduce((sum, radius) => sum + radius * 2, 0) + gap * Math.max(0, roots.length - 1);
+
+    let cursor = -width / 2;
+    roots.forEach((root, index) => {
+        root.position = { x: cursor + radii[index], y: rootHeight, z: 0 };
+        cursor += radii[index] * 2 + gap;
+    });
+}
+
+/**
+ * Children on a circle below their parent. The original fractal layout, with
+ * rings shrinking by depth and scaled by `spreadFactor`.
+ */
+export class RingLayout {
+    constructor() {
+        this.label = 'Ring';
+    }
+
+    apply(roots, options) {
+        const step = levelHeight(roots, options);
+
+        const ringRadius = (node) => Math.max(0.5, node.children.length * 0.2) *
+            options.spreadFactor * Math.pow(0.75, node.depth);
+
+        // Horizontal reach of each subtree, used to keep trees apart
+        const extent = (node) => node.children.length === 0
+            ? NODE_RADIUS
+            : ringRadius(node) + Math.max(...node.children.map(extent));
+
+        placeRootsInRow(roots, roots.map(extent), options);
+
+        walk(roots, node => {
+            const angleStep = (2 * Math.PI) / node.children.length;
+            const radius = ringRadius(node);
+
+            node.children.forEach((child, index) => {
+                const angle = angleStep * index;
+                child.position = {
+                    x: node.position.x + Math.cos(angle) * radius,
+                    y: node.position.y - step,
+                    z: node.position.z + Math.sin(angle) * radius
+                };
+            });
+        });
+    }
+}
+
+/**
+ * Cone tree: each subtree gets a disk sized to its contents and children sit
+ * around their parent with arcs proportional to their disks, so sibling
+ * subtrees never overlap.
+ */
+export class ConeTreeLayout {
+    constructor() {
+        this.label = 'Cone tree';
+    }
+
+    apply(roots, options) {
+        const { spreadFactor } = options;
+        const step = levelHeight(roots, options);
+        const radii = new Map();
+        const ringRadii = new Map();
+
+        // Bottom-up: a ring of radius sum(r) / 2 keeps neighbouring disks apart
+        const measure = (node) => {
+            if (node.children.length === 0) {
+                radii.set(node, NODE_RADIUS);
+                return NODE_RADIUS;
+            }
+
+            const childRadii = node.children.map(measure);
+            const total = childRadii.reduce((sum, radius) => sum + radius, 0);
+            const ring = node.children.length === 1 ? 0 : (total / 2) * spreadFactor;
+            const radius = Math.max(NODE_RADIUS, ring + Math.max(...childRadii));
+
+            ringRadii.set(node, ring);
+            radii.set(node, radius);
+            return radius;
+        };
+        roots.forEach(measure);
+
+        placeRootsInRow(roots, roots.map(root => radii.get(root)), options);
+
+        walk(roots, node => {
+            if (node.children.length === 0) return;
+
+            const ring = ringRadii.get(node);
+            const total = node.children.reduce((sum, child) => sum + radii.get(child), 0);
+            let angle = 0;
+
+            node.children.forEach(child => {
+                const span = (2 * Math.PI * radii.get(child)) / total;
+                const center = angle + span / 2;
+                angle += span;
+
+                child.position = {
+                    x: node.position.x + Math.cos(center) * ring,
+                    y: node.position.y - step,
+                    z: node.position.z + Math.sin(center) * ring
+                };
+            });
+        });
+    }
+}
+
+/**
+ * Force-directed 3D layout. Starts from the cone tree so results are
+ * deterministic, then relaxes with springs along parent and dependency
+ * edges and repulsion between all nodes.
+ */
+export class ForceDirectedLayout {
+    constructor() {
+        this.label = 'Force-directed';
+        this.seedLayout = new ConeTreeLayout();
+    }
+
+    apply(roots, options) {
+        this.seedLayout.apply(roots, options);
+
+        const nodes = [];
+        walk(roots, node => nodes.push(node));
+        if (nodes.length < 2) return;
+
+        const indexById = new Map(nodes.map((node, index) => [node.task.id, index]));
+        const edges = [];
+        nodes.forEach((node, index) => {
+            node.children.forEach(child => edges.push([index, indexById.get(child.task.id), 1]));
+            (node.task.dependencies || []).forEach(dependencyId => {
+                if (indexById.has(dependencyId)) {
+                    edges.push([index, indexById.get(dependencyId), 0.3]);
+                }
+            });
+        });
+
+        const idealLength = 0.6 * options.spreadFactor;
+        const positions = nodes.map(({ position }) => [position.x, position.y, position.z]);
+        const forces = nodes.map(() => [0, 0, 0]);
+
+        // Repulsion is quadratic in the node count; fewer passes for big trees
+        const iterations = Math.max(15, Math.min(120, Math.floor(60000 / (nodes.length * nodes.length))));
+        let temperature = idealLength;
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            forces.forEach(force => force.fill(0));
+
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    applyForce(positions[i], positions[j], forces[i], forces[j],
+                        distance => (idealLength * idealLength) / distance);
+                }
+            }
+
+            edges.forEach(([from, to, weight]) => {
+                applyForce(positions[from], positions[to], forces[from], forces[to],
+                    distance => -((distance * distance) / idealLength) * weight);
+            });
+
+            positions.forEach((position, index) => {
+                const force = forces[index];
+                const magnitude = Math.max(0.01, Math.hypot(...force));
+                const move = Math.min(magnitude, temperature);
+                for (let axis = 0; axis < 3; axis++) {
+                    position[axis] += (force[axis] / magnitude) * move;
+                }
+                position[1] = Math.max(options.floor, position[1]);
+            });
+
+            temperature *= 0.95;
+        }
+
+        nodes.forEach((node, index) => {
+            const [x, y, z] = positions[index];
+            node.position = { x, y, z };
+        });
+    }
+}
+
+/**
+ * Timeline: x follows each task's date (due, start or created), y its depth
+ * and z separates root trees into lanes.
+ */
+export class TimelineLayout {
+    constructor() {
+        this.label = 'Timeline';
+    }
+
+    apply(roots, options) {
+        const { spreadFactor, rootHeight } = options;
+        const step = levelHeight(roots, options);
+
+        // Undated tasks inherit their parent's date; parents are visited first
+        const dates = new Map();
+        const parents = new Map();
+        walk(roots, node => {
+            const { dueDate, startDate, created } = node.task;
+            const time = [dueDate, startDate, created]
+                .map(value => (value ? Date.parse(value) : NaN))
+                .find(value => !Number.isNaN(value));
+            dates.set(node, time ?? dates.get(parents.get(node)) ?? Date.now());
+            node.children.forEach(child => parents.set(child, node));
+        });
+
+        const times = Array.from(dates.values());
+        const start = Math.min(...times);
+        const range = Math.max(...times) - start;
+        const width = Math.max(4, Math.sqrt(dates.size)) * spreadFactor;
+        const laneGap = 0.5 * spreadFactor;
+
+        // Nodes landing in the same slot of a lane are stacked in z, and each
+        // lane is as deep as its tallest stack
+        const slotSize = NODE_RADIUS * 2;
+        const lanes = roots.map(root => {
+            const occupied = new Map();
+            const placed = [];
+            walk([root], node => {
+                const x = range === 0 ? 0 : ((dates.get(node) - start) / range - 0.5) * width;
+                const slot = `${node.depth}:${Math.round(x / slotSize)}`;
+                const stacked = occupied.get(slot) || 0;
+                occupied.set(slot, stacked + 1);
+                placed.push({ node, x, stacked });
+            });
+            return { placed, depth: Math.max(...occupied.values()) * slotSize };
+        });
+
+        const totalDepth = lanes.reduce((sum, lane) => sum + lane.depth, 0) + laneGap * (lanes.length - 1);
+        let laneStart = totalDepth / 2;
+        lanes.forEach(({ placed, depth }) => {
+            placed.forEach(({ node, x, stacked }) => {
+                node.position = {
+                    x,
+                    y: rootHeight - node.depth * step,
+                    z: laneStart - slotSize / 2 - stacked * slotSize
+                };
+            });
+            laneStart -= depth + laneGap;
+        });
+    }
+}
+
+/**
+ * Available layouts by name
+ */
+export const LAYOUTS = {
+    ring: new RingLayout(),
+    cone: new ConeTreeLayout(),
+    force: new ForceDirectedLayout(),
+    timeline: new TimelineLayout()
+};
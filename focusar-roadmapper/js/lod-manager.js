@@ -0,0 +1,160 @@
+const DEFAULT_OPTIONS = {
+    frameBudgetMs: 1000 / 45,
+    autoNodeThreshold: 200,
+    maxDetailedDepth: 3,
+    minDetailedDepth: 1,
+    detailDistance: 5,
+    minDetailDistance: 1.5,
+    labelDistance: 3,
+    minLabelDistance: 1,
+    adjustIntervalMs: 1000
+};
+
+/**
+ * Decides how much of a large fractal scene gets full detail. Nodes that are
+ * deep in the tree or far from the camera collapse into instanced geometry,
+ * labels only show nearby, and the thresholds adapt to a frame-time budget.
+ *
+ * Modes: 'off' always renders full detail, 'on' always uses performance
+ * rendering, 'auto' switches to it for large scenes or slow frames. After
+ * slow frames it stays on until the scene has fewer nodes than when frames
+ * went over budget: fast frames in performance mode say nothing about how
+ * the full scene would do, and switching back and forth rebuilds it each time.
+ */
+export class LODManager {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.mode = 'auto';
+        this.detailedDepth = this.options.maxDetailedDepth;
+        this.detailDistance = this.options.detailDistance;
+        this.labelDistance = this.options.labelDistance;
+        this.averageFrameMs = 0;
+        this.overBudget = false;
+        // Scene size when frames went over budget
+        this.overBudgetNodeCount = null;
+        this.nodeCount = 0;
+        this.lastAdjustment = 0;
+    }
+
+    setMode(mode) {
+        if (!['off', 'on', 'auto'].includes(mode)) {
+            throw new Error(`Unknown performance mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.resetThresholds();
+    }
+
+    resetThresholds() {
+        this.detailedDepth = this.options.maxDetailedDepth;
+        this.detailDistance = this.options.detailDistance;
+        this.labelDistance = this.options.labelDistance;
+        this.overBudget = false;
+        this.overBudgetNodeCount = null;
+    }
+
+    /**
+     * Whether performance rendering is in use for a scene of the given size
+     * @param {number} nodeCount - Number of nodes in the scene
+     * @returns {boolean}
+     */
+    isActive(nodeCount) {
+        if (this.mode === 'off') return false;
+        if (this.mode === 'on') return true;
+
+        this.nodeCount = nodeCount;
+        if (this.overBudget && nodeCount < this.overBudgetNodeCount) {
+            this.overBudget = false;
+            this.overBudgetNodeCount = null;
+        }
+        return nodeCount > this.options.autoNodeThreshold || this.overBudget;
+    }
+
+    /**
+     * Whether a node gets its own fully detailed entity
+     * @param {number} depth - `FractalNode.depth`
+     * @param {number} distance - Distance from the camera
+     * @returns {boolean}
+     */
+    isDetailed(depth, distance) {
+        return depth <= this.detailedDepth && distance <= this.detailDistance;
+    }
+
+    /**
+     * Whether a detailed node shows its text labels
+     * @param {number} distance - Distance from the camera
+     * @returns {boolean}
+     */
+    showsLabel(distance) {
+        return distance <= this.labelDistance;
+    }
+
+    /**
+     * Feed in a frame time and adapt thresholds to the budget
+     * @param {number} time - Current time in ms
+     * @param {number} delta - Time since the last frame in ms
+     * @returns {boolean} Whether thresholds changed and detail should be re-evaluated
+     */
+    recordFrame(time, delta) {
+        if (this.mode === 'off' || !delta) return false;
+
+        // Exponential moving average smooths out single slow frames
+        this.averageFrameMs = this.averageFrameMs
+            ? this.averageFrameMs * 0.9 + delta * 0.1
+            : delta;
+
+        if (time - this.lastAdjustment < this.options.adjustIntervalMs) {
+            return false;
+        }
+        this.lastAdjustment = time;
+
+        const { frameBudgetMs } = this.options;
+        if (this.averageFrameMs > frameBudgetMs * 1.1) {
+            const wasOverBudget = this.overBudget;
+            if (!wasOverBudget) {
+                this.overBudget = true;
+                this.overBudgetNodeCount = this.nodeCount;
+            }
+            return this._reduceDetail() || !wasOverBudget;
+        }
+        if (this.averageFrameMs < frameBudgetMs * 0.7) {
+            return this._increaseDetail();
+        }
+        return false;
+    }
+
+    _reduceDetail() {
+        const { minDetailedDepth, minDetailDistance, minLabelDistance } = this.options;
+        const before = [this.detailedDepth, this.detailDistance, this.labelDistance].join();
+
+        this.detailedDepth = Math.max(minDetailedDepth, this.detailedDepth - 1);
+        this.detailDistance = Math.max(minDetailDistance, this.detailDistance * 0.8);
+        this.labelDistance = Math.max(minLabelDistance, this.labelDistance * 0.8);
+
+        return before !== [this.detailedDepth, this.detailDistance, this.labelDistance].join();
+    }
+
+    _increaseDetail() {
+        const { maxDetailedDepth, detailDistance, labelDistance } = this.options;
+        const before = [this.detailedDepth, this.detailDistance, this.labelDistance].join();
+
+        this.detailedDepth = Math.min(maxDetailedDepth, this.detailedDepth + 1);
+        this.detailDistance = Math.min(detailDistance, this.detailDistance * 1.1);
+        this.labelDistance = Math.min(labelDistance, this.labelDistance * 1.1);
+
+        return before !== [this.detailedDepth, this.detailDistance, this.labelDistance].join();
+    }
+}
+
+/**
+ * Register the component that forwards scene ticks to the AR controller.
+ * Scene ticks keep running inside WebXR sessions, unlike window rAF.
+ */
+export function registerLODComponent() {
+    if (typeof AFRAME === 'undefined' || AFRAME.components['focusar-lod']) return;
+
+    AFRAME.registerComponent('focusar-lod', {
+        tick(time, delta) {
+            this.el.arController?.tick(time, delta);
+        }
+    });
+}
@@ -0,0 +1,244 @@
+/**
+ * Recurring tasks ("routines"). A task's `recurrence` is a subset of an
+ * iCalendar RRULE:
+ *
+ *   { frequency: 'daily' | 'weekly' | 'monthly', interval, byWeekday, until, count }
+ *
+ * - `interval`: every how many days, weeks or months (default 1)
+ * - `byWeekday`: weekday codes ('MO' to 'SU'); daily rules skip other days,
+ *   weekly rules repeat on each of them. Not used by monthly rules, which
+ *   repeat on the due date's day of the month and skip months without it.
+ * - `until`: last possible date, 'YYYY-MM-DD'
+ * - `count`: total number of occurrences
+ *
+ * A routine is one occurrence at a time: `dueDate` is the current one and
+ * `occurrence` its number, starting at 1. Finishing it adds
+ * `{ due, completedAt }` to `completions` and moves the task on to the next
+ * occurrence (see `completeOccurrence`).
+ */
+
+export const RECURRENCE_FREQUENCIES = {
+    daily: { label: 'Daily', unit: 'day' },
+    weekly: { label: 'Weekly', unit: 'week' },
+    monthly: { label: 'Monthly', unit: 'month' }
+};
+
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Completions kept per task; enough for a year of a daily routine
+const MAX_COMPLETIONS = 366;
+// Occurrences tried before giving up on a rule that never matches
+const MAX_STEPS = 1000;
+
+/**
+ * @param {string} date - 'YYYY-MM-DD', optionally followed by a time
+ * @returns {number} Midnight UTC of that day in ms
+ */
+function parseDay(date) {
+    return Date.parse(`${date.slice(0, 10)}T00:00:00Z`);
+}
+
+function formatDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {number} time - Midnight UTC in ms
+ * @returns {number} 0 for Monday through 6 for Sunday
+ */
+function weekdayOf(time) {
+    return (new Date(time).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Today's date in local time
+ * @param {Date} [now]
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function toLocalDay(now = new Date()) {
+    return [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+        .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+        .join('-');
+}
+
+/**
+ * @param {Object} rule - Recurrence rule
+ * @returns {string|null} What's wrong with the rule, or null when it's valid
+ */
+export function getRecurrenceError(rule) {
+    if (!rule || typeof rule !== 'object') {
+        return 'Recurrence must be a rule';
+    }
+    if (!RECURRENCE_FREQUENCIES[rule.frequency]) {
+        return `Repeat must be one of: ${Object.keys(RECURRENCE_FREQUENCIES).join(', ')}`;
+    }
+    if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval >= 1)) {
+        return 'Repeat interval must be a whole number of at least 1';
+    }
+    if (rule.byWeekday !== undefined) {
+        if (rule.frequency === 'monthly') {
+            return 'Weekdays only apply to daily and weekly routines';
+        }
+        if (!Array.isArray(rule.byWeekday) || rule.byWeekday.length === 0 ||
+            !rule.byWeekday.every(day => WEEKDAYS.includes(day))) {
+            return 'Pick at least one weekday';
+        }
+    }
+    if (rule.until && rule.count) {
+        return 'A routine ends on a date or after a number of times, not both';
+    }
+    if (rule.until !== undefined && rule.until !== null &&
+        !(/^\d{4}-\d{2}-\d{2}$/.test(rule.until) && !Number.isNaN(parseDay(rule.until)))) {
+        return 'End date is not a valid date';
+    }
+    if (rule.count !== undefined && rule.count !== null && !(Number.isInteger(rule.count) && rule.count >= 1)) {
+        return 'Number of times must be a whole number of at least 1';
+    }
+    return null;
+}
+
+/**
+ * The occurrence after a date. Doesn't know about `count`; see `completeOccurrence`.
+ * @param {Object} rule - Recurrence rule
+ * @param {string} date - An occurrence, 'YYYY-MM-DD'
+ * @returns {string|null} Next occurrence, or null after `until`
+ */
+export function getNextOccurrence(rule, date) {
+    const start = parseDay(date);
+    const interval = rule.interval || 1;
+    const weekdays = rule.byWeekday?.map(day => WEEKDAYS.indexOf(day));
+    let next = null;
+
+    if (rule.frequency === 'daily') {
+        for (let step = 1; step <= MAX_STEPS && next === null; step++) {
+            const candidate = start + step * interval * DAY_MS;
+            if (!weekdays || weekdays.includes(weekdayOf(candidate))) next = candidate;
+        }
+    } else if (rule.frequency === 'weekly') {
+        if (!weekdays) {
+            next = start + 7 * interval * DAY_MS;
+        } else {
+            // Weeks start on Monday; only every `interval`th week counts
+            const weekStart = start - weekdayOf(start) * DAY_MS;
+            for (let step = 1; step <= 7 * interval && next === null; step++) {
+                const candidate = start + step * DAY_MS;
+                const weeks = Math.round((candidate - weekdayOf(candidate) * DAY_MS - weekStart) / (7 * DAY_MS));
+                if (weeks % interval === 0 && weekdays.includes(weekdayOf(candidate))) next = candidate;
+            }
+        }
+    } else if (rule.frequency === 'monthly') {
+        const day = new Date(start);
+        for (let step = 1; step <= MAX_STEPS && next === null; step++) {
+            const candidate = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + step * interval, day.getUTCDate()));
+            // Months without the day (e.g. the 31st) are skipped, as in RRULE
+            if (candidate.getUTCDate() === day.getUTCDate()) next = candidate.getTime();
+        }
+    }
+
+    if (next === null) return null;
+    const nextDay = formatDay(next);
+    return rule.until && nextDay > rule.until ? null : nextDay;
+}
+
+/**
+ * Record the current occurrence of a routine as done and move the task on
+ * to the next one. Occurrences that already went by are skipped; they count
+ * towards `count` but not towards the streak. When the rule runs out the
+ * task stays done.
+ * @param {Object} task - Routine with a `dueDate`, already in a done status
+ * @param {string} reopenStatus - Status the next occurrence starts in
+ * @param {Date} [now]
+ * @returns {Object} Updated task
+ */
+export function completeOccurrence(task, reopenStatus, now = new Date()) {
+    const rule = task.recurrence;
+    const due = task.dueDate.slice(0, 10);
+    // Date-time due dates keep their time of day
+    const time = task.dueDate.slice(10);
+    const completions = [...(task.completions || []), { due, completedAt: now.toISOString() }]
+        .slice(-MAX_COMPLETIONS);
+
+    const today = toLocalDay(now);
+    let occurrence = task.occurrence || 1;
+    let next = getNextOccurrence(rule, due);
+    occurrence += 1;
+    while (next !== null && next < today) {
+        next = getNextOccurrence(rule, next);
+        occurrence += 1;
+    }
+
+    if (next === null || (rule.count && occurrence > rule.count)) {
+        return { ...task, completions };
+    }
+    return { ...task, status: reopenStatus, dueDate: `${next}${time}`, occurrence, completions };
+}
+
+/**
+ * Occurrences of a routine done in a row, up to the latest. Completing late
+ * still counts; an occurrence skipped or gone by unfinished resets it.
+ * @param {Object} task - Task
+ * @param {Date} [now]
+ * @returns {number} Streak length, 0 for tasks that don't recur
+ */
+export function getStreak(task, now = new Date()) {
+    const completions = task.completions || [];
+    if (!task.recurrence || completions.length === 0) return 0;
+
+    const last = completions[completions.length - 1];
+    const due = task.dueDate?.slice(0, 10);
+    if (due && due !== last.due &&
+        (getNextOccurrence(task.recurrence, last.due) !== due || due < toLocalDay(now))) {
+        return 0;
+    }
+
+    let streak = 1;
+    for (let i = completions.length - 1; i > 0; i--) {
+        if (getNextOccurrence(task.recurrence, completions[i - 1].due) !== completions[i].due) break;
+        streak += 1;
+    }
+    return streak;
+}
+
+/**
+ * Describe a rule for humans, e.g. "Every 2 weeks on Mon, Thu, 5 times"
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} Description
+ */
+export function describeRecurrence(rule) {
+    const interval = rule.interval || 1;
+    const { unit } = RECURRENCE_FREQUENCIES[rule.frequency];
+    const days = rule.byWeekday
+        ? WEEKDAYS.filter(day => rule.byWeekday.includes(day)).map(day => WEEKDAY_LABELS[WEEKDAYS.indexOf(day)])
+        : null;
+
+    let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+    if (days && rule.frequency === 'daily' && interval === 1) {
+        text = days.join(',') === 'Mon,Tue,Wed,Thu,Fri' ? 'Every weekday' : `Every ${days.join(', ')}`;
+    } else if (days) {
+        text += ` on ${days.join(', ')}`;
+    }
+
+    if (rule.until) {
+        text += `, until ${new Date(parseDay(rule.until)).toLocaleDateString(undefined, { timeZone: 'UTC' })}`;
+    } else if (rule.count) {
+        text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    }
+    return text;
+}
+
+/**
+ * Write a rule as an iCalendar RRULE value
+ * @param {Object} rule - Recurrence rule
+ * @param {number} [remaining] - Occurrences left, used instead of `count`
+ * @returns {string} e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH'
+ */
+export function formatRRule(rule, remaining = rule.count) {
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byWeekday) parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    if (remaining) parts.push(`COUNT=${remaining}`);
+    return parts.join(';');
+}
@@ -0,0 +1,154 @@
+import { Workflow } from './workflow.js';
+
+const DUE_HOUR = 9;
+const CHECK_INTERVAL_MS = 60 * 1000;
+const PERIODIC_SYNC_TAG = 'focusar-reminders';
+const PERIODIC_SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Reminder offsets offered in the task form, in minutes before the due time
+ */
+export const REMINDER_OPTIONS = [
+    { minutes: 0, label: 'At the due time' },
+    { minutes: 60, label: '1 hour before' },
+    { minutes: 24 * 60, label: '1 day before' },
+    { minutes: 7 * 24 * 60, label: '1 week before' }
+];
+
+/**
+ * When a task is due. Date-only due dates are due at 9:00 local time.
+ * @param {string} dueDate - ISO date or date-time
+ * @returns {number} Timestamp in ms, NaN when unparseable
+ */
+export function getDueTime(dueDate) {
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dueDate);
+    if (dateOnly) {
+        const [, year, month, day] = dateOnly.map(Number);
+        return new Date(year, month - 1, day, DUE_HOUR).getTime();
+    }
+    return Date.parse(dueDate);
+}
+
+/**
+ * Describe an offset for humans
+ * @param {number} minutes - Minutes before the due time
+ * @returns {string} Label
+ */
+export function describeReminder(minutes) {
+    const option = REMINDER_OPTIONS.find(candidate => candidate.minutes === minutes);
+    if (option) return option.label;
+    if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} days before`;
+    if (minutes % 60 === 0) return `${minutes / 60} hours before`;
+    return `${minutes} minutes before`;
+}
+
+/**
+ * Reminders for unfinished tasks with a due date
+ * @param {Array} tasks - Tasks
+ * @param {Workflow} [workflow] - Decides which statuses are done
+ * @returns {Array} `{ id, taskId, title, body, at }` sorted by time. `id`
+ *     changes when the due time does, so a moved task is reminded again.
+ */
+export function getReminders(tasks, workflow = new Workflow()) {
+    const reminders = [];
+
+    tasks.forEach(task => {
+        if (workflow.isDone(task.status) || !task.dueDate || !task.reminders?.length) return;
+
+        const dueTime = getDueTime(task.dueDate);
+        if (Number.isNaN(dueTime)) return;
+
+        task.reminders.forEach(minutes => {
+            const at = dueTime - minutes * 60 * 1000;
+            reminders.push({
+                id: `${task.id}:${minutes}:${at}`,
+                taskId: task.id,
+                title: task.title,
+                body: minutes === 0
+                    ? 'Due now'
+                    : `Due ${new Date(dueTime).toLocaleString()}`,
+                at
+            });
+        });
+    });
+
+    return reminders.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Hands task reminders to the service worker, which shows them as local
+ * notifications even while the app is closed. Reminders are re-sent on
+ * every task change.
+ */
+export class ReminderScheduler {
+    constructor(taskManager) {
+        this.taskManager = taskManager;
+        this.checkTimer = null;
+    }
+
+    isSupported() {
+        return typeof navigator !== 'undefined' &&
+            'serviceWorker' in navigator &&
+            typeof Notification !== 'undefined';
+    }
+
+    /**
+     * Start syncing reminders. Does not wait for the service worker, which
+     * may still be installing.
+     */
+    initialize() {
+        if (!this.isSupported()) return;
+
+        this.taskManager.addChangeListener(tasks => this.sync(tasks));
+        this.sync(this.taskManager.getAllTasks());
+
+        // While the app is open, nudge the worker so reminders fire on time
+        // even without notification triggers or periodic sync
+        this.checkTimer = setInterval(() => this._post({ type: 'check-reminders' }), CHECK_INTERVAL_MS);
+        this._registerPeriodicSync();
+    }
+
+    /**
+     * Ask for notification permission; call from a user gesture
+     * @returns {Promise<string>} Permission state
+     */
+    async requestPermission() {
+        if (!this.isSupported()) return 'denied';
+        if (Notification.permission === 'default') {
+            return Notification.requestPermission();
+        }
+        return Notification.permission;
+    }
+
+    /**
+     * Replace the worker's schedule with the reminders for these tasks
+     * @param {Array} tasks - All tasks
+     * @returns {Promise<void>}
+     */
+    async sync(tasks) {
+        try {
+            await this._post({ type: 'schedule-reminders', reminders: getReminders(tasks, this.taskManager.workflow) });
+        } catch (error) {
+            console.error('Error scheduling reminders:', error);
+        }
+    }
+
+    async _post(message) {
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage(message);
+    }
+
+    async _registerPeriodicSync() {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!registration.periodicSync) return;
+
+            await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+                minInterval: PERIODIC_SYNC_INTERVAL_MS
+            });
+        } catch (error) {
+            // Periodic sync needs an installed app and permission; checks still run while open
+            console.warn('Periodic reminder checks unavailable:', error);
+        }
+    }
+}
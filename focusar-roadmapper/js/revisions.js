@@ -0,0 +1,146 @@
+/**
+ * Revision metadata shared by every copy of a task. Each local change stamps
+ * the task with:
+ * - `revision`: a Lamport clock, one higher than any revision the device has seen
+ * - `updatedAt`: wall-clock time of the change
+ * - `deviceId`: the device that made the change
+ *
+ * Deleted tasks leave a tombstone `{ id, deleted: true, revision, updatedAt, deviceId }`
+ * so the deletion can travel to other devices like any other change.
+ *
+ * Fields also remember the change that last set them, as
+ * `fieldRevisions: { [field]: [revision, deviceId] }`, so concurrent edits to
+ * different fields of one task both survive a merge. A field deleted from a
+ * task keeps its entry.
+ */
+
+// Bookkeeping that describes the record rather than being merged with it
+const RECORD_FIELDS = ['id', 'revision', 'updatedAt', 'deviceId', 'fieldRevisions'];
+
+/**
+ * Order two versions of the same record. Higher revisions win, then the
+ * higher device ID, so every device picks the same winner no matter the
+ * order changes arrive in. Wall-clock time is left out: device clocks
+ * disagree, and fields are ordered the same way (see `mergeTasks`).
+ * @param {Object} a - Task or tombstone
+ * @param {Object} b - Task or tombstone
+ * @returns {number} Positive when `a` wins, negative when `b` wins, 0 when they're the same version
+ */
+export function compareRevisions(a, b) {
+    const revision = (a.revision || 0) - (b.revision || 0);
+    if (revision !== 0) return revision;
+
+    const deviceA = a.deviceId || '';
+    const deviceB = b.deviceId || '';
+    if (deviceA !== deviceB) return deviceA > deviceB ? 1 : -1;
+
+    // Same stamp: a deletion beats an edit
+    return Number(Boolean(a.deleted)) - Number(Boolean(b.deleted));
+}
+
+/**
+ * @param {string} id - ID of the deleted task
+ * @param {Object} stamp - `{ revision, updatedAt, deviceId }`
+ * @returns {Object} Tombstone record
+ */
+export function createTombstone(id, { revision, updatedAt, deviceId }) {
+    return { id, deleted: true, revision, updatedAt, deviceId };
+}
+
+export function isTombstone(record) {
+    return Boolean(record?.deleted);
+}
+
+/**
+ * Task fields whose values differ between two versions
+ * @param {Object|null} previous - Earlier version, or null for a new task
+ * @param {Object} next - Later version
+ * @returns {Array<string>} Field names, bookkeeping excluded
+ */
+export function getChangedFields(previous, next) {
+    const fields = new Set([...Object.keys(previous || {}), ...Object.keys(next)]);
+    return Array.from(fields).filter(field =>
+        !RECORD_FIELDS.includes(field) &&
+        JSON.stringify(previous?.[field]) !== JSON.stringify(next[field])
+    );
+}
+
+/**
+ * Whether two versions hold the same task data, ignoring bookkeeping
+ * @param {Object} a - Task
+ * @param {Object} b - Task
+ * @returns {boolean}
+ */
+export function hasSameFields(a, b) {
+    return getChangedFields(a, b).length === 0;
+}
+
+/**
+ * The change that last set a field. Tasks saved before field revisions
+ * existed fall back to the task's own revision.
+ * @param {Object} task - Task
+ * @param {string} field - Field name
+ * @returns {Array} `[revision, deviceId]`
+ */
+function getFieldStamp(task, field) {
+    if (task.fieldRevisions) {
+        return task.fieldRevisions[field] || [0, ''];
+    }
+    return [task.revision || 0, task.deviceId || ''];
+}
+
+function compareFieldStamps([revisionA, deviceA], [revisionB, deviceB]) {
+    if (revisionA !== revisionB) return revisionA - revisionB;
+    if (deviceA === deviceB) return 0;
+    return deviceA > deviceB ? 1 : -1;
+}
+
+/**
+ * Order the changes that last set a field in two tasks
+ * @param {Object} a - Task
+ * @param {Object} b - Task
+ * @param {string} field - Field name
+ * @returns {number} Positive when `a` set it later, negative when `b` did, 0 for the same change
+ */
+export function compareFieldRevisions(a, b, field) {
+    return compareFieldStamps(getFieldStamp(a, field), getFieldStamp(b, field));
+}
+
+/**
+ * Merge two versions of a task field by field: each field takes the value
+ * from whichever version changed it last. The merge is commutative,
+ * associative and idempotent, so replicas converge whatever order edits
+ * arrive in. Revision metadata comes from the newer version.
+ * @param {Object} local - Task
+ * @param {Object} remote - Task with the same ID
+ * @returns {Object} Merged task
+ */
+export function mergeTasks(local, remote) {
+    const newer = compareRevisions(remote, local) > 0 ? remote : local;
+    const merged = {
+        id: local.id,
+        revision: Math.max(local.revision || 0, remote.revision || 0),
+        updatedAt: newer.updatedAt,
+        deviceId: newer.deviceId,
+        fieldRevisions: {}
+    };
+
+    const fields = new Set([...Object.keys(local), ...Object.keys(remote),
+        ...Object.keys(local.fieldRevisions || {}), ...Object.keys(remote.fieldRevisions || {})]);
+    fields.forEach(field => {
+        if (RECORD_FIELDS.includes(field)) return;
+
+        const localStamp = getFieldStamp(local, field);
+        const remoteStamp = getFieldStamp(remote, field);
+        const [source, stamp] = compareFieldStamps(remoteStamp, localStamp) > 0
+            ? [remote, remoteStamp]
+            : [local, localStamp];
+
+        if (source[field] !== undefined) {
+            merged[field] = source[field];
+        }
+        merged.fieldRevisions[field] = stamp;
+    });
+
+    return merged;
+}
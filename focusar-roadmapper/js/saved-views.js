@@ -0,0 +1,91 @@
+import { createTaskId } from './task-manager.js';
+import { parseTaskQuery } from './task-query.js';
+
+const VIEWS_META_KEY = 'views';
+
+/**
+ * Named filter queries, kept in the task storage's meta store next to the
+ * tasks. A view is `{ id, name, query, created, updatedAt }`.
+ */
+export class SavedViewManager {
+    /**
+     * @param {TaskManager} taskManager - Provides the storage
+     */
+    constructor(taskManager) {
+        this.taskManager = taskManager;
+        this.views = new Map();
+    }
+
+    /**
+     * Load saved views
+     * @returns {Promise<Array>} Views
+     */
+    async initialize() {
+        try {
+            const storage = await this.taskManager.getStorage();
+            const views = (await storage.getMeta(VIEWS_META_KEY)) || [];
+            this.views = new Map(views.map(view => [view.id, view]));
+            return this.getViews();
+        } catch (error) {
+            console.error('Error loading saved views:', error);
+            throw error;
+        }
+    }
+
+    getViews() {
+        return Array.from(this.views.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getView(id) {
+        return this.views.get(id);
+    }
+
+    /**
+     * Save a query under a name. A view with the same name is replaced.
+     * @param {Object} view - `{ name, query }`
+     * @returns {Promise<Object>} Saved view
+     * @throws {QuerySyntaxError} When the query can't be parsed
+     */
+    async saveView({ name, query }) {
+        try {
+            if (typeof name !== 'string' || name.trim() === '') {
+                throw new Error('View name is required');
+            }
+            parseTaskQuery(query);
+
+            const now = new Date().toISOString();
+            const existing = this.getViews().find(view => view.name === name.trim());
+            const saved = {
+                id: existing?.id || createTaskId(),
+                name: name.trim(),
+                query: query.trim(),
+                created: existing?.created || now,
+                updatedAt: now
+            };
+
+            this.views.set(saved.id, saved);
+            await this._persist();
+            return saved;
+        } catch (error) {
+            console.error('Error saving view:', error);
+            throw error;
+        }
+    }
+
+    async deleteView(id) {
+        try {
+            if (!this.views.delete(id)) {
+                throw new Error('View not found');
+            }
+            await this._persist();
+        } catch (error) {
+            console.error('Error deleting view:', error);
+            throw error;
+        }
+    }
+
+    async _persist() {
+        const storage = await this.taskManager.getStorage();
+        await storage.setMeta(VIEWS_META_KEY, Array.from(this.views.values()));
+    }
+}
@@ -0,0 +1,280 @@
+const FIELD_WEIGHTS = { title: 3, tags: 2, description: 1 };
+const DEFAULT_LIMIT = 20;
+const MIN_TOKEN_LENGTH = 2;
+
+/**
+ * Lowercase, strip accents and split into word tokens
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens
+ */
+export function tokenizeText(text) {
+    return (text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 0);
+}
+
+/**
+ * Whether a token is worth indexing; single letters aren't, single digits are
+ * @param {string} token - Normalized token
+ * @returns {boolean}
+ */
+function isIndexable(token) {
+    return token.length >= MIN_TOKEN_LENGTH || /\d/.test(token);
+}
+
+/**
+ * Trigrams of a padded token, used to find fuzzy candidates quickly
+ * @param {string} token - Token
+ * @returns {Array<string>} Unique trigrams
+ */
+function trigrams(token) {
+    const padded = ` ${token} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        grams.add(padded.slice(i, i + 3));
+    }
+    return Array.from(grams);
+}
+
+/**
+ * Edit distance with adjacent transpositions, giving up past `max`
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or `max + 1` when further apart
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Typos allowed for a query token of this length
+ * @param {number} length - Token length
+ * @returns {number} Maximum edit distance
+ */
+function allowedEdits(length) {
+    if (length <= 3) return 0;
+    return length <= 6 ? 1 : 2;
+}
+
+/**
+ * Inverted index over task titles, descriptions and tags with typo-tolerant,
+ * prefix-aware ranking. Kept current by feeding it TaskManager change events.
+ */
+export class SearchIndex {
+    constructor() {
+        this.tasks = new Map();
+        // token -> Map(taskId -> summed field weight)
+        this.postings = new Map();
+        // trigram -> Set(token)
+        this.gramIndex = new Map();
+        // taskId -> Set(token)
+        this.taskTokens = new Map();
+    }
+
+    /**
+     * Index every task from scratch
+     * @param {Array} tasks - All tasks
+     */
+    build(tasks) {
+        this.tasks.clear();
+        this.postings.clear();
+        this.gramIndex.clear();
+        this.taskTokens.clear();
+        tasks.forEach(task => this._add(task));
+    }
+
+    /**
+     * Apply a TaskManager change event
+     * @param {Array} tasks - All tasks after the change
+     * @param {Object} change - `{ changed, removed, reset }`
+     */
+    update(tasks, change) {
+        if (change.reset) {
+            this.build(tasks);
+            return;
+        }
+
+        const changed = new Set(change.changed);
+        change.removed.forEach(id => this._remove(id));
+        tasks.forEach(task => {
+            if (!changed.has(task.id)) return;
+            this._remove(task.id);
+            this._add(task);
+        });
+    }
+
+    /**
+     * Find tasks matching every word of a query. Exact words rank above
+     * prefixes, which rank above typos; title hits rank above tags, which
+     * rank above descriptions.
+     * @param {string} query - Search text
+     * @param {Object} [options]
+     * @param {number} [options.limit=20] - Maximum number of results
+     * @returns {Array} `{ task, score, terms }` best first, where `terms` are
+     *     the indexed words that matched, for highlighting
+     */
+    search(query, { limit = DEFAULT_LIMIT } = {}) {
+        // Words that are never indexed can't match; skip them, except the
+        // last one while it's still being typed and may grow into a prefix
+        const typing = /[\p{L}\p{N}]$/u.test(query);
+        const tokens = tokenizeText(query);
+        const queryTokens = Array.from(new Set(tokens.filter((token, index) =>
+            isIndexable(token) || (typing && index === tokens.length - 1)
+        )));
+        if (queryTokens.length === 0) return [];
+
+        let scores = null;
+        const terms = new Map();
+
+        queryTokens.forEach((queryToken, index) => {
+            // Only the word being typed, the last one, matches as a prefix
+            const isLast = index === queryTokens.length - 1;
+            const tokenScores = new Map();
+
+            this._matchTokens(queryToken, isLast).forEach((quality, token) => {
+                this.postings.get(token).forEach((weight, taskId) => {
+                    const score = weight * quality;
+                    if (score > (tokenScores.get(taskId) || 0)) {
+                        tokenScores.set(taskId, score);
+                    }
+                    if (!terms.has(taskId)) terms.set(taskId, new Set());
+                    terms.get(taskId).add(token);
+                });
+            });
+
+            // Every query word has to match somewhere
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                scores = new Map(Array.from(scores)
+                    .filter(([taskId]) => tokenScores.has(taskId))
+                    .map(([taskId, score]) => [taskId, score + tokenScores.get(taskId)]));
+            }
+        });
+
+        const phrase = query.trim().toLowerCase();
+        return Array.from(scores)
+            .map(([taskId, score]) => {
+                const task = this.tasks.get(taskId);
+                // Whole-query hits in the title beat scattered words
+                const bonus = task.title.toLowerCase().includes(phrase) ? FIELD_WEIGHTS.title : 0;
+                return { task, score: score + bonus, terms: Array.from(terms.get(taskId)) };
+            })
+            .sort((a, b) => b.score - a.score || a.task.title.localeCompare(b.task.title))
+            .slice(0, limit);
+    }
+
+    /**
+     * Indexed tokens that match a query token, with a match quality from 0 to 1
+     * @param {string} queryToken - Normalized query token
+     * @param {boolean} allowPrefix - Whether tokens starting with it count
+     * @returns {Map<string, number>} Quality by token
+     */
+    _matchTokens(queryToken, allowPrefix) {
+        const matches = new Map();
+        if (this.postings.has(queryToken)) {
+            matches.set(queryToken, 1);
+        }
+
+        const maxEdits = allowedEdits(queryToken.length);
+        const candidates = new Set();
+        trigrams(queryToken).forEach(gram => {
+            this.gramIndex.get(gram)?.forEach(token => candidates.add(token));
+        });
+
+        // Short prefixes share few trigrams with their completions
+        if (allowPrefix && queryToken.length < 3) {
+            this.postings.forEach((_, token) => {
+                if (token.startsWith(queryToken)) candidates.add(token);
+            });
+        }
+
+        candidates.forEach(token => {
+            if (matches.has(token)) return;
+
+            if (allowPrefix && token.startsWith(queryToken)) {
+                matches.set(token, 0.8);
+                return;
+            }
+            if (maxEdits === 0) return;
+
+            // Typos count against the whole word, or the start of it when typing
+            let distance = editDistance(queryToken, token, maxEdits);
+            if (allowPrefix && token.length > queryToken.length) {
+                distance = Math.min(distance, editDistance(queryToken, token.slice(0, queryToken.length), maxEdits));
+            }
+            if (distance <= maxEdits) {
+                matches.set(token, 0.6 - distance * 0.15);
+            }
+        });
+
+        return matches;
+    }
+
+    _add(task) {
+        this.tasks.set(task.id, task);
+
+        const weights = new Map();
+        const addField = (text, weight) => {
+            tokenizeText(text).forEach(token => {
+                if (!isIndexable(token)) return;
+                weights.set(token, (weights.get(token) || 0) + weight);
+            });
+        };
+        addField(task.title, FIELD_WEIGHTS.title);
+        addField((task.tags || []).join(' '), FIELD_WEIGHTS.tags);
+        addField(task.description, FIELD_WEIGHTS.description);
+
+        weights.forEach((weight, token) => {
+            if (!this.postings.has(token)) {
+                this.postings.set(token, new Map());
+                trigrams(token).forEach(gram => {
+                    if (!this.gramIndex.has(gram)) this.gramIndex.set(gram, new Set());
+                    this.gramIndex.get(gram).add(token);
+                });
+            }
+            this.postings.get(token).set(task.id, weight);
+        });
+        this.taskTokens.set(task.id, new Set(weights.keys()));
+    }
+
+    _remove(taskId) {
+        this.taskTokens.get(taskId)?.forEach(token => {
+            const posting = this.postings.get(token);
+            posting.delete(taskId);
+            if (posting.size > 0) return;
+
+            this.postings.delete(token);
+            trigrams(token).forEach(gram => {
+                const tokens = this.gramIndex.get(gram);
+                tokens.delete(token);
+                if (tokens.size === 0) this.gramIndex.delete(gram);
+            });
+        });
+        this.taskTokens.delete(taskId);
+        this.tasks.delete(taskId);
+    }
+}
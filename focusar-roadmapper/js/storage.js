@@ -0,0 +1,415 @@
+/**
+ * Storage schema version. Bump this and add an entry to `SCHEMA_UPGRADES`
+ * whenever the shape of the persisted data changes.
+ */
+export const SCHEMA_VERSION = 1;
+
+const LEGACY_STORAGE_KEY = 'focusar-tasks';
+const MIGRATION_FLAG = 'migratedFromLocalStorage';
+// Set once tasks live in IndexedDB, so a failed open never starts over in localStorage
+const BACKEND_STORAGE_KEY = 'focusar-storage-backend';
+
+/**
+ * Thrown when saved tasks exist but their storage can't be opened. Falling
+ * back to another backend would hide them, so the app reports this instead.
+ */
+export class StorageUnavailableError extends Error {
+    constructor(message = 'Your saved tasks could not be opened; reload the page to try again') {
+        super(message);
+        this.name = 'StorageUnavailableError';
+    }
+}
+
+/**
+ * IndexedDB upgrade steps, keyed by the version they upgrade to.
+ * Each step receives the open database and the upgrade transaction.
+ */
+const SCHEMA_UPGRADES = {
+    1: (db) => {
+        db.createObjectStore('tasks', { keyPath: 'id' });
+        db.createObjectStore('meta');
+    }
+};
+
+/**
+ * In-memory storage adapter. Nothing is persisted; intended for tests
+ * and for environments without any browser storage.
+ *
+ * Adapters backed by storage that other tabs can see also set
+ * `channelName`, which TaskManager uses to tell those tabs about its writes.
+ */
+export class MemoryStorageAdapter {
+    constructor(tasks = []) {
+        this.records = new Map();
+        this.meta = new Map();
+        tasks.forEach(task => this.records.set(task.id, structuredClone(task)));
+    }
+
+    async open() {
+        if (!this.meta.has('schemaVersion')) {
+            this.meta.set('schemaVersion', SCHEMA_VERSION);
+        }
+    }
+
+    async getAllTasks() {
+        return Array.from(this.records.values(), task => structuredClone(task));
+    }
+
+    async getTasks(ids) {
+        return ids.filter(id => this.records.has(id)).map(id => structuredClone(this.records.get(id)));
+    }
+
+    async putTasks(tasks) {
+        tasks.forEach(task => this.records.set(task.id, structuredClone(task)));
+    }
+
+    async updateTasks(ids, update) {
+        const stored = new Map((await this.getTasks(ids)).map(task => [task.id, task]));
+        const { put = [], remove = [] } = update(stored);
+        await this.putTasks(put);
+        await this.deleteTasks(remove);
+    }
+
+    async deleteTasks(ids) {
+        ids.forEach(id => this.records.delete(id));
+    }
+
+    async replaceTasks(tasks) {
+        this.records.clear();
+        await this.putTasks(tasks);
+    }
+
+    async getMeta(key) {
+        return this.meta.get(key);
+    }
+
+    async setMeta(key, value) {
+        this.meta.set(key, value);
+    }
+
+    close() {}
+}
+
+/**
+ * localStorage adapter. Keeps the original single-key format so existing
+ * data stays readable, which means every write re-serializes all tasks.
+ */
+export class LocalStorageAdapter {
+    constructor(storageKey = LEGACY_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.metaKey = `${storageKey}-meta`;
+        this.channelName = `focusar:${storageKey}`;
+    }
+
+    async open() {
+        const meta = this._readMeta();
+        if (!meta.schemaVersion) {
+            meta.schemaVersion = SCHEMA_VERSION;
+            localStorage.setItem(this.metaKey, JSON.stringify(meta));
+        }
+    }
+
+    async getAllTasks() {
+        const storedTasks = localStorage.getItem(this.storageKey);
+        return storedTasks ? JSON.parse(storedTasks) : [];
+    }
+
+    async getTasks(ids) {
+        const wanted = new Set(ids);
+        return (await this.getAllTasks()).filter(task => wanted.has(task.id));
+    }
+
+    async putTasks(tasks) {
+        const records = new Map((await this.getAllTasks()).map(task => [task.id, task]));
+        tasks.forEach(task => records.set(task.id, task));
+        this._write(Array.from(records.values()));
+    }
+
+    async updateTasks(ids, update) {
+        // Read, update and write without yielding, so no other tab's write lands in between
+        const records = new Map(JSON.parse(localStorage.getItem(this.storageKey) || '[]').map(task => [task.id, task]));
+        const stored = new Map(ids.filter(id => records.has(id)).map(id => [id, records.get(id)]));
+        const { put = [], remove = [] } = update(stored);
+        put.forEach(task => records.set(task.id, task));
+        remove.forEach(id => records.delete(id));
+        this._write(Array.from(records.values()));
+    }
+
+    async deleteTasks(ids) {
+        const removed = new Set(ids);
+        const tasks = await this.getAllTasks();
+        this._write(tasks.filter(task => !removed.has(task.id)));
+    }
+
+    async replaceTasks(tasks) {
+        this._write(tasks);
+    }
+
+    async getMeta(key) {
+        return this._readMeta()[key];
+    }
+
+    async setMeta(key, value) {
+        const meta = this._readMeta();
+        meta[key] = value;
+        localStorage.setItem(this.metaKey, JSON.stringify(meta));
+    }
+
+    close() {}
+
+    _write(tasks) {
+        localStorage.setItem(this.storageKey, JSON.stringify(tasks));
+    }
+
+    _readMeta() {
+        const storedMeta = localStorage.getItem(this.metaKey);
+        return storedMeta ? JSON.parse(storedMeta) : {};
+    }
+}
+
+/**
+ * IndexedDB adapter. Tasks are stored as one record per task so a change
+ * only writes the records it touched.
+ */
+export class IndexedDBAdapter {
+    constructor(dbName = 'focusar') {
+        this.dbName = dbName;
+        this.channelName = `focusar:${dbName}`;
+        this.db = null;
+        // Set when another tab upgraded the schema and this connection had to go
+        this.superseded = false;
+        // Called when an upgrade waits for other tabs to close their connection
+        this.onblocked = null;
+    }
+
+    /**
+     * Open the database, running any pending schema upgrades. An upgrade
+     * blocked by another tab keeps waiting until that tab lets go.
+     * @returns {Promise<void>}
+     */
+    async open() {
+        if (this.db) return;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, SCHEMA_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let version = event.oldVersion + 1; version <= SCHEMA_VERSION; version++) {
+                    SCHEMA_UPGRADES[version]?.(db, request.transaction);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => this.onblocked?.();
+        });
+
+        // Another tab upgraded the schema; let it proceed. This tab's code is
+        // now older than the data, so it can't reopen and has to be reloaded.
+        this.db.onversionchange = () => {
+            this.close();
+            this.superseded = true;
+        };
+
+        await this.setMeta('schemaVersion', SCHEMA_VERSION);
+    }
+
+    async getAllTasks() {
+        return this._request('tasks', 'readonly', store => store.getAll());
+    }
+
+    async getTasks(ids) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._database().transaction('tasks', 'readonly');
+            const store = transaction.objectStore('tasks');
+            const requests = ids.map(id => store.get(id));
+            transaction.oncomplete = () => resolve(requests.map(request => request.result).filter(Boolean));
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async putTasks(tasks) {
+        await this._transaction('tasks', store => tasks.forEach(task => store.put(task)));
+    }
+
+    /**
+     * Read some tasks and write changes based on them in one transaction, so
+     * no other tab's write lands in between
+     * @param {Array<string>} ids - Tasks to read
+     * @param {Function} update - Called synchronously with a Map of the stored
+     *     tasks by ID (missing ones left out); returns `{ put, remove }`
+     * @returns {Promise<void>}
+     */
+    async updateTasks(ids, update) {
+        await this._transaction('tasks', store => {
+            const stored = new Map();
+            let remaining = ids.length;
+            const write = () => {
+                const { put = [], remove = [] } = update(stored);
+                put.forEach(task => store.put(task));
+                remove.forEach(id => store.delete(id));
+            };
+
+            if (remaining === 0) {
+                write();
+                return;
+            }
+            ids.forEach(id => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    if (request.result) stored.set(id, request.result);
+                    remaining -= 1;
+                    if (remaining === 0) write();
+                };
+            });
+        });
+    }
+
+    async deleteTasks(ids) {
+        await this._transaction('tasks', store => ids.forEach(id => store.delete(id)));
+    }
+
+    async replaceTasks(tasks) {
+        await this._transaction('tasks', store => {
+            store.clear();
+            tasks.forEach(task => store.put(task));
+        });
+    }
+
+    async getMeta(key) {
+        return this._request('meta', 'readonly', store => store.get(key));
+    }
+
+    async setMeta(key, value) {
+        await this._transaction('meta', store => store.put(value, key));
+    }
+
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    /**
+     * The open connection
+     * @returns {IDBDatabase}
+     * @throws {Error} When the database isn't open
+     */
+    _database() {
+        if (this.db) return this.db;
+        throw new Error(this.superseded
+            ? 'Storage was upgraded in another tab; reload the page to keep working'
+            : 'Storage is closed');
+    }
+
+    /**
+     * Run a single request and resolve with its result
+     * @param {string} storeName - Object store name
+     * @param {string} mode - Transaction mode
+     * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>}
+     */
+    _request(storeName, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const store = this._database().transaction(storeName, mode).objectStore(storeName);
+            const request = makeRequest(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run writes in one readwrite transaction and resolve when it commits
+     * @param {string} storeName - Object store name
+     * @param {Function} work - Receives the store
+     * @returns {Promise<void>}
+     */
+    _transaction(storeName, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._database().transaction(storeName, 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+            work(transaction.objectStore(storeName));
+        });
+    }
+}
+
+/**
+ * Lift tasks saved by the localStorage backend into another adapter.
+ * Runs once per target; the legacy key is removed after a successful copy.
+ * @param {Object} target - Opened storage adapter to migrate into
+ * @param {LocalStorageAdapter} source - Legacy adapter to read from
+ * @returns {Promise<number>} Number of migrated tasks
+ */
+export async function migrateFromLocalStorage(target, source = new LocalStorageAdapter()) {
+    if (await target.getMeta(MIGRATION_FLAG)) {
+        return 0;
+    }
+
+    const tasks = await source.getAllTasks();
+    if (tasks.length > 0) {
+        await target.putTasks(tasks);
+    }
+
+    await target.setMeta(MIGRATION_FLAG, new Date().toISOString());
+    localStorage.removeItem(source.storageKey);
+    localStorage.removeItem(source.metaKey);
+
+    return tasks.length;
+}
+
+/**
+ * Whether tasks may already be saved in IndexedDB
+ * @param {string} dbName - Database name
+ * @returns {Promise<boolean>}
+ */
+async function hasIndexedDBData(dbName) {
+    if (typeof localStorage !== 'undefined' && localStorage.getItem(BACKEND_STORAGE_KEY) === 'indexeddb') {
+        return true;
+    }
+    try {
+        const databases = await indexedDB.databases?.();
+        return Boolean(databases?.some(database => database.name === dbName));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Pick the best available storage backend and open it. localStorage is only
+ * used when IndexedDB has never held tasks on this device.
+ * @param {Object} [options]
+ * @param {Function} [options.onBlocked] - Called while an IndexedDB upgrade
+ *     waits for other tabs to close
+ * @returns {Promise<Object>} Opened storage adapter
+ * @throws {StorageUnavailableError} When saved tasks can't be opened
+ */
+export async function createStorageAdapter(options = {}) {
+    if (typeof indexedDB !== 'undefined') {
+        const adapter = new IndexedDBAdapter();
+        adapter.onblocked = options.onBlocked || null;
+        try {
+            await adapter.open();
+            await migrateFromLocalStorage(adapter);
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(BACKEND_STORAGE_KEY, 'indexeddb');
+            }
+            return adapter;
+        } catch (error) {
+            adapter.close();
+            if (await hasIndexedDBData(adapter.dbName)) {
+                console.error('Error opening IndexedDB:', error);
+                throw new StorageUnavailableError();
+            }
+            console.error('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+
+    if (typeof localStorage !== 'undefined') {
+        const adapter = new LocalStorageAdapter();
+        await adapter.open();
+        return adapter;
+    }
+
+    return new MemoryStorageAdapter();
+}
@@ -0,0 +1,441 @@
+import { compareRevisions, hasSameFields, isTombstone, mergeTasks } from './revisions.js';
+
+const SYNC_META_KEY = 'sync';
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+// Local edits are pushed after this pause so a burst of changes goes out together
+const PUSH_DELAY_MS = 1000;
+
+/**
+ * Thrown by sync adapters when the server can't be reached. The sync engine
+ * treats it as "offline" and keeps changes queued.
+ */
+export class SyncUnavailableError extends Error {
+    constructor(message = 'Sync server unreachable') {
+        super(message);
+        this.name = 'SyncUnavailableError';
+    }
+}
+
+/**
+ * Server side of sync: the merged version of every record, each tagged with
+ * the server sequence number it was stored at. Tasks merge field by field
+ * like they do on devices, so no edit is lost at the server. Used by the
+ * reference server and by `MemorySyncAdapter`.
+ *
+ * Sync adapters expose the same two calls over their transport:
+ * - `push(records)` resolves to `{ accepted, rejected, cursor }`; rejected
+ *   records held nothing the server didn't already have
+ * - `pull(cursor)` resolves to `{ records, cursor }` with every record stored
+ *   after `cursor`, oldest first
+ */
+export class SyncStore {
+    /**
+     * @param {Object} [snapshot] - From `toJSON`
+     */
+    constructor(snapshot = { sequence: 0, entries: [] }) {
+        this.sequence = snapshot.sequence;
+        this.entries = new Map(snapshot.entries.map(entry => [entry.record.id, entry]));
+    }
+
+    /**
+     * Merge records into the server's versions
+     * @param {Array} records - Tasks and tombstones
+     * @returns {Object} `{ accepted, rejected, cursor }` with record IDs
+     */
+    push(records) {
+        const accepted = [];
+        const rejected = [];
+
+        records.forEach(record => {
+            if (!record || typeof record.id !== 'string' || !Number.isInteger(record.revision)) {
+                rejected.push(record?.id ?? null);
+                return;
+            }
+
+            const current = this.entries.get(record.id)?.record;
+            let next = record;
+            if (current && !isTombstone(current) && !isTombstone(record)) {
+                next = mergeTasks(current, record);
+                if (hasSameFields(next, current) && compareRevisions(next, current) <= 0) {
+                    rejected.push(record.id);
+                    return;
+                }
+            } else if (current && compareRevisions(record, current) <= 0) {
+                rejected.push(record.id);
+                return;
+            }
+
+            this.sequence += 1;
+            this.entries.set(record.id, { record: next, sequence: this.sequence });
+            accepted.push(record.id);
+        });
+
+        return { accepted, rejected, cursor: this.sequence };
+    }
+
+    /**
+     * Records stored after a cursor
+     * @param {number} [cursor=0] - Sequence number from an earlier pull
+     * @returns {Object} `{ records, cursor }`
+     */
+    pull(cursor = 0) {
+        const records = Array.from(this.entries.values())
+            .filter(entry => entry.sequence > cursor)
+            .sort((a, b) => a.sequence - b.sequence)
+            .map(entry => entry.record);
+        return { records, cursor: this.sequence };
+    }
+
+    toJSON() {
+        return { sequence: this.sequence, entries: Array.from(this.entries.values()) };
+    }
+}
+
+/**
+ * In-process sync adapter around a `SyncStore`. Several task managers can
+ * share one store to stand in for devices; `online` simulates losing the
+ * connection.
+ */
+export class MemorySyncAdapter {
+    constructor(store = new SyncStore()) {
+        this.store = store;
+        this.online = true;
+    }
+
+    async push(records) {
+        this._checkOnline();
+        return structuredClone(this.store.push(structuredClone(records)));
+    }
+
+    async pull(cursor) {
+        this._checkOnline();
+        return structuredClone(this.store.pull(cursor));
+    }
+
+    _checkOnline() {
+        if (!this.online) {
+            throw new SyncUnavailableError();
+        }
+    }
+}
+
+/**
+ * Sync adapter for the reference server in `server/sync-server.mjs`, or
+ * anything speaking the same protocol:
+ * - `POST {url}/push` with `{ records }`
+ * - `GET {url}/changes?since={cursor}`
+ */
+export class HttpSyncAdapter {
+    /**
+     * @param {string} url - Server base URL, e.g. http://localhost:8787
+     */
+    constructor(url) {
+        this.url = url.replace(/\/+$/, '');
+    }
+
+    async push(records) {
+        return this._request('/push', { method: 'POST', body: JSON.stringify({ records }) });
+    }
+
+    async pull(cursor = 0) {
+        return this._request(`/changes?since=${encodeURIComponent(cursor)}`, { method: 'GET' });
+    }
+
+    async _request(path, options) {
+        let response;
+        try {
+            response = await fetch(`${this.url}${path}`, {
+                ...options,
+                headers: { 'Content-Type': 'application/json' },
+                // Never answer sync requests from the service worker cache
+                cache: 'no-store'
+            });
+        } catch (error) {
+            throw new SyncUnavailableError(`Sync server unreachable: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Sync server responded with ${response.status}`);
+        }
+        return response.json();
+    }
+}
+
+/**
+ * Keeps a TaskManager in step with a sync server. Local changes are queued
+ * by task ID (persisted, so the queue survives reloads and offline
+ * stretches), pushed, then everything newer than the last pull is merged
+ * back with `TaskManager.applyRemoteRecords`. Conflicts resolve the same way
+ * on every device, see `compareRevisions`.
+ *
+ * Only tasks sync; the workflow, templates and saved views stay per device.
+ */
+export class SyncEngine {
+    /**
+     * @param {TaskManager} taskManager - Tasks to sync
+     * @param {Object} adapter - Transport, see `SyncStore` for the interface
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs] - Time between pulls
+     */
+    constructor(taskManager, adapter, options = {}) {
+        this.taskManager = taskManager;
+        this.adapter = adapter;
+        this.server = adapter.url || null;
+        this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+        this.cursor = 0;
+        this.pending = new Set();
+        // Pushed since the last save, by ID, so they aren't read back from
+        // the stored queue as if another tab still needed them
+        this.delivered = new Map();
+        this.saving = Promise.resolve();
+        this.state = 'idle';
+        this.lastSyncedAt = null;
+        this.lastError = null;
+        this.failures = 0;
+        this.timer = null;
+        this.running = null;
+        this.started = false;
+        this.listeners = new Set();
+        this.handleTasksChanged = this.handleTasksChanged.bind(this);
+        this.handleOnline = () => this.sync();
+    }
+
+    /**
+     * Restore the cursor and queue, and start queueing local changes
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        try {
+            const storage = await this.taskManager.getStorage();
+            let saved = (await storage.getMeta(SYNC_META_KEY)) || {};
+            // A cursor from another server means nothing here
+            if (saved.server !== this.server) {
+                saved = {};
+            }
+            this.cursor = saved.cursor || 0;
+            this.pending = new Set(saved.pending || []);
+            this.lastSyncedAt = saved.lastSyncedAt || null;
+
+            // First sync with this server: offer everything the device has
+            if (!saved.pending) {
+                this.taskManager.getRecordIds().forEach(id => this.pending.add(id));
+            }
+
+            this.taskManager.addChangeListener(this.handleTasksChanged);
+        } catch (error) {
+            console.error('Error loading sync state:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sync now and then every `intervalMs`, and whenever the browser comes back online
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+        globalThis.addEventListener?.('online', this.handleOnline);
+        this.sync();
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        globalThis.removeEventListener?.('online', this.handleOnline);
+    }
+
+    /**
+     * Stop syncing and stop queueing local changes
+     */
+    dispose() {
+        this.stop();
+        this.taskManager.removeChangeListener(this.handleTasksChanged);
+    }
+
+    addListener(listener) {
+        this.listeners.add(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * @returns {Object} `{ state, pending, lastSyncedAt, error }` where state is
+     *     'idle', 'syncing', 'offline' or 'error'
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            pending: this.pending.size,
+            lastSyncedAt: this.lastSyncedAt,
+            error: this.lastError?.message || null
+        };
+    }
+
+    handleTasksChanged(tasks, change) {
+        // Remote changes came from the server or a peer; another tab queues its own
+        if (change.origin !== 'local') return;
+
+        const ids = change.reset ? this.taskManager.getRecordIds() : [...change.changed, ...change.removed];
+        if (ids.length === 0) return;
+
+        ids.forEach(id => this.pending.add(id));
+        this._saveState();
+        this._emit();
+
+        if (this.started && this.state !== 'offline') {
+            this._schedule(PUSH_DELAY_MS);
+        }
+    }
+
+    /**
+     * Push queued changes, then pull and merge remote ones. Concurrent calls
+     * share one run. Failures are reported through the status rather than
+     * thrown, and retried with backoff.
+     * @returns {Promise<boolean>} Whether the sync completed
+     */
+    sync() {
+        if (!this.running) {
+            this.running = this._run().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async _run() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (globalThis.navigator?.onLine === false) {
+            this._setState('offline');
+            return false;
+        }
+
+        this._setState('syncing');
+        try {
+            await this._push();
+            await this._pull();
+
+            this.failures = 0;
+            this.lastError = null;
+            this.lastSyncedAt = new Date().toISOString();
+            await this._saveState();
+            this._setState('idle');
+            this._schedule(this.intervalMs);
+            return true;
+        } catch (error) {
+            console.error('Error syncing tasks:', error);
+            this.failures += 1;
+            this.lastError = error;
+            this._setState(error instanceof SyncUnavailableError ? 'offline' : 'error');
+            this._schedule(Math.min(MAX_RETRY_MS, this.intervalMs * 2 ** (this.failures - 1)));
+            return false;
+        }
+    }
+
+    async _push() {
+        const records = Array.from(this.pending)
+            .map(id => this.taskManager.getRecord(id))
+            .filter(Boolean);
+        if (records.length === 0) {
+            this.pending.forEach(id => this.delivered.set(id, null));
+            this.pending.clear();
+            return;
+        }
+
+        await this.adapter.push(records);
+
+        // The server merged what it accepted, and the pull brings the result
+        // down; either way they're done unless they changed again meanwhile
+        records.forEach(record => {
+            const current = this.taskManager.getRecord(record.id);
+            if (!current || compareRevisions(current, record) === 0) {
+                this.pending.delete(record.id);
+                this.delivered.set(record.id, record);
+            }
+        });
+        await this._saveState();
+    }
+
+    async _pull() {
+        const { records, cursor } = await this.adapter.pull(this.cursor);
+        let dropped = [];
+        if (records.length > 0) {
+            // Tasks that kept local edits through the merge go back up next time
+            const result = await this.taskManager.applyRemoteRecords(records);
+            result.merged.forEach(id => this.pending.add(id));
+            dropped = result.dropped;
+        }
+        // Records this device couldn't apply are pulled again next time
+        // rather than skipped for good
+        if (dropped.length === 0) {
+            this.cursor = cursor;
+        }
+    }
+
+    _schedule(delay) {
+        if (!this.started) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.sync(), delay);
+    }
+
+    /**
+     * Store the cursor and queue. Every tab keeps the queue for its own
+     * changes, so IDs another tab stored are merged in rather than
+     * overwritten, unless this tab has pushed that version since. Saves run
+     * one at a time so they don't read each other's stale queue.
+     * @returns {Promise<void>}
+     */
+    _saveState() {
+        this.saving = this.saving.then(() => this._writeState());
+        return this.saving;
+    }
+
+    async _writeState() {
+        try {
+            const storage = await this.taskManager.getStorage();
+            const saved = (await storage.getMeta(SYNC_META_KEY)) || {};
+            if (saved.server === this.server) {
+                (saved.pending || [])
+                    .filter(id => !this._wasDelivered(id))
+                    .forEach(id => this.pending.add(id));
+            }
+            this.delivered.clear();
+
+            await storage.setMeta(SYNC_META_KEY, {
+                server: this.server,
+                cursor: this.cursor,
+                pending: Array.from(this.pending),
+                lastSyncedAt: this.lastSyncedAt
+            });
+        } catch (error) {
+            console.error('Error saving sync state:', error);
+        }
+    }
+
+    /**
+     * @param {string} id - Task ID
+     * @returns {boolean} Whether this tab pushed the record's current version
+     */
+    _wasDelivered(id) {
+        if (!this.delivered.has(id)) return false;
+
+        const sent = this.delivered.get(id);
+        const current = this.taskManager.getRecord(id);
+        return !current || (sent !== null && compareRevisions(current, sent) === 0);
+    }
+
+    _setState(state) {
+        this.state = state;
+        this._emit();
+    }
+
+    _emit() {
+        const status = this.getStatus();
+        this.listeners.forEach(listener => listener(status));
+    }
+}
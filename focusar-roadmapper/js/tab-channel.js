@@ -0,0 +1,53 @@
+/**
+ * Messages between tabs of the same origin. Uses a BroadcastChannel, or
+ * localStorage `storage` events in browsers without one. Like both of those,
+ * a message never comes back to the tab that sent it.
+ */
+export class TabChannel {
+    /**
+     * @param {string} name - Channel name; tabs using the same name hear each other
+     */
+    constructor(name) {
+        this.name = name;
+        this.channel = null;
+        this.handleStorage = null;
+        // Called with each message from another tab
+        this.onMessage = null;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(name);
+            this.channel.onmessage = (event) => this.onMessage?.(event.data);
+        } else if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+            this.handleStorage = (event) => {
+                if (event.key !== name || !event.newValue) return;
+                try {
+                    this.onMessage?.(JSON.parse(event.newValue).message);
+                } catch (error) {
+                    console.error('Error reading tab message:', error);
+                }
+            };
+            window.addEventListener('storage', this.handleStorage);
+        }
+    }
+
+    /**
+     * @param {Object} message - JSON-safe message
+     */
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else if (this.handleStorage) {
+            // Storage events only fire when the value changes, so repeats need a nonce
+            localStorage.setItem(this.name, JSON.stringify({ message, nonce: `${Date.now()}-${Math.random()}` }));
+        }
+    }
+
+    close() {
+        this.channel?.close();
+        this.channel = null;
+        if (this.handleStorage) {
+            window.removeEventListener('storage', this.handleStorage);
+            this.handleStorage = null;
+        }
+    }
+}
@@ -0,0 +1,428 @@
+import { createTaskId, nestTasks } from './task-manager.js';
+import { Workflow } from './workflow.js';
+import { formatRRule } from './recurrence.js';
+
+const CSV_COLUMNS = ['id', 'title', 'description', 'status', 'parentId', 'path', 'dueDate', 'tags', 'created'];
+// `#tag` or `#"quoted tag"` after a space; `\#` is a literal hash
+const MARKDOWN_TAG_PATTERN = /(^|\s)#(?:"([^"]*)"|([^\s"#\\]+))/g;
+// Checklist items are ballot boxes rather than `[ ]` so they don't read back as subtasks
+const CHECKLIST_MARKERS = { open: '☐', done: '☑' };
+const MARKDOWN_CHECKLIST_PATTERN = /^\s*[-*+]\s+([☐☑])\s+(.*)$/;
+
+/**
+ * Renders tasks in formats that can be shared outside FocusAR. Markdown
+ * checklist markers come from the workflow; `[ ]` and `[x]` are standard and
+ * the built-in others follow the common Obsidian convention.
+ */
+export class TaskExporter {
+    /**
+     * @param {Workflow} [workflow] - Status definitions, usually `TaskManager.workflow`
+     */
+    constructor(workflow = new Workflow()) {
+        this.workflow = workflow;
+        this.formats = {
+            json: { label: 'JSON', extension: 'json', mimeType: 'application/json', render: tasks => JSON.stringify(tasks, null, 2) },
+            markdown: { label: 'Markdown checklist', extension: 'md', mimeType: 'text/markdown', render: tasks => this.toMarkdown(tasks) },
+            csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', render: tasks => this.toCSV(tasks) },
+            opml: { label: 'OPML outline', extension: 'opml', mimeType: 'text/x-opml', render: tasks => this.toOPML(tasks) },
+            ical: { label: 'iCalendar (due dates)', extension: 'ics', mimeType: 'text/calendar', render: tasks => this.toICalendar(tasks) }
+        };
+    }
+
+    /**
+     * Render tasks in the given format
+     * @param {string} format - Key of `this.formats`
+     * @param {Array} tasks - Flat list of tasks
+     * @returns {Object} `{ content, filename, mimeType }`
+     */
+    export(format, tasks) {
+        const definition = this.formats[format];
+        if (!definition) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        return {
+            content: definition.render(tasks),
+            filename: `focusar-roadmap-${date}.${definition.extension}`,
+            mimeType: definition.mimeType
+        };
+    }
+
+    /**
+     * Render the hierarchy as nested Markdown checklists. Descriptions are
+     * quoted under their task so blank lines and list-like lines survive an
+     * import, `#` in titles is escaped and tags that aren't a single word
+     * are quoted: `#"needs review"`. Checklist items are listed under the
+     * task with ballot boxes, `- ☐ step` and `- ☑ step`.
+     * @param {Array} tasks - Flat list of tasks
+     * @returns {string} Markdown text
+     */
+    toMarkdown(tasks) {
+        const lines = ['# FocusAR Roadmap', ''];
+
+        const render = (task, depth) => {
+            const indent = '  '.repeat(depth);
+            const marker = this.workflow.getMarker(task.status);
+            const due = task.dueDate ? ` 📅 ${formatDate(task.dueDate)}` : '';
+            const tags = (task.tags || []).map(formatMarkdownTag).join('');
+            const title = singleLine(task.title).replace(/[\\#]/g, '\\$&');
+
+            lines.push(`${indent}- [${marker}] ${title}${due}${tags}`);
+            if (task.description) {
+                task.description.split('\n').forEach(line => lines.push(`${indent}  >${line ? ` ${line}` : ''}`));
+            }
+            (task.checklist || []).forEach(item => {
+                lines.push(`${indent}  - ${item.done ? CHECKLIST_MARKERS.done : CHECKLIST_MARKERS.open} ${singleLine(item.text)}`);
+            });
+            task.subtasks.forEach(child => render(child, depth + 1));
+        };
+
+        nestTasks(tasks, this.workflow).forEach(root => render(root, 0));
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Render tasks as CSV, one row per task with its ancestor path
+     * @param {Array} tasks - Flat list of tasks
+     * @returns {string} CSV text
+     */
+    toCSV(tasks) {
+        const byId = new Map(tasks.map(task => [task.id, task]));
+        const pathOf = (task) => {
+            const titles = [];
+            const visited = new Set();
+            let parent = byId.get(task.parentId);
+            while (parent && !visited.has(parent.id)) {
+                visited.add(parent.id);
+                titles.unshift(parent.title);
+                parent = byId.get(parent.parentId);
+            }
+            return titles.join(' / ');
+        };
+
+        const rows = [CSV_COLUMNS];
+        flattenTree(nestTasks(tasks, this.workflow)).forEach(task => {
+            rows.push([
+                task.id,
+                task.title,
+                task.description || '',
+                task.status,
+                task.parentId || '',
+                pathOf(task),
+                task.dueDate ? formatDate(task.dueDate) : '',
+                (task.tags || []).join('; '),
+                task.created || ''
+            ]);
+        });
+
+        return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Render the hierarchy as an OPML 2.0 outline
+     * @param {Array} tasks - Flat list of tasks
+     * @returns {string} OPML document
+     */
+    toOPML(tasks) {
+        const render = (task, depth) => {
+            const indent = '    '.repeat(depth + 2);
+            const attributes = [
+                `text="${xmlEscape(task.title)}"`,
+                `_id="${xmlEscape(String(task.id))}"`,
+                `_status="${xmlEscape(task.status)}"`,
+                this.workflow.isDone(task.status) ? '_complete="true"' : '',
+                task.description ? `_note="${xmlEscape(task.description)}"` : '',
+                task.dueDate ? `_due="${formatDate(task.dueDate)}"` : '',
+                task.tags?.length ? `_tags="${xmlEscape(task.tags.join(','))}"` : ''
+            ].filter(Boolean).join(' ');
+
+            if (task.subtasks.length === 0) {
+                return `${indent}<outline ${attributes}/>`;
+            }
+            return [
+                `${indent}<outline ${attributes}>`,
+                ...task.subtasks.map(child => render(child, depth + 1)),
+                `${indent}</outline>`
+            ].join('\n');
+        };
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<opml version="2.0">',
+            '    <head>',
+            '        <title>FocusAR Roadmap</title>',
+            `        <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+            '    </head>',
+            '    <body>',
+            ...nestTasks(tasks, this.workflow).map(root => render(root, 0)),
+            '    </body>',
+            '</opml>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Render tasks that have a due date as all-day iCalendar events
+     * @param {Array} tasks - Flat list of tasks
+     * @returns {string} iCalendar text
+     */
+    toICalendar(tasks) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//FocusAR Roadmapper//EN',
+            'CALSCALE:GREGORIAN'
+        ];
+
+        tasks.filter(task => task.dueDate).forEach(task => {
+            const due = formatDate(task.dueDate);
+            const nextDay = new Date(`${due}T00:00:00Z`);
+            nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+            // Routines repeat from the current occurrence; finished ones don't
+            const repeats = task.recurrence && !this.workflow.isDone(task.status);
+            const remaining = task.recurrence?.count && task.recurrence.count - (task.occurrence || 1) + 1;
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${icalEscape(String(task.id))}@focusar`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${due.replace(/-/g, '')}`,
+                `DTEND;VALUE=DATE:${nextDay.toISOString().slice(0, 10).replace(/-/g, '')}`,
+                ...(repeats ? [`RRULE:${formatRRule(task.recurrence, remaining)}`] : []),
+                `SUMMARY:${this.workflow.isDone(task.status) ? '✓ ' : ''}${icalEscape(task.title)}`,
+                ...(task.description ? [`DESCRIPTION:${icalEscape(task.description)}`] : []),
+                ...(task.tags?.length ? [`CATEGORIES:${task.tags.map(icalEscape).join(',')}`] : []),
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldICalLine).join('\r\n') + '\r\n';
+    }
+}
+
+/**
+ * Parses shared formats back into task records ready for
+ * `TaskManager.importTasks`
+ */
+export class TaskImporter {
+    /**
+     * @param {Workflow} [workflow] - Status definitions, usually `TaskManager.workflow`
+     */
+    constructor(workflow = new Workflow()) {
+        this.workflow = workflow;
+    }
+
+    /**
+     * Pick a parser from a file name
+     * @param {string} filename - Name of the imported file
+     * @param {string} text - File contents
+     * @returns {string} JSON string of task records
+     */
+    toImportJSON(filename, text) {
+        const extension = filename.split('.').pop().toLowerCase();
+
+        if (extension === 'md' || extension === 'markdown') {
+            return JSON.stringify(this.fromMarkdown(text));
+        }
+        if (extension === 'opml' || extension === 'xml') {
+            return JSON.stringify(this.fromOPML(text));
+        }
+        return text;
+    }
+
+    /**
+     * Parse nested Markdown checklists. Indentation sets the hierarchy and
+     * indented lines without a list marker become the description; quoted
+     * lines (`> ...`) are taken as they are, blank or not, and `- ☐`/`- ☑`
+     * items become the checklist, as written by `TaskExporter.toMarkdown`.
+     * @param {string} text - Markdown text
+     * @returns {Array} Flat list of task records
+     */
+    fromMarkdown(text) {
+        const tasks = [];
+        const stack = [];
+        const descriptions = new Map();
+        const now = new Date().toISOString();
+
+        text.split(/\r?\n/).forEach(line => {
+            const item = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+\[(.)\]\s+(.*)$/);
+            const indent = line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+            if (item) {
+                while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+                    stack.pop();
+                }
+
+                let title = item[3];
+                const tags = [];
+                let dueDate;
+
+                title = title.replace(/\s+📅\s*(\d{4}-\d{2}-\d{2})/, (match, date) => {
+                    dueDate = date;
+                    return '';
+                });
+                // Escaped `\#` is part of the title, not a tag
+                title = title.replace(MARKDOWN_TAG_PATTERN, (match, space, quoted, plain) => {
+                    tags.push(quoted ?? plain);
+                    return '';
+                }).replace(/\\([\\#])/g, '$1').trim();
+
+                const task = {
+                    id: createTaskId(),
+                    title,
+                    description: '',
+                    status: this.workflow.getStatusForMarker(item[2]),
+                    created: now,
+                    ...(stack.length > 0 && { parentId: stack[stack.length - 1].task.id }),
+                    ...(dueDate && { dueDate }),
+                    ...(tags.length > 0 && { tags })
+                };
+
+                tasks.push(task);
+                stack.push({ indent, task });
+            } else if (stack.length > 0 && indent > stack[stack.length - 1].indent) {
+                const task = stack[stack.length - 1].task;
+                const step = line.match(MARKDOWN_CHECKLIST_PATTERN);
+                const quoted = line.match(/^\s*> ?(.*)$/);
+                if (step && step[2].trim()) {
+                    if (!task.checklist) task.checklist = [];
+                    task.checklist.push({ id: createTaskId(), text: step[2].trim(), done: step[1] === CHECKLIST_MARKERS.done });
+                } else if (quoted || line.trim()) {
+                    if (!descriptions.has(task)) descriptions.set(task, []);
+                    descriptions.get(task).push(quoted ? quoted[1] : line.trim());
+                }
+            }
+        });
+
+        descriptions.forEach((lines, task) => {
+            task.description = lines.join('\n');
+        });
+        return tasks;
+    }
+
+    /**
+     * Parse an OPML outline. Attributes written by `TaskExporter.toOPML` are
+     * restored; plain outlines from other tools, and statuses this workflow
+     * doesn't know, import with the workflow's initial or done status.
+     * @param {string} xml - OPML document
+     * @returns {Array} Flat list of task records
+     */
+    fromOPML(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('File is not a valid OPML document');
+        }
+
+        const tasks = [];
+        const now = new Date().toISOString();
+        const walk = (outline, parentId) => {
+            const stored = outline.getAttribute('_status');
+            const status = this.workflow.isValidStatus(stored)
+                ? stored
+                : (outline.getAttribute('_complete') === 'true' ? this.workflow.doneStatus : this.workflow.initialStatus);
+            const tags = outline.getAttribute('_tags');
+
+            const task = {
+                id: outline.getAttribute('_id') || createTaskId(),
+                title: outline.getAttribute('text') || outline.getAttribute('title') || 'Untitled',
+                description: outline.getAttribute('_note') || '',
+                status,
+                created: now,
+                ...(parentId && { parentId }),
+                ...(outline.getAttribute('_due') && { dueDate: outline.getAttribute('_due') }),
+                ...(tags && { tags: tags.split(',').filter(Boolean) })
+            };
+
+            tasks.push(task);
+            Array.from(outline.children)
+                .filter(child => child.tagName === 'outline')
+                .forEach(child => walk(child, task.id));
+        };
+
+        const body = doc.querySelector('body');
+        Array.from(body?.children || [])
+            .filter(child => child.tagName === 'outline')
+            .forEach(outline => walk(outline, null));
+
+        return tasks;
+    }
+}
+
+function flattenTree(roots) {
+    const tasks = [];
+    const visit = (task) => {
+        tasks.push(task);
+        task.subtasks.forEach(visit);
+    };
+    roots.forEach(visit);
+    return tasks;
+}
+
+function formatDate(date) {
+    return /^\d{4}-\d{2}-\d{2}/.test(date) ? date.slice(0, 10) : new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * A tag as Markdown: `#tag`, or `#"tag"` when it has spaces or characters
+ * that would end a bare tag
+ * @param {string} tag - Tag
+ * @returns {string} Tag with a leading space
+ */
+function formatMarkdownTag(tag) {
+    return /^[^\s"#\\]+$/.test(tag) ? ` #${tag}` : ` #"${tag.replace(/"/g, "'")}"`;
+}
+
+function singleLine(text) {
+    return String(text).replace(/\s*\n\s*/g, ' ');
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '&#10;');
+}
+
+function icalEscape(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold iCalendar content lines longer than 75 octets (RFC 5545 3.1)
+ */
+function foldICalLine(line) {
+    const bytes = new TextEncoder().encode(line);
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = new TextEncoder().encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
@@ -1,14 +1,124 @@
+import { CommandHistory } from './command-history.js';
+import { createStorageAdapter } from './storage.js';
+import { getTimeRollups, TIME_ENTRY_SOURCES } from './time-tracking.js';
+import { Workflow } from './workflow.js';
+import { PRIORITIES, parseTaskQuery, createTaskFilter, createTaskComparator } from './task-query.js';
+import { compareFieldRevisions, compareRevisions, createTombstone, isTombstone, getChangedFields, hasSameFields, mergeTasks } from './revisions.js';
+import { TabChannel } from './tab-channel.js';
+import { getRecurrenceError, completeOccurrence } from './recurrence.js';
+import { isValidChecklist } from './checklist.js';
+
+const IMPORT_MODES = ['replace', 'merge', 'append'];
+const WORKFLOW_META_KEY = 'workflow';
+const DEVICE_ID_META_KEY = 'deviceId';
+const TOMBSTONES_META_KEY = 'tombstones';
+// A device offline for longer than this may bring deleted tasks back
+const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Generate a unique task ID
+ * @returns {string} Task ID
+ */
+export function createTaskId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Derive the status to display for a task. Tasks waiting on an unfinished
+ * prerequisite are reported with the workflow's blocked status regardless of
+ * their stored status.
+ * @param {Object} task - Task
+ * @param {Map} tasksById - All tasks keyed by ID
+ * @param {Workflow} [workflow] - Status definitions
+ * @returns {string} Effective status
+ */
+export function deriveStatus(task, tasksById, workflow = new Workflow()) {
+    const blockedStatus = workflow.blockedStatus;
+    if (!blockedStatus || workflow.isDone(task.status)) {
+        return task.status;
+    }
+
+    const waiting = (task.dependencies || []).some(id => {
+        const dependency = tasksById.get(id);
+        return dependency && !workflow.isDone(dependency.status);
+    });
+    return waiting ? blockedStatus : task.status;
+}
+
+/**
+ * Nest a flat task list by `parentId`; tasks with a missing parent become roots.
+ * Copies carry `subtasks`, `effectiveStatus` and `timeRollup` (see
+ * `getTimeRollups`), the shape `FractalAlgorithm.createFractalTree` expects.
+ * @param {Array} tasks - Flat list of tasks
+ * @param {Workflow} [workflow] - Status definitions
+ * @returns {Array} Root task copies with nested `subtasks`
+ */
+export function nestTasks(tasks, workflow = new Workflow()) {
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const rollups = getTimeRollups(tasks, workflow);
+    const nodes = new Map(tasks.map(task => [task.id, {
+        ...task,
+        effectiveStatus: deriveStatus(task, tasksById, workflow),
+        timeRollup: rollups.get(task.id),
+        subtasks: []
+    }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+        const parent = nodes.get(node.parentId);
+        if (parent && parent !== node) {
+            parent.subtasks.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    return roots;
+}
+
+/**
+ * Thrown when task data fails validation. `errors` maps field names to messages.
+ */
+export class TaskValidationError extends Error {
+    constructor(errors) {
+        super('Invalid task data');
+        this.name = 'TaskValidationError';
+        this.errors = errors;
+    }
+}
+
 export class TaskManager {
-    constructor() {
-        this.storageKey = 'focusar-tasks';
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.storage] - Storage adapter; picked automatically when omitted
+     * @param {number} [options.historyLimit] - Maximum number of undoable changes
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.storageOpened = false;
+        // Called while a storage upgrade waits for other tabs, see `createStorageAdapter`
+        this.onStorageBlocked = options.onStorageBlocked || null;
         this.tasks = new Map();
+        // Deleted task IDs, kept so deletions sync; see revisions.js
+        this.tombstones = new Map();
+        this.tombstonesChanged = false;
+        this.deviceId = null;
+        // Highest revision seen, local or remote
+        this.clock = 0;
+        // The version of each task this tab last read from or wrote to storage.
+        // A different stored version means another tab saved the task since.
+        this.storedRecords = new Map();
+        // Tells other tabs sharing the storage about writes; see `openTabChannel`
+        this.tabChannel = null;
         this.listeners = new Set();
+        this.history = new CommandHistory(options.historyLimit);
+        // Shared with everything that shows statuses; updated in place by `setWorkflow`
+        this.workflow = new Workflow();
         this.defaultTasks = [
             {
                 id: 'demo-1',
                 title: 'Welcome to FocusAR',
                 description: 'This is a demo task to help you get started with FocusAR Roadmapper. Try adding your own tasks!',
-                status: 'Not Started',
                 created: new Date().toISOString(),
                 position: { x: 0, y: 0, z: -1 }
             }
@@ -18,33 +128,161 @@ export class TaskManager {
     /**
      * Initialize task manager
      * @returns {Promise<void>}
+     * @throws {StorageUnavailableError} When saved tasks can't be opened
      */
     async initialize() {
+        // Saved tasks that can't be opened must not be replaced by the demo task
+        await this.getStorage();
         try {
+            await this.loadDeviceId();
+            await this.loadWorkflow();
             const tasks = await this.loadTasks();
             if (tasks.length === 0) {
                 // Load default tasks if no tasks exist
-                await this.importTasks(JSON.stringify(this.defaultTasks));
+                await this._seedDefaultTasks();
             }
         } catch (error) {
             console.error('Error initializing task manager:', error);
             // Load default tasks on error
-            await this.importTasks(JSON.stringify(this.defaultTasks));
+            await this._seedDefaultTasks();
+        }
+
+        // Seeding the demo task is not something the user can undo
+        this.history.clear();
+        this.openTabChannel();
+    }
+
+    /**
+     * Start hearing about other tabs' writes to the same storage. Does
+     * nothing for storage no other tab can see.
+     */
+    openTabChannel() {
+        const name = this.storage?.channelName;
+        if (!name || this.tabChannel) return;
+
+        this.tabChannel = new TabChannel(name);
+        this.tabChannel.onMessage = (message) => this.handleTabMessage(message);
+    }
+
+    /**
+     * Stop listening to other tabs
+     */
+    dispose() {
+        this.tabChannel?.close();
+        this.tabChannel = null;
+    }
+
+    async _seedDefaultTasks() {
+        const tasks = this.defaultTasks.map(task => ({ status: this.workflow.initialStatus, ...task }));
+        await this.importTasks(JSON.stringify(tasks));
+    }
+
+    /**
+     * Load this device's ID, creating one on first run. Tabs sharing the
+     * storage share the ID.
+     * @returns {Promise<string>} Device ID
+     */
+    async loadDeviceId() {
+        try {
+            const storage = await this.getStorage();
+            this.deviceId = await storage.getMeta(DEVICE_ID_META_KEY);
+            if (!this.deviceId) {
+                this.deviceId = createTaskId();
+                await storage.setMeta(DEVICE_ID_META_KEY, this.deviceId);
+            }
+        } catch (error) {
+            console.error('Error loading device ID:', error);
+            this.deviceId = this.deviceId || createTaskId();
+        }
+        return this.deviceId;
+    }
+
+    /**
+     * Load the saved workflow, keeping the default when none is saved or it
+     * no longer validates
+     * @returns {Promise<Workflow>} The shared workflow
+     */
+    async loadWorkflow() {
+        try {
+            const storage = await this.getStorage();
+            const definition = await storage.getMeta(WORKFLOW_META_KEY);
+            if (definition) {
+                this.workflow.update(definition);
+            }
+        } catch (error) {
+            console.error('Error loading workflow:', error);
+        }
+        return this.workflow;
+    }
+
+    /**
+     * Replace the workflow. Statuses still used by tasks can't be removed.
+     * Not undoable; the previous definition is not kept.
+     * @param {Object} definition - See `DEFAULT_WORKFLOW`
+     * @returns {Promise<Workflow>} The shared workflow
+     */
+    async setWorkflow(definition) {
+        try {
+            const candidate = new Workflow(definition);
+            const orphaned = new Map();
+            this.tasks.forEach(task => {
+                if (!candidate.isValidStatus(task.status)) {
+                    orphaned.set(task.status, (orphaned.get(task.status) || 0) + 1);
+                }
+            });
+            if (orphaned.size > 0) {
+                throw new Error(`Statuses still in use: ${Array.from(orphaned)
+                    .map(([status, count]) => `${status} (${count} task${count === 1 ? '' : 's'})`)
+                    .join(', ')}`);
+            }
+
+            const storage = await this.getStorage();
+            await storage.setMeta(WORKFLOW_META_KEY, candidate.toJSON());
+            this.workflow.update(candidate.toJSON());
+            this.tabChannel?.post({ type: 'workflow' });
+
+            // Colors, derived statuses and rollups may all have changed
+            this.notifyListeners();
+            return this.workflow;
+        } catch (error) {
+            console.error('Error saving workflow:', error);
+            throw error;
         }
     }
 
     /**
-     * Load tasks from local storage
+     * Open the storage adapter on first use
+     * @returns {Promise<Object>} Opened storage adapter
+     */
+    async getStorage() {
+        if (!this.storage) {
+            this.storage = await createStorageAdapter({ onBlocked: () => this.onStorageBlocked?.() });
+        } else if (!this.storageOpened) {
+            await this.storage.open();
+        }
+        this.storageOpened = true;
+        return this.storage;
+    }
+
+    /**
+     * Load tasks from storage
      * @returns {Promise<Array>} Array of tasks
      */
     async loadTasks() {
         try {
-            const storedTasks = localStorage.getItem(this.storageKey);
-            const tasks = storedTasks ? JSON.parse(storedTasks) : [];
+            const storage = await this.getStorage();
+            const tasks = await storage.getAllTasks();
             
             // Initialize tasks map
             this.tasks.clear();
             tasks.forEach(task => this.tasks.set(task.id, task));
+            this.storedRecords = new Map(this.tasks);
+
+            this.tombstones = new Map();
+            await this._mergeStoredTombstones(storage);
+
+            this.clock = Math.max(this.clock, ...tasks.map(task => task.revision || 0),
+                ...Array.from(this.tombstones.values(), tombstone => tombstone.revision || 0));
             
             return tasks;
         } catch (error) {
@@ -54,14 +292,49 @@ export class TaskManager {
     }
 
     /**
-     * Save tasks to local storage
+     * Save tasks to storage. Local changes are stamped with a new revision
+     * and deletions leave tombstones. Tasks another tab saved since this tab
+     * last read them are merged rather than overwritten (see
+     * `_reconcileWrites`), and other tabs hear what changed.
+     * @param {Object} [changes] - Ids to write; all tasks are rewritten when omitted
+     * @param {Array<string>} [changes.changed] - Ids of added or updated tasks
+     * @param {Array<string>} [changes.removed] - Ids of deleted tasks
+     * @param {string} [changes.origin='local'] - 'remote' for changes that
+     *     arrived through sync and already carry their revision
      * @returns {Promise<void>}
      */
-    async saveTasks() {
+    async saveTasks(changes) {
         try {
-            const tasks = Array.from(this.tasks.values());
-            localStorage.setItem(this.storageKey, JSON.stringify(tasks));
-            this.notifyListeners();
+            const storage = await this.getStorage();
+
+            if (changes) {
+                const changed = changes.changed || [];
+                const removed = changes.removed || [];
+                let conflicts = [];
+                await storage.updateTasks([...changed, ...removed], stored => {
+                    conflicts = this._reconcileWrites(changes, stored);
+                    return {
+                        put: changed.map(id => this.tasks.get(id)).filter(Boolean),
+                        remove: removed
+                    };
+                });
+                changed.forEach(id => {
+                    if (this.tasks.has(id)) this.storedRecords.set(id, this.tasks.get(id));
+                });
+                removed.forEach(id => this.storedRecords.delete(id));
+                changes = { ...changes, conflicts };
+            } else {
+                await storage.replaceTasks(Array.from(this.tasks.values()));
+                this.storedRecords = new Map(this.tasks);
+            }
+            if (this.tombstonesChanged) {
+                await this._saveTombstones();
+            }
+
+            this.tabChannel?.post(changes
+                ? { type: 'tasks', changed: changes.changed || [], removed: changes.removed || [] }
+                : { type: 'tasks', reset: true });
+            this.notifyListeners(changes);
         } catch (error) {
             console.error('Error saving tasks:', error);
             throw error;
@@ -76,19 +349,23 @@ export class TaskManager {
     async addTask(task) {
         try {
             // Validate task
-            if (!this.validateTask(task)) {
-                throw new Error('Invalid task data');
+            const errors = this.getValidationErrors(task);
+            if (Object.keys(errors).length > 0) {
+                throw new TaskValidationError(errors);
             }
 
+            const before = new Map(this.tasks);
+
             // Add task to map
+            const now = new Date().toISOString();
             this.tasks.set(task.id, {
                 ...task,
-                created: new Date().toISOString(),
-                position: task.position || { x: 0, y: 0, z: -1 }
+                created: now,
+                updatedAt: now
             });
             
             // Save to storage
-            await this.saveTasks();
+            await this.saveTasks(this._recordChange('Add task', before));
             
             return task;
         } catch (error) {
@@ -98,7 +375,41 @@ export class TaskManager {
     }
 
     /**
-     * Update an existing task
+     * Add several tasks as one undoable change. The tasks may use each other
+     * as parent or dependency, in any order.
+     * @param {Array} tasks - Tasks to add
+     * @param {string} [label] - Name of the change in the undo history
+     * @returns {Promise<Array>} Added tasks
+     */
+    async addTasks(tasks, label = 'Add tasks') {
+        try {
+            const before = new Map(this.tasks);
+            const working = new Map(this.tasks);
+            const now = new Date().toISOString();
+            tasks.forEach(task => working.set(task.id, { ...task, created: now, updatedAt: now }));
+
+            // Validate everything before touching the task map
+            tasks.forEach(task => {
+                const errors = this.getValidationErrors(task, working);
+                if (Object.keys(errors).length > 0) {
+                    throw new TaskValidationError(errors);
+                }
+            });
+
+            this.tasks = working;
+            await this.saveTasks(this._recordChange(label, before));
+
+            return tasks;
+        } catch (error) {
+            console.error('Error adding tasks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update an existing task. The status may only change along the
+     * workflow's transitions, except when finishing an occurrence of a
+     * routine reopens it for the next one.
      * @param {string} taskId - Task ID
      * @param {Object} updates - Task updates
      * @returns {Promise<Object>} Updated task
@@ -111,18 +422,51 @@ export class TaskManager {
             }
 
             // Update task
-            const updatedTask = { ...task, ...updates };
-            
-            // Validate updated task
-            if (!this.validateTask(updatedTask)) {
-                throw new Error('Invalid task data');
+            let updatedTask = { ...task, ...updates, updatedAt: new Date().toISOString() };
+
+            // Validate updated task. A status from another device's workflow
+            // stays until the task is moved to one this workflow knows.
+            const errors = this.getValidationErrors(updatedTask);
+            if (updatedTask.status === task.status) {
+                delete errors.status;
+            }
+            if (!errors.status && !this.workflow.canTransition(task.status, updatedTask.status)) {
+                errors.status = `A task can't move from ${task.status} to ${updatedTask.status}`;
+            }
+            if (Object.keys(errors).length > 0) {
+                throw new TaskValidationError(errors);
+            }
+
+            const before = new Map(this.tasks);
+
+            // Finishing an occurrence of a routine opens the next one, subtasks and checklist included.
+            // The task and its done subtasks go straight back to the initial status without
+            // `canTransition`: the next occurrence is new work, not the finished one being
+            // reopened, and workflows that only let done tasks go back to an active status
+            // would otherwise leave them done forever.
+            const completesOccurrence = updatedTask.recurrence && updatedTask.dueDate &&
+                !this.workflow.isDone(task.status) && this.workflow.isDone(updatedTask.status);
+            if (completesOccurrence) {
+                updatedTask = completeOccurrence(updatedTask, this.workflow.initialStatus);
+                if (!this.workflow.isDone(updatedTask.status)) {
+                    if (updatedTask.checklist) {
+                        updatedTask.checklist = updatedTask.checklist.map(item => ({ ...item, done: false }));
+                    }
+                    this.getDescendants(taskId)
+                        .filter(child => this.workflow.isDone(child.status))
+                        .forEach(child => this.tasks.set(child.id, {
+                            ...child,
+                            status: this.workflow.initialStatus,
+                            updatedAt: updatedTask.updatedAt
+                        }));
+                }
             }
 
             // Save updated task
             this.tasks.set(taskId, updatedTask);
-            await this.saveTasks();
+            await this.saveTasks(this._recordChange(completesOccurrence ? 'Complete occurrence' : 'Update task', before));
             
-            return updatedTask;
+            return this.tasks.get(taskId);
         } catch (error) {
             console.error('Error updating task:', error);
             throw error;
@@ -140,11 +484,16 @@ export class TaskManager {
                 throw new Error('Task not found');
             }
 
+            const before = new Map(this.tasks);
+
             // Delete task and its subtasks
-            this.deleteTaskAndChildren(taskId);
+            const removed = this.deleteTaskAndChildren(taskId);
+
+            // Drop dependencies on deleted tasks
+            this.removeDependencyReferences(removed);
             
             // Save changes
-            await this.saveTasks();
+            await this.saveTasks(this._recordChange('Delete task', before));
         } catch (error) {
             console.error('Error deleting task:', error);
             throw error;
@@ -154,15 +503,123 @@ export class TaskManager {
     /**
      * Delete a task and all its children
      * @param {string} taskId - Task ID
+     * @returns {Array<string>} IDs of all deleted tasks
      */
     deleteTaskAndChildren(taskId) {
+        const removed = [];
+
         // Delete children first
         Array.from(this.tasks.values())
             .filter(task => task.parentId === taskId)
-            .forEach(child => this.deleteTaskAndChildren(child.id));
+            .forEach(child => removed.push(...this.deleteTaskAndChildren(child.id)));
 
         // Delete the task
         this.tasks.delete(taskId);
+        removed.push(taskId);
+
+        return removed;
+    }
+
+    /**
+     * Remove references to deleted tasks from other tasks' dependencies
+     * @param {Array<string>} removedIds - Deleted task IDs
+     * @returns {Array<string>} IDs of tasks that were changed
+     */
+    removeDependencyReferences(removedIds) {
+        const removed = new Set(removedIds);
+        const changed = [];
+
+        this.tasks.forEach(task => {
+            if (task.dependencies?.some(id => removed.has(id))) {
+                this.tasks.set(task.id, {
+                    ...task,
+                    dependencies: task.dependencies.filter(id => !removed.has(id))
+                });
+                changed.push(task.id);
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * Turn a checklist item into a subtask of the task it belongs to. A
+     * checked item becomes a done subtask.
+     * @param {string} taskId - Task with the checklist
+     * @param {string} itemId - Checklist item ID
+     * @returns {Promise<Object>} New subtask
+     */
+    async convertChecklistItemToSubtask(taskId, itemId) {
+        try {
+            const task = this.tasks.get(taskId);
+            const item = task?.checklist?.find(entry => entry.id === itemId);
+            if (!item) {
+                throw new Error('Checklist item not found');
+            }
+
+            const before = new Map(this.tasks);
+            const now = new Date().toISOString();
+            const subtask = {
+                id: createTaskId(),
+                title: item.text,
+                status: item.done ? this.workflow.doneStatus : this.workflow.initialStatus,
+                parentId: taskId,
+                created: now,
+                updatedAt: now
+            };
+            this.tasks.set(taskId, {
+                ...task,
+                checklist: task.checklist.filter(entry => entry !== item),
+                updatedAt: now
+            });
+            this.tasks.set(subtask.id, subtask);
+            await this.saveTasks(this._recordChange('Make subtask', before));
+
+            return subtask;
+        } catch (error) {
+            console.error('Error converting checklist item:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn a subtask into an item at the end of its parent's checklist. Only
+     * the title and whether it's done carry over, so tasks with subtasks of
+     * their own can't be converted.
+     * @param {string} taskId - Subtask ID
+     * @returns {Promise<Object>} New checklist item
+     */
+    async convertSubtaskToChecklistItem(taskId) {
+        try {
+            const task = this.tasks.get(taskId);
+            if (!task) {
+                throw new Error('Task not found');
+            }
+            if (!task.parentId || !this.tasks.has(task.parentId)) {
+                throw new Error('Only subtasks can become checklist items');
+            }
+            if (this.getChildTasks(taskId).length > 0) {
+                throw new Error('A task with subtasks cannot become a checklist item');
+            }
+
+            const before = new Map(this.tasks);
+            const item = { id: createTaskId(), text: task.title, done: this.workflow.isDone(task.status) };
+            this.tasks.delete(taskId);
+            this.removeDependencyReferences([taskId]);
+
+            const parent = this.tasks.get(task.parentId);
+            this.tasks.set(parent.id, {
+                ...parent,
+                checklist: [...(parent.checklist || []), item],
+                updatedAt: new Date().toISOString()
+            });
+            await this.saveTasks(this._recordChange('Make checklist item', before));
+
+            return item;
+        } catch (error) {
+            console.error('Error converting subtask:', error);
+            throw error;
+        }
     }
 
     /**
@@ -192,35 +649,474 @@ export class TaskManager {
             .filter(task => task.parentId === parentId);
     }
 
+    /**
+     * Get root tasks (tasks without a parent)
+     * @returns {Array} Array of root tasks
+     */
+    getRootTasks() {
+        return Array.from(this.tasks.values())
+            .filter(task => !task.parentId || !this.tasks.has(task.parentId));
+    }
+
+    /**
+     * Get a task with its descendants nested under `subtasks`, in the shape
+     * `FractalAlgorithm.createFractalTree` expects
+     * @param {string} rootId - Root task ID
+     * @returns {Object|null} Nested task copy or null if not found
+     */
+    getTree(rootId) {
+        const root = this.tasks.get(rootId);
+        if (!root) return null;
+
+        const childrenByParent = this._groupByParent();
+        const rollups = getTimeRollups(this.getAllTasks(), this.workflow);
+        const visited = new Set();
+        const build = (task) => {
+            visited.add(task.id);
+            return {
+                ...task,
+                effectiveStatus: this.getEffectiveStatus(task),
+                timeRollup: rollups.get(task.id),
+                subtasks: (childrenByParent.get(task.id) || []).filter(child => !visited.has(child.id)).map(build)
+            };
+        };
+
+        return build(root);
+    }
+
+    /**
+     * Get every root task as a nested tree
+     * @returns {Array} Array of nested task copies
+     */
+    getForest() {
+        return nestTasks(this.getAllTasks(), this.workflow);
+    }
+
+    /**
+     * Get ancestors of a task, nearest parent first
+     * @param {string} taskId - Task ID
+     * @returns {Array} Array of ancestor tasks
+     */
+    getAncestors(taskId) {
+        const ancestors = [];
+        const visited = new Set([taskId]);
+        let parentId = this.tasks.get(taskId)?.parentId;
+
+        while (parentId && this.tasks.has(parentId) && !visited.has(parentId)) {
+            visited.add(parentId);
+            const parent = this.tasks.get(parentId);
+            ancestors.push(parent);
+            parentId = parent.parentId;
+        }
+
+        return ancestors;
+    }
+
+    /**
+     * Get all descendants of a task, depth first
+     * @param {string} taskId - Task ID
+     * @returns {Array} Array of descendant tasks
+     */
+    getDescendants(taskId) {
+        const childrenByParent = this._groupByParent();
+        const descendants = [];
+        const visited = new Set([taskId]);
+        const collect = (id) => {
+            (childrenByParent.get(id) || []).forEach(child => {
+                if (visited.has(child.id)) return;
+                visited.add(child.id);
+                descendants.push(child);
+                collect(child.id);
+            });
+        };
+
+        collect(taskId);
+        return descendants;
+    }
+
+    /**
+     * Move a task under a new parent
+     * @param {string} taskId - Task ID
+     * @param {string|null} newParentId - New parent ID, or null to make it a root task
+     * @returns {Promise<Object>} Updated task
+     */
+    async moveTask(taskId, newParentId) {
+        if (!this.tasks.has(taskId)) {
+            throw new Error('Task not found');
+        }
+        if (newParentId && !this.tasks.has(newParentId)) {
+            throw new Error('Parent task not found');
+        }
+        if (newParentId && this.wouldCreateCycle(taskId, newParentId)) {
+            throw new Error('Cannot move a task under itself or one of its subtasks');
+        }
+
+        return this.updateTask(taskId, { parentId: newParentId || null });
+    }
+
+    /**
+     * Check whether parenting a task under another would create a cycle
+     * @param {string} taskId - Task ID
+     * @param {string} parentId - Prospective parent ID
+     * @param {Map} [tasks] - Task map to check against
+     * @returns {boolean} Whether the move would create a cycle
+     */
+    wouldCreateCycle(taskId, parentId, tasks = this.tasks) {
+        let currentId = parentId;
+        const visited = new Set();
+
+        while (currentId && !visited.has(currentId)) {
+            if (currentId === taskId) {
+                return true;
+            }
+            visited.add(currentId);
+            currentId = tasks.get(currentId)?.parentId;
+        }
+
+        return false;
+    }
+
+    /**
+     * Index tasks by parent ID
+     * @returns {Map<string, Array>} Children keyed by parent ID
+     */
+    _groupByParent() {
+        const childrenByParent = new Map();
+        this.tasks.forEach(task => {
+            if (!task.parentId) return;
+            if (!childrenByParent.has(task.parentId)) {
+                childrenByParent.set(task.parentId, []);
+            }
+            childrenByParent.get(task.parentId).push(task);
+        });
+        return childrenByParent;
+    }
+
+    /**
+     * Make a task depend on another (finish-to-start)
+     * @param {string} taskId - Dependent task ID
+     * @param {string} dependsOnId - Prerequisite task ID
+     * @returns {Promise<Object>} Updated task
+     */
+    async addDependency(taskId, dependsOnId) {
+        const task = this.tasks.get(taskId);
+        if (!task || !this.tasks.has(dependsOnId)) {
+            throw new Error('Task not found');
+        }
+
+        const dependencies = task.dependencies || [];
+        if (dependencies.includes(dependsOnId)) {
+            return task;
+        }
+        if (this.wouldCreateDependencyCycle(taskId, [...dependencies, dependsOnId])) {
+            throw new Error('Dependency would create a cycle');
+        }
+
+        return this.updateTask(taskId, { dependencies: [...dependencies, dependsOnId] });
+    }
+
+    /**
+     * Remove a dependency between two tasks
+     * @param {string} taskId - Dependent task ID
+     * @param {string} dependsOnId - Prerequisite task ID
+     * @returns {Promise<Object>} Updated task
+     */
+    async removeDependency(taskId, dependsOnId) {
+        const task = this.tasks.get(taskId);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+
+        return this.updateTask(taskId, {
+            dependencies: (task.dependencies || []).filter(id => id !== dependsOnId)
+        });
+    }
+
+    /**
+     * Get the prerequisites of a task
+     * @param {string} taskId - Task ID
+     * @returns {Array} Array of prerequisite tasks
+     */
+    getDependencies(taskId) {
+        return (this.tasks.get(taskId)?.dependencies || [])
+            .map(id => this.tasks.get(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Get the tasks that depend on a task
+     * @param {string} taskId - Task ID
+     * @returns {Array} Array of dependent tasks
+     */
+    getDependents(taskId) {
+        return Array.from(this.tasks.values())
+            .filter(task => task.dependencies?.includes(taskId));
+    }
+
+    /**
+     * Get prerequisites that are not done yet
+     * @param {string} taskId - Task ID
+     * @returns {Array} Array of blocking tasks
+     */
+    getBlockingTasks(taskId) {
+        return this.getDependencies(taskId)
+            .filter(dependency => !this.workflow.isDone(dependency.status));
+    }
+
+    /**
+     * Get the status to display for a task, see `deriveStatus`
+     * @param {Object|string} taskOrId - Task or task ID
+     * @returns {string} Effective status
+     */
+    getEffectiveStatus(taskOrId) {
+        const task = typeof taskOrId === 'string' ? this.tasks.get(taskOrId) : taskOrId;
+        return task ? deriveStatus(task, this.tasks, this.workflow) : null;
+    }
+
+    /**
+     * Order tasks so every prerequisite comes before its dependents
+     * @returns {Array} Tasks in topological order
+     */
+    getTopologicalOrder() {
+        const inDegree = new Map();
+        const dependents = new Map();
+
+        this.tasks.forEach(task => {
+            const dependencies = (task.dependencies || []).filter(id => this.tasks.has(id));
+            inDegree.set(task.id, dependencies.length);
+            dependencies.forEach(id => {
+                if (!dependents.has(id)) dependents.set(id, []);
+                dependents.get(id).push(task.id);
+            });
+        });
+
+        const queue = Array.from(inDegree.keys()).filter(id => inDegree.get(id) === 0);
+        const order = [];
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            order.push(this.tasks.get(id));
+            (dependents.get(id) || []).forEach(dependentId => {
+                inDegree.set(dependentId, inDegree.get(dependentId) - 1);
+                if (inDegree.get(dependentId) === 0) {
+                    queue.push(dependentId);
+                }
+            });
+        }
+
+        return order;
+    }
+
+    /**
+     * Get tasks that can be worked on now: not done, not blocked,
+     * in dependency order
+     * @returns {Array} Actionable tasks
+     */
+    getNextTasks() {
+        return this.getTopologicalOrder()
+            .filter(task => !this.workflow.isDone(task.status))
+            .filter(task => this.workflow.getStatus(this.getEffectiveStatus(task))?.category !== 'blocked');
+    }
+
+    /**
+     * Find tasks matching a filter query, see `parseTaskQuery`
+     * @param {string|Object} query - Query text or a parsed query
+     * @returns {Array} Matching tasks, in the query's sort order or insertion order
+     * @throws {QuerySyntaxError} When the query can't be parsed
+     */
+    queryTasks(query) {
+        const parsed = typeof query === 'string' ? parseTaskQuery(query) : query;
+        const matches = createTaskFilter(parsed, {
+            workflow: this.workflow,
+            tasksById: this.tasks,
+            getEffectiveStatus: task => this.getEffectiveStatus(task)
+        });
+        const comparator = createTaskComparator(parsed, this.workflow);
+
+        const tasks = this.getAllTasks().filter(matches);
+        return comparator ? tasks.sort(comparator) : tasks;
+    }
+
+    /**
+     * Check whether a task with the given prerequisites would depend on itself
+     * @param {string} taskId - Task ID
+     * @param {Array<string>} dependencies - Prospective prerequisite IDs
+     * @param {Map} [tasks] - Task map to check against
+     * @returns {boolean} Whether the dependencies would create a cycle
+     */
+    wouldCreateDependencyCycle(taskId, dependencies, tasks = this.tasks) {
+        const visited = new Set();
+        const stack = [...dependencies];
+
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === taskId) {
+                return true;
+            }
+            if (visited.has(id)) continue;
+            visited.add(id);
+            stack.push(...(tasks.get(id)?.dependencies || []));
+        }
+
+        return false;
+    }
+
     /**
      * Validate task data
      * @param {Object} task - Task to validate
+     * @param {Map} [tasks] - Task map that references are resolved against
      * @returns {boolean} Whether task is valid
      */
-    validateTask(task) {
-        const requiredFields = ['id', 'title', 'status'];
-        const validStatuses = ['Not Started', 'In Progress', 'Completed', 'Blocked'];
+    validateTask(task, tasks = this.tasks) {
+        return Object.keys(this.getValidationErrors(task, tasks)).length === 0;
+    }
+
+    /**
+     * Collect validation errors for task data
+     * @param {Object} task - Task to validate
+     * @param {Map} [tasks] - Task map that references are resolved against
+     * @returns {Object} Error messages keyed by field name; empty when valid
+     */
+    getValidationErrors(task, tasks = this.tasks) {
+        const errors = {};
 
         // Check required fields
-        if (!requiredFields.every(field => task.hasOwnProperty(field))) {
-            return false;
+        if (!task.hasOwnProperty('id')) {
+            errors.id = 'ID is required';
+        }
+        if (typeof task.title !== 'string' || task.title.trim() === '') {
+            errors.title = 'Title is required';
         }
 
         // Validate status
-        if (!validStatuses.includes(task.status)) {
-            return false;
+        if (!this.workflow.isValidStatus(task.status)) {
+            errors.status = `Status must be one of: ${this.workflow.getStatusNames().join(', ')}`;
         }
 
         // Validate parent reference
-        if (task.parentId && !this.tasks.has(task.parentId)) {
-            return false;
+        if (task.parentId && !tasks.has(task.parentId)) {
+            errors.parentId = 'Parent task not found';
+        } else if (task.parentId && this.wouldCreateCycle(task.id, task.parentId, tasks)) {
+            errors.parentId = 'A task cannot be nested under itself or one of its subtasks';
         }
 
-        return true;
+        // Validate dependencies: existing tasks only, no cycles
+        if (task.dependencies !== undefined) {
+            if (!Array.isArray(task.dependencies)) {
+                errors.dependencies = 'Dependencies must be a list of task IDs';
+            } else if (!task.dependencies.every(id => id !== task.id && tasks.has(id))) {
+                errors.dependencies = 'Dependency not found';
+            } else if (this.wouldCreateDependencyCycle(task.id, task.dependencies, tasks)) {
+                errors.dependencies = 'Dependencies cannot form a cycle';
+            }
+        }
+
+        // Validate due date
+        if (task.dueDate && Number.isNaN(Date.parse(task.dueDate))) {
+            errors.dueDate = 'Due date is not a valid date';
+        }
+
+        // Validate start date; work can't start after it is due
+        if (task.startDate && Number.isNaN(Date.parse(task.startDate))) {
+            errors.startDate = 'Start date is not a valid date';
+        } else if (task.startDate && task.dueDate && !errors.dueDate &&
+            Date.parse(task.startDate) > Date.parse(task.dueDate)) {
+            errors.startDate = 'Start date must be on or before the due date';
+        }
+
+        // Validate reminders: minutes before the due date
+        if (task.reminders !== undefined && task.reminders !== null) {
+            if (!Array.isArray(task.reminders) ||
+                !task.reminders.every(minutes => Number.isInteger(minutes) && minutes >= 0)) {
+                errors.reminders = 'Reminders must be a list of minutes before the due date';
+            } else if (task.reminders.length > 0 && !task.dueDate) {
+                errors.reminders = 'Reminders need a due date';
+            }
+        }
+
+        // Validate recurrence: the due date is the current occurrence
+        if (task.recurrence !== undefined && task.recurrence !== null) {
+            const recurrenceError = getRecurrenceError(task.recurrence);
+            if (recurrenceError) {
+                errors.recurrence = recurrenceError;
+            } else if (!task.dueDate) {
+                errors.recurrence = 'Repeating tasks need a due date';
+            }
+        }
+        if (task.completions !== undefined && !(
+            Array.isArray(task.completions) &&
+            task.completions.every(completion =>
+                completion &&
+                !Number.isNaN(Date.parse(completion.due)) &&
+                !Number.isNaN(Date.parse(completion.completedAt))
+            )
+        )) {
+            errors.completions = 'Completions need a due date and a completion time';
+        }
+        if (task.occurrence !== undefined && !(Number.isInteger(task.occurrence) && task.occurrence >= 1)) {
+            errors.occurrence = 'Occurrence must be a whole number of at least 1';
+        }
+
+        // Validate checklist: ordered `{ id, text, done }` items
+        if (task.checklist !== undefined && !isValidChecklist(task.checklist)) {
+            errors.checklist = 'Checklist items need a unique ID, some text and a done flag';
+        }
+
+        // Validate tags
+        if (task.tags !== undefined && !(
+            Array.isArray(task.tags) &&
+            task.tags.every(tag => typeof tag === 'string' && tag.trim() !== '')
+        )) {
+            errors.tags = 'Tags must be a list of non-empty labels';
+        }
+
+        // Validate priority
+        if (task.priority !== undefined && task.priority !== null && !PRIORITIES.includes(task.priority)) {
+            errors.priority = `Priority must be one of: ${PRIORITIES.join(', ')}`;
+        }
+
+        // Validate estimate and logged time: `{ start, end, source }` with ISO timestamps
+        if (task.estimateMinutes !== undefined && task.estimateMinutes !== null && !(
+            Number.isFinite(task.estimateMinutes) && task.estimateMinutes >= 0
+        )) {
+            errors.estimateMinutes = 'Estimate must be a non-negative number of minutes';
+        }
+        if (task.timeEntries !== undefined && !(
+            Array.isArray(task.timeEntries) &&
+            task.timeEntries.every(entry =>
+                entry &&
+                !Number.isNaN(Date.parse(entry.start)) &&
+                !Number.isNaN(Date.parse(entry.end)) &&
+                Date.parse(entry.end) >= Date.parse(entry.start) &&
+                (entry.source === undefined || TIME_ENTRY_SOURCES.includes(entry.source))
+            )
+        )) {
+            errors.timeEntries = 'Time entries need a start, an end after it and a known source';
+        }
+
+        // Validate scene position; only used by the layout when pinned
+        if (task.position !== undefined && !(
+            task.position &&
+            ['x', 'y', 'z'].every(axis => Number.isFinite(task.position[axis]))
+        )) {
+            errors.position = 'Position must have numeric x, y and z';
+        }
+        if (task.pinned !== undefined && typeof task.pinned !== 'boolean') {
+            errors.pinned = 'Pinned must be true or false';
+        } else if (task.pinned && task.position === undefined) {
+            errors.pinned = 'A pinned task needs a position';
+        }
+
+        return errors;
     }
 
     /**
-     * Add a change listener
+     * Add a change listener. Listeners are called with all tasks and a change
+     * payload `{ changed, removed, reset, origin, conflicts }`:
+     * - `reset` means any task may have changed
+     * - `origin` is 'local', 'remote' for changes that arrived through sync
+     *   or collaboration, or 'tab' for changes saved by another tab
+     * - `conflicts` lists local edits that collided with another tab's, see `_reconcileWrites`
      * @param {Function} listener - Listener function
      */
     addChangeListener(listener) {
@@ -237,10 +1133,18 @@ export class TaskManager {
 
     /**
      * Notify all listeners of changes
+     * @param {Object} [changes] - Changed and removed IDs; omitted when everything may have changed
      */
-    notifyListeners() {
+    notifyListeners(changes) {
         const tasks = this.getAllTasks();
-        this.listeners.forEach(listener => listener(tasks));
+        const change = {
+            changed: changes?.changed || [],
+            removed: changes?.removed || [],
+            reset: !changes || Boolean(changes.reset),
+            origin: changes?.origin || 'local',
+            conflicts: changes?.conflicts || []
+        };
+        this.listeners.forEach(listener => listener(tasks, change));
     }
 
     /**
@@ -252,41 +1156,642 @@ export class TaskManager {
     }
 
     /**
-     * Import tasks from JSON
+     * Import tasks from JSON. Individual bad records are reported instead of
+     * aborting the whole import.
      * @param {string} json - JSON string of tasks
-     * @returns {Promise<void>}
+     * @param {Object} [options]
+     * @param {string} [options.mode='replace'] - 'replace' drops existing tasks,
+     *     'merge' updates tasks with matching IDs, 'append' adds everything under new IDs
+     * @param {string|Function} [options.onConflict='newest'] - How merge resolves matching IDs:
+     *     'newest', 'existing', 'incoming', or `async (existing, incoming) => 'existing'|'incoming'`
+     * @returns {Promise<Object>} Report with `accepted` IDs, `rejected` records,
+     *     `remapped` IDs and resolved `conflicts`
      */
-    async importTasks(json) {
+    async importTasks(json, options = {}) {
+        const mode = options.mode || 'replace';
+        const onConflict = options.onConflict || 'newest';
+        const report = { mode, accepted: [], rejected: [], remapped: [], conflicts: [] };
+
+        if (!IMPORT_MODES.includes(mode)) {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+
+        let records;
         try {
-            const tasks = JSON.parse(json);
-            
-            // Validate all tasks before importing
-            if (!tasks.every(task => this.validateTask(task))) {
-                throw new Error('Invalid task data in import');
+            records = JSON.parse(json);
+        } catch (error) {
+            report.rejected.push({ id: null, reason: 'File is not valid JSON' });
+            return report;
+        }
+        if (!Array.isArray(records)) {
+            report.rejected.push({ id: null, reason: 'Expected a list of tasks' });
+            return report;
+        }
+
+        try {
+            const staging = mode === 'replace' ? new Map() : new Map(this.tasks);
+            const incoming = this._prepareImportRecords(records, mode, report);
+
+            for (const record of this._orderForImport(incoming, report)) {
+                if (mode === 'merge' && staging.has(record.id)) {
+                    const resolution = await this._resolveConflict(staging.get(record.id), record, onConflict);
+                    report.conflicts.push({ id: record.id, title: record.title, resolution });
+                    if (resolution === 'existing') continue;
+                }
+
+                const errors = this.getValidationErrors(record, staging);
+                if (Object.keys(errors).length > 0) {
+                    report.rejected.push({
+                        id: record.id,
+                        title: record.title,
+                        reason: Object.values(errors).join('; '),
+                        errors
+                    });
+                    continue;
+                }
+
+                staging.set(record.id, record);
+                report.accepted.push(record.id);
             }
 
-            // Clear existing tasks and import new ones
+            const before = new Map(this.tasks);
+
+            // Swap in the staged tasks
             this.tasks.clear();
-            tasks.forEach(task => this.tasks.set(task.id, task));
+            staging.forEach((task, id) => this.tasks.set(id, task));
             
-            await this.saveTasks();
+            await this.saveTasks(this._recordChange('Import tasks', before));
+
+            return report;
         } catch (error) {
             console.error('Error importing tasks:', error);
             throw error;
         }
     }
 
+    /**
+     * Drop malformed records and assign fresh IDs in append mode
+     * @param {Array} records - Parsed import records
+     * @param {string} mode - Import mode
+     * @param {Object} report - Import report to add rejections and remaps to
+     * @returns {Map} Importable records keyed by (possibly new) ID
+     */
+    _prepareImportRecords(records, mode, report) {
+        const incoming = new Map();
+        const idMap = new Map();
+
+        records.forEach(record => {
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                report.rejected.push({ id: null, reason: 'Not a task object' });
+                return;
+            }
+
+            if (mode === 'append') {
+                const id = createTaskId();
+                if (record.id !== undefined) {
+                    idMap.set(record.id, id);
+                }
+                report.remapped.push({ from: record.id ?? null, to: id });
+                incoming.set(id, { ...record, id });
+                return;
+            }
+
+            if (record.id === undefined || record.id === null || record.id === '') {
+                report.rejected.push({ id: null, title: record.title, reason: 'ID is required' });
+            } else if (incoming.has(record.id)) {
+                report.rejected.push({ id: record.id, title: record.title, reason: 'Duplicate ID in import' });
+            } else {
+                incoming.set(record.id, record);
+            }
+        });
+
+        // Point references between imported records at their new IDs
+        if (idMap.size > 0) {
+            incoming.forEach((record, id) => {
+                incoming.set(id, {
+                    ...record,
+                    ...(record.parentId !== undefined && {
+                        parentId: idMap.get(record.parentId) ?? record.parentId
+                    }),
+                    ...(Array.isArray(record.dependencies) && {
+                        dependencies: record.dependencies.map(dependencyId => idMap.get(dependencyId) ?? dependencyId)
+                    })
+                });
+            });
+        }
+
+        return incoming;
+    }
+
+    /**
+     * Order import records so parents and prerequisites come before the tasks
+     * that reference them. Records caught in a reference cycle are rejected.
+     * @param {Map} incoming - Records keyed by ID
+     * @param {Object} report - Import report to add rejections to
+     * @returns {Array} Records in insertion order
+     */
+    _orderForImport(incoming, report) {
+        const inDegree = new Map();
+        const dependents = new Map();
+
+        incoming.forEach((record, id) => {
+            const references = [record.parentId, ...(Array.isArray(record.dependencies) ? record.dependencies : [])]
+                .filter(reference => reference !== id && incoming.has(reference));
+            inDegree.set(id, references.length);
+            references.forEach(reference => {
+                if (!dependents.has(reference)) dependents.set(reference, []);
+                dependents.get(reference).push(id);
+            });
+        });
+
+        const queue = Array.from(inDegree.keys()).filter(id => inDegree.get(id) === 0);
+        const ordered = [];
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            ordered.push(incoming.get(id));
+            (dependents.get(id) || []).forEach(dependentId => {
+                inDegree.set(dependentId, inDegree.get(dependentId) - 1);
+                if (inDegree.get(dependentId) === 0) {
+                    queue.push(dependentId);
+                }
+            });
+        }
+
+        inDegree.forEach((degree, id) => {
+            if (degree > 0) {
+                const record = incoming.get(id);
+                report.rejected.push({ id, title: record.title, reason: 'Circular parent or dependency reference' });
+            }
+        });
+
+        return ordered;
+    }
+
+    /**
+     * Decide which version of a task wins when an import collides with it
+     * @param {Object} existing - Task already stored
+     * @param {Object} incoming - Imported record with the same ID
+     * @param {string|Function} strategy - Conflict strategy, see `importTasks`
+     * @returns {Promise<string>} 'existing' or 'incoming'
+     */
+    async _resolveConflict(existing, incoming, strategy) {
+        if (typeof strategy === 'function') {
+            return (await strategy(existing, incoming)) === 'incoming' ? 'incoming' : 'existing';
+        }
+        if (strategy === 'existing' || strategy === 'incoming') {
+            return strategy;
+        }
+
+        const modified = task => Date.parse(task.updatedAt || task.created) || 0;
+        return modified(incoming) > modified(existing) ? 'incoming' : 'existing';
+    }
+
     /**
      * Clear all tasks
      * @returns {Promise<void>}
      */
     async clearTasks() {
         try {
+            const before = new Map(this.tasks);
             this.tasks.clear();
-            await this.saveTasks();
+            await this.saveTasks(this._recordChange('Clear tasks', before));
         } catch (error) {
             console.error('Error clearing tasks:', error);
             throw error;
         }
     }
+
+    /**
+     * Undo the most recent change
+     * @returns {Promise<string|null>} Label of the undone change, or null if there was nothing to undo
+     */
+    async undo() {
+        try {
+            const command = await this.history.undo();
+            return command ? command.label : null;
+        } catch (error) {
+            console.error('Error undoing change:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Redo the most recently undone change
+     * @returns {Promise<string|null>} Label of the redone change, or null if there was nothing to redo
+     */
+    async redo() {
+        try {
+            const command = await this.history.redo();
+            return command ? command.label : null;
+        } catch (error) {
+            console.error('Error redoing change:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Current version of a task for sync: the task, or its tombstone when deleted
+     * @param {string} taskId - Task ID
+     * @returns {Object|null} Task, tombstone, or null when unknown
+     */
+    getRecord(taskId) {
+        return this.tasks.get(taskId) || this.tombstones.get(taskId) || null;
+    }
+
+    /**
+     * IDs of every task and tombstone
+     * @returns {Array<string>}
+     */
+    getRecordIds() {
+        return [...this.tasks.keys(), ...this.tombstones.keys()];
+    }
+
+    /**
+     * Merge tasks and tombstones from another device. Two versions of a task
+     * merge field by field (see `mergeTasks`); a deletion and an edit are
+     * settled by `compareRevisions`. Applying the same records twice, or in
+     * another order, gives the same result. Remote changes are not undoable
+     * and skip reference validation, since a parent or prerequisite may arrive
+     * in a later batch; records that aren't shaped like a task or tombstone
+     * are dropped (see `isWellFormedRecord`). Moves that merge into a parent
+     * cycle are broken up (see `_detachParentCycles`).
+     * @param {Array} records - Tasks and tombstones
+     * @returns {Promise<Object>} Applied IDs as `{ changed, removed, merged, dropped }`;
+     *     `merged` tasks kept local edits the sender hasn't seen, so they got a
+     *     new revision and should be sent back; `dropped` records weren't applied
+     */
+    async applyRemoteRecords(records) {
+        try {
+            const changed = [];
+            const removed = [];
+            const merged = [];
+            const dropped = [];
+            const updatedAt = new Date().toISOString();
+
+            records.forEach(record => {
+                if (!this.isWellFormedRecord(record)) {
+                    dropped.push(record?.id ?? null);
+                    return;
+                }
+                this.clock = Math.max(this.clock, record.revision || 0);
+
+                const local = this.getRecord(record.id);
+                if (local && !isTombstone(local) && !isTombstone(record)) {
+                    let next = mergeTasks(local, record);
+                    if (hasSameFields(next, local) && compareRevisions(next, local) <= 0) return;
+
+                    if (!hasSameFields(next, record)) {
+                        this.clock += 1;
+                        next = { ...next, revision: this.clock, updatedAt, deviceId: this.deviceId };
+                        merged.push(record.id);
+                    }
+                    this.tasks.set(record.id, next);
+                    changed.push(record.id);
+                    return;
+                }
+                if (local && compareRevisions(record, local) <= 0) return;
+
+                if (isTombstone(record)) {
+                    this.tombstones.set(record.id, record);
+                    this.tombstonesChanged = true;
+                    if (this.tasks.delete(record.id)) {
+                        removed.push(record.id);
+                    }
+                } else {
+                    if (this.tombstones.delete(record.id)) {
+                        this.tombstonesChanged = true;
+                    }
+                    this.tasks.set(record.id, record);
+                    changed.push(record.id);
+                }
+            });
+
+            this._detachParentCycles(changed, updatedAt).forEach(id => {
+                if (!changed.includes(id)) changed.push(id);
+                if (!merged.includes(id)) merged.push(id);
+            });
+
+            if (changed.length > 0 || removed.length > 0) {
+                await this.saveTasks({ changed, removed, origin: 'remote' });
+            } else if (this.tombstonesChanged) {
+                await this._saveTombstones();
+            }
+
+            return { changed, removed, merged, dropped };
+        } catch (error) {
+            console.error('Error applying remote changes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Break parent cycles that merged moves can leave, such as two devices
+     * each moving a task under the other. In each cycle the task whose parent
+     * was set last becomes a root task, so every device breaks it alike.
+     * @param {Array<string>} ids - IDs of tasks that just changed
+     * @param {string} updatedAt - Timestamp for detached tasks
+     * @returns {Array<string>} IDs of detached tasks; they got a new revision
+     *     and should be sent back
+     */
+    _detachParentCycles(ids, updatedAt) {
+        const detached = [];
+        ids.forEach(id => {
+            const path = [];
+            let task = this.tasks.get(id);
+            while (task && !path.includes(task)) {
+                path.push(task);
+                task = task.parentId ? this.tasks.get(task.parentId) : null;
+            }
+            if (!task) return;
+
+            const cycle = path.slice(path.indexOf(task));
+            const latest = cycle.reduce((a, b) => (compareFieldRevisions(b, a, 'parentId') > 0 ? b : a));
+            this.clock += 1;
+            const root = { ...latest, revision: this.clock, updatedAt, deviceId: this.deviceId };
+            delete root.parentId;
+            // Tasks without field revisions stamp every field with the task's revision
+            if (root.fieldRevisions) {
+                root.fieldRevisions = { ...root.fieldRevisions, parentId: [this.clock, this.deviceId] };
+            }
+            this.tasks.set(latest.id, root);
+            detached.push(latest.id);
+        });
+        return detached;
+    }
+
+    /**
+     * Whether a record from another device can be stored as it is
+     * @param {Object} record - Task or tombstone
+     * @returns {boolean} Whether it has a string ID and a whole revision
+     *     (tasks saved before revisions existed have none), and tasks pass
+     *     `getValidationErrors` apart from references to other tasks and the
+     *     status: workflows are per device, so a peer may use statuses this
+     *     one doesn't know
+     */
+    isWellFormedRecord(record) {
+        if (!record || typeof record !== 'object' || typeof record.id !== 'string' || record.id === '') return false;
+        if (record.revision !== undefined && !(Number.isInteger(record.revision) && record.revision >= 0)) return false;
+        if (isTombstone(record)) return true;
+
+        if (record.parentId !== undefined && record.parentId !== null && typeof record.parentId !== 'string') return false;
+        if (record.dependencies !== undefined && !Array.isArray(record.dependencies)) return false;
+        if (typeof record.status !== 'string' || record.status === '') return false;
+
+        const errors = this.getValidationErrors(record);
+        return Object.keys(errors).every(field => ['parentId', 'dependencies', 'status'].includes(field));
+    }
+
+    /**
+     * Give changed tasks a new revision, stamping the fields that differ from
+     * the previous version, and leave tombstones for removed ones
+     * @param {Object} changes - `{ changed, removed }` IDs and the `previous`
+     *     versions from `_summarizeEntries`
+     */
+    _stampRevisions({ changed = [], removed = [], previous = new Map() }) {
+        const updatedAt = new Date().toISOString();
+        const nextRevision = (seen = 0) => {
+            this.clock = Math.max(this.clock, seen) + 1;
+            return this.clock;
+        };
+
+        changed.forEach(id => {
+            const task = this.tasks.get(id);
+            if (!task) return;
+
+            const revision = nextRevision(task.revision);
+            const fieldRevisions = { ...(previous.get(id)?.fieldRevisions || task.fieldRevisions) };
+            getChangedFields(previous.get(id) || null, task).forEach(field => {
+                fieldRevisions[field] = [revision, this.deviceId];
+            });
+            this.tasks.set(id, { ...task, revision, updatedAt, deviceId: this.deviceId, fieldRevisions });
+            if (this.tombstones.delete(id)) {
+                this.tombstonesChanged = true;
+            }
+        });
+        removed.forEach(id => {
+            const revision = nextRevision(this.tombstones.get(id)?.revision);
+            this.tombstones.set(id, createTombstone(id, { revision, updatedAt, deviceId: this.deviceId }));
+            this.tombstonesChanged = true;
+        });
+    }
+
+    async _saveTombstones() {
+        const storage = await this.getStorage();
+        // Keep deletions other tabs saved meanwhile
+        await this._mergeStoredTombstones(storage);
+        await storage.setMeta(TOMBSTONES_META_KEY, Array.from(this.tombstones.values()));
+        this.tombstonesChanged = false;
+    }
+
+    /**
+     * Add stored tombstones newer than what this tab knows of the task, and
+     * drop expired ones
+     * @param {Object} storage - Opened storage adapter
+     * @returns {Promise<void>}
+     */
+    async _mergeStoredTombstones(storage) {
+        const stored = (await storage.getMeta(TOMBSTONES_META_KEY)) || [];
+        stored.forEach(tombstone => {
+            const known = this.tombstones.get(tombstone.id) || this.tasks.get(tombstone.id);
+            if (known && compareRevisions(known, tombstone) >= 0) return;
+            this.tombstones.set(tombstone.id, tombstone);
+            this.clock = Math.max(this.clock, tombstone.revision || 0);
+        });
+
+        const expiry = Date.now() - TOMBSTONE_TTL_MS;
+        this.tombstones.forEach((tombstone, id) => {
+            if (!(Date.parse(tombstone.updatedAt) > expiry)) {
+                this.tombstones.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Fold what other tabs saved to the same tasks, since this tab last read
+     * them, into a write; then stamp local changes. Runs inside the storage
+     * update, so nothing else is written in between. Other tabs' edits merge
+     * field by field; where both changed a field, this write wins.
+     * @param {Object} changes - As passed to `saveTasks`
+     * @param {Map} stored - Stored versions of the changed and removed tasks
+     * @returns {Array} Collisions in local changes, as `{ id, fields }` with
+     *     the fields both tabs changed; `deleted` is set when this tab deleted
+     *     a task the other edited, `restored` when it edited one the other deleted
+     */
+    _reconcileWrites(changes, stored) {
+        const local = changes.origin !== 'remote';
+
+        // Stamp past anything stored so local edits win ties
+        stored.forEach(record => {
+            this.clock = Math.max(this.clock, record.revision || 0);
+        });
+        if (local) {
+            this._stampRevisions(changes);
+        }
+
+        const conflicts = [];
+        (changes.changed || []).forEach(id => {
+            const task = this.tasks.get(id);
+            const current = stored.get(id);
+            const base = this.storedRecords.get(id);
+            if (!task) return;
+
+            if (!current) {
+                if (base && local) {
+                    conflicts.push({ id, fields: [], restored: true });
+                }
+                return;
+            }
+            if (base && compareRevisions(current, base) === 0) return;
+
+            this.tasks.set(id, mergeTasks(current, task));
+            if (base && local) {
+                const theirs = getChangedFields(base, current);
+                const fields = getChangedFields(base, task).filter(field =>
+                    theirs.includes(field) && JSON.stringify(current[field]) !== JSON.stringify(task[field]));
+                if (fields.length > 0) {
+                    conflicts.push({ id, fields });
+                }
+            }
+        });
+
+        (changes.removed || []).forEach(id => {
+            const current = stored.get(id);
+            const base = this.storedRecords.get(id);
+            if (local && current && base && compareRevisions(current, base) !== 0) {
+                conflicts.push({ id, fields: getChangedFields(base, current), deleted: true });
+            }
+        });
+
+        return conflicts;
+    }
+
+    /**
+     * Pick up what another tab saved. Storage already holds the result, so
+     * this only reads. Tasks with a write of this tab's in flight are left
+     * alone; that write merges them.
+     * @param {Object} message - From another tab's `saveTasks` or `setWorkflow`
+     * @returns {Promise<void>}
+     */
+    async handleTabMessage(message) {
+        try {
+            if (message?.type === 'workflow') {
+                await this.loadWorkflow();
+                this.notifyListeners({ reset: true, origin: 'tab' });
+                return;
+            }
+            if (message?.type !== 'tasks') return;
+
+            if (message.reset) {
+                await this.loadTasks();
+                this.notifyListeners({ reset: true, origin: 'tab' });
+                return;
+            }
+
+            const storage = await this.getStorage();
+            const ids = [...message.changed, ...message.removed];
+            const stored = new Map((await storage.getTasks(ids)).map(task => [task.id, task]));
+            await this._mergeStoredTombstones(storage);
+
+            const changed = [];
+            const removed = [];
+            ids.forEach(id => {
+                const task = this.tasks.get(id);
+                if (task && task !== this.storedRecords.get(id)) return;
+
+                const current = stored.get(id);
+                if (!current) {
+                    this.storedRecords.delete(id);
+                    if (this.tasks.delete(id)) {
+                        removed.push(id);
+                    }
+                    return;
+                }
+
+                this.clock = Math.max(this.clock, current.revision || 0);
+                this.storedRecords.set(id, current);
+                if (task && compareRevisions(current, task) <= 0) return;
+
+                this.tasks.set(id, current);
+                this.tombstones.delete(id);
+                changed.push(id);
+            });
+
+            if (changed.length > 0 || removed.length > 0) {
+                this.notifyListeners({ changed, removed, origin: 'tab' });
+            }
+        } catch (error) {
+            console.error('Error loading changes from another tab:', error);
+        }
+    }
+
+    canUndo() {
+        return this.history.canUndo();
+    }
+
+    canRedo() {
+        return this.history.canRedo();
+    }
+
+    /**
+     * Record the difference between a snapshot and the current tasks as an
+     * undoable command. Tasks are replaced rather than mutated, so comparing
+     * references is enough to find what changed.
+     * @param {string} label - Human readable name of the change
+     * @param {Map} before - Copy of `this.tasks` taken before the change
+     * @returns {Object} Changed and removed IDs, as accepted by `saveTasks`
+     */
+    _recordChange(label, before) {
+        const entries = [];
+
+        before.forEach((task, id) => {
+            const after = this.tasks.get(id) || null;
+            if (after !== task) {
+                entries.push({ id, before: task, after });
+            }
+        });
+        this.tasks.forEach((task, id) => {
+            if (!before.has(id)) {
+                entries.push({ id, before: null, after: task });
+            }
+        });
+
+        if (entries.length > 0) {
+            this.history.push({
+                label,
+                undo: () => this._applyEntries(entries, 'before'),
+                redo: () => this._applyEntries(entries, 'after')
+            });
+        }
+
+        return this._summarizeEntries(entries, 'after');
+    }
+
+    /**
+     * Restore one side of recorded entries and persist them
+     * @param {Array} entries - Entries from `_recordChange`
+     * @param {string} side - 'before' to undo, 'after' to redo
+     * @returns {Promise<void>}
+     */
+    async _applyEntries(entries, side) {
+        entries.forEach(entry => {
+            if (entry[side]) {
+                this.tasks.set(entry.id, entry[side]);
+            } else {
+                this.tasks.delete(entry.id);
+            }
+        });
+
+        await this.saveTasks(this._summarizeEntries(entries, side));
+    }
+
+    _summarizeEntries(entries, side) {
+        const otherSide = side === 'after' ? 'before' : 'after';
+        return {
+            changed: entries.filter(entry => entry[side]).map(entry => entry.id),
+            removed: entries.filter(entry => !entry[side]).map(entry => entry.id),
+            // What the changed tasks replaced, for field revisions
+            previous: new Map(entries.map(entry => [entry.id, entry[otherSide]]))
+        };
+    }
 }
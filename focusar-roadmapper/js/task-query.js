@@ -0,0 +1,339 @@
+import { getDueTime } from './reminders.js';
+import { getEstimate, getLoggedTime } from './time-tracking.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPARISON = /^(<=|>=|<|>|=)?(.*)$/;
+const RELATIVE_DAYS = /^([+-]?\d+)([dw])$/i;
+const DURATION = /^(\d+(?:\.\d+)?)([mh]?)$/i;
+const SORT_KEYS = ['priority', 'due', 'start', 'title', 'created', 'updated', 'status', 'estimate'];
+
+/**
+ * Task priorities, lowest first
+ */
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Filters understood by `parseTaskQuery`, for help text
+ */
+export const QUERY_FIELDS = {
+    status: 'Status name, e.g. status:"In Progress"',
+    is: 'done, open, todo, active, blocked, overdue, pinned, root or overrun',
+    tag: 'Tag, e.g. tag:frontend',
+    priority: 'low, medium, high, urgent or none; compare with priority:>=high',
+    due: 'Due date: today, 2024-05-01, 7d or 2w from today; compare with due:<7d; none or any',
+    start: 'Start date, same forms as due',
+    estimate: 'Estimate in minutes or hours, e.g. estimate:>2h; none or any',
+    logged: 'Logged time, e.g. logged:>=30m',
+    title: 'Text in the title',
+    under: 'Text in the title of any ancestor',
+    sort: `One of ${SORT_KEYS.join(', ')}; prefix with - to reverse`
+};
+
+/**
+ * Thrown for queries that can't be parsed. `position` is the offset of the
+ * offending term.
+ */
+export class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+/**
+ * Split a query into terms, keeping quoted values together
+ * @param {string} text - Query text
+ * @returns {Array} `{ text, position }` terms with quotes removed
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\S+/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        let value = match[0];
+        const position = match.index;
+
+        // A quote opens a value that may contain spaces: status:"In Progress"
+        const quote = value.indexOf('"');
+        if (quote !== -1) {
+            const close = text.indexOf('"', position + quote + 1);
+            if (close === -1) {
+                throw new QuerySyntaxError('Missing closing quote', position);
+            }
+            const end = text.slice(close + 1).search(/\s|$/) + close + 1;
+            value = text.slice(position, end);
+            pattern.lastIndex = end;
+        }
+
+        tokens.push({ text: value.replace(/"/g, ''), position });
+    }
+
+    return tokens;
+}
+
+/**
+ * Local calendar day of a timestamp, for day-granular date comparisons
+ * @param {number} time - Timestamp in ms
+ * @returns {number} Days since the epoch in local time
+ */
+function localDay(time) {
+    const date = new Date(time);
+    return Math.floor((time - date.getTimezoneOffset() * 60000) / DAY_MS);
+}
+
+/**
+ * Parse a date filter value into a local day
+ * @param {string} value - today, tomorrow, yesterday, 7d, -2w or an ISO date
+ * @param {number} now - Current timestamp
+ * @returns {number|null} Local day, or null when unparseable
+ */
+function parseDay(value, now) {
+    const today = localDay(now);
+    const named = { today: 0, tomorrow: 1, yesterday: -1 }[value.toLowerCase()];
+    if (named !== undefined) return today + named;
+
+    const relative = RELATIVE_DAYS.exec(value);
+    if (relative) {
+        return today + Number(relative[1]) * (relative[2].toLowerCase() === 'w' ? 7 : 1);
+    }
+
+    const time = getDueTime(value);
+    return Number.isNaN(time) ? null : localDay(time);
+}
+
+/**
+ * Parse a duration filter value; bare numbers are hours
+ * @param {string} value - e.g. 30m, 2h, 1.5
+ * @returns {number|null} Milliseconds, or null when unparseable
+ */
+function parseDuration(value) {
+    const match = DURATION.exec(value);
+    if (!match) return null;
+    return Number(match[1]) * (match[2].toLowerCase() === 'm' ? 60 * 1000 : 60 * 60 * 1000);
+}
+
+function compare(actual, operator, expected) {
+    switch (operator) {
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        default: return actual === expected;
+    }
+}
+
+/**
+ * Parse a filter query. Terms are ANDed; `OR` separates alternatives;
+ * a leading `-` negates a term; words without a field match title or
+ * description. See `QUERY_FIELDS` for the filters.
+ * @param {string} text - Query, e.g. `status:"In Progress" tag:frontend due:<7d`
+ * @returns {Object} `{ groups, sort }` where `groups` is a list of AND-ed
+ *     term lists and `sort` lists `{ key, descending }`
+ */
+export function parseTaskQuery(text) {
+    const groups = [[]];
+    const sort = [];
+
+    tokenize(text || '').forEach(({ text: token, position }) => {
+        if (token === 'OR') {
+            if (groups[groups.length - 1].length > 0) {
+                groups.push([]);
+            }
+            return;
+        }
+
+        const negated = token.startsWith('-') && token.length > 1;
+        const body = negated ? token.slice(1) : token;
+        const separator = body.indexOf(':');
+        const field = separator > 0 ? body.slice(0, separator).toLowerCase() : null;
+
+        if (field === null || !QUERY_FIELDS[field]) {
+            if (field !== null && /^[a-z]+$/.test(field)) {
+                throw new QuerySyntaxError(`Unknown filter "${field}:"`, position);
+            }
+            groups[groups.length - 1].push({ field: 'text', operator: '=', value: body.toLowerCase(), negated });
+            return;
+        }
+
+        const [, operator = '=', value] = COMPARISON.exec(body.slice(separator + 1));
+        if (value === '') {
+            throw new QuerySyntaxError(`Missing value for "${field}:"`, position);
+        }
+
+        if (field === 'sort') {
+            const descending = value.startsWith('-');
+            const key = value.replace(/^-/, '').toLowerCase();
+            if (!SORT_KEYS.includes(key)) {
+                throw new QuerySyntaxError(`Can't sort by "${key}"`, position);
+            }
+            // Priority reads most urgent first unless reversed
+            sort.push({ key, descending: key === 'priority' ? !descending : descending });
+            return;
+        }
+
+        const term = { field, operator, value: value.toLowerCase(), negated, position };
+        if (field === 'priority' && term.value !== 'none' && !PRIORITIES.includes(term.value)) {
+            throw new QuerySyntaxError(`Priority must be one of: ${PRIORITIES.join(', ')}, none`, position);
+        }
+        if ((field === 'due' || field === 'start') && !['none', 'any'].includes(term.value) &&
+            parseDay(value, Date.now()) === null) {
+            throw new QuerySyntaxError(`"${value}" is not a date`, position);
+        }
+        if ((field === 'estimate' || field === 'logged') && !['none', 'any'].includes(term.value)) {
+            term.duration = parseDuration(value);
+            if (term.duration === null) {
+                throw new QuerySyntaxError(`"${value}" is not a duration`, position);
+            }
+        }
+        groups[groups.length - 1].push(term);
+    });
+
+    return { groups: groups.filter((group, index) => group.length > 0 || index === 0), sort };
+}
+
+/**
+ * Whether a parsed query filters anything
+ * @param {Object} query - From `parseTaskQuery`
+ * @returns {boolean}
+ */
+export function isEmptyQuery(query) {
+    return query.groups.every(group => group.length === 0);
+}
+
+/**
+ * Build a predicate for a parsed query
+ * @param {Object} query - From `parseTaskQuery`
+ * @param {Object} context
+ * @param {Workflow} context.workflow - Status definitions
+ * @param {Map} context.tasksById - All tasks, for ancestors
+ * @param {Function} context.getEffectiveStatus - Displayed status of a task
+ * @param {number} [context.now] - Current timestamp
+ * @returns {Function} `(task) => boolean`
+ */
+export function createTaskFilter(query, { workflow, tasksById, getEffectiveStatus, now = Date.now() }) {
+    const today = localDay(now);
+
+    const matchesDate = (date, term) => {
+        if (term.value === 'none') return !date;
+        if (term.value === 'any') return Boolean(date);
+        if (!date) return false;
+
+        const day = localDay(getDueTime(date));
+        const target = parseDay(term.value, now);
+
+        // A bare relative value means "within that window": due:7d is today through 7 days out
+        if (term.operator === '=' && RELATIVE_DAYS.test(term.value)) {
+            return day >= Math.min(today, target) && day <= Math.max(today, target);
+        }
+        return compare(day, term.operator, target);
+    };
+
+    const matchesDuration = (amount, hasValue, term) => {
+        if (term.value === 'none') return !hasValue;
+        if (term.value === 'any') return hasValue;
+        return compare(amount, term.operator, term.duration);
+    };
+
+    const matchesTerm = (task, term) => {
+        switch (term.field) {
+            case 'text':
+                return `${task.title} ${task.description || ''}`.toLowerCase().includes(term.value);
+            case 'title':
+                return task.title.toLowerCase().includes(term.value);
+            case 'status':
+                return [task.status, getEffectiveStatus(task)].some(status => status.toLowerCase() === term.value);
+            case 'tag':
+                return (task.tags || []).some(tag => tag.toLowerCase() === term.value);
+            case 'priority': {
+                if (term.value === 'none') return !task.priority;
+                if (!task.priority) return false;
+                return compare(PRIORITIES.indexOf(task.priority), term.operator, PRIORITIES.indexOf(term.value));
+            }
+            case 'due':
+                return matchesDate(task.dueDate, term);
+            case 'start':
+                return matchesDate(task.startDate, term);
+            case 'estimate':
+                return matchesDuration(getEstimate(task), Boolean(task.estimateMinutes), term);
+            case 'logged':
+                return matchesDuration(getLoggedTime(task), Boolean(task.timeEntries?.length), term);
+            case 'under': {
+                const visited = new Set();
+                let parent = tasksById.get(task.parentId);
+                while (parent && !visited.has(parent.id)) {
+                    if (parent.title.toLowerCase().includes(term.value)) return true;
+                    visited.add(parent.id);
+                    parent = tasksById.get(parent.parentId);
+                }
+                return false;
+            }
+            case 'is':
+                return matchesState(task, term.value);
+            default:
+                return false;
+        }
+    };
+
+    const matchesState = (task, state) => {
+        const category = workflow.getStatus(getEffectiveStatus(task))?.category;
+        switch (state) {
+            case 'done': return workflow.isDone(task.status);
+            case 'open': return !workflow.isDone(task.status);
+            case 'todo':
+            case 'active':
+            case 'blocked':
+                return category === state;
+            case 'overdue':
+                return Boolean(task.dueDate) && !workflow.isDone(task.status) && getDueTime(task.dueDate) < now;
+            case 'pinned': return Boolean(task.pinned);
+            case 'root': return !task.parentId || !tasksById.has(task.parentId);
+            case 'overrun': return Boolean(task.estimateMinutes) && getLoggedTime(task) > getEstimate(task);
+            default: return false;
+        }
+    };
+
+    if (isEmptyQuery(query)) {
+        return () => true;
+    }
+    return (task) => query.groups.some(group =>
+        group.every(term => matchesTerm(task, term) !== term.negated)
+    );
+}
+
+/**
+ * Build a comparator for the query's `sort:` terms. Tasks without the sort
+ * value go last.
+ * @param {Object} query - From `parseTaskQuery`
+ * @param {Workflow} workflow - Status definitions, for status order
+ * @returns {Function|null} Comparator, or null to keep the original order
+ */
+export function createTaskComparator(query, workflow) {
+    if (query.sort.length === 0) return null;
+
+    const statusOrder = workflow.getStatusNames();
+    const valueOf = {
+        priority: task => (task.priority ? PRIORITIES.indexOf(task.priority) : null),
+        due: task => (task.dueDate ? getDueTime(task.dueDate) : null),
+        start: task => (task.startDate ? getDueTime(task.startDate) : null),
+        title: task => task.title.toLowerCase(),
+        created: task => Date.parse(task.created) || null,
+        updated: task => Date.parse(task.updatedAt || task.created) || null,
+        status: task => statusOrder.indexOf(task.status),
+        estimate: task => task.estimateMinutes || null
+    };
+
+    return (a, b) => {
+        for (const { key, descending } of query.sort) {
+            const first = valueOf[key](a);
+            const second = valueOf[key](b);
+            if (first === second) continue;
+            if (first === null) return 1;
+            if (second === null) return -1;
+            const order = first < second ? -1 : 1;
+            return descending ? -order : order;
+        }
+        return 0;
+    };
+}
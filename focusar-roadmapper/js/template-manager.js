@@ -0,0 +1,376 @@
+import { createTaskId } from './task-manager.js';
+import { toLocalDay } from './recurrence.js';
+
+const TEMPLATES_META_KEY = 'templates';
+const TEMPLATE_STRATEGY_PREFIX = 'template:';
+const PLACEHOLDER = /\{\{\s*([\w-]+)\s*\}\}/g;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Replace `{{name}}` placeholders
+ * @param {string} text - Text with placeholders
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} Text with known placeholders filled in; unknown ones are kept
+ */
+function fillPlaceholders(text, values) {
+    return text.replace(PLACEHOLDER, (match, name) => (values[name] !== undefined ? values[name] : match));
+}
+
+/**
+ * Days since the epoch for a date string
+ * @param {string} date - ISO date or date-time
+ * @returns {number} Whole days
+ */
+function toDay(date) {
+    return Math.floor(Date.parse(date) / DAY_MS);
+}
+
+/**
+ * Offers the direct subtasks of a template as a decomposition strategy.
+ * `{{task}}` becomes the title of the task being broken down; other
+ * placeholders are left for the user to fill in the preview.
+ */
+export class TemplateStrategy {
+    constructor(template) {
+        this.template = template;
+        this.label = `Template: ${template.name}`;
+        this.priority = 10;
+    }
+
+    suggest(task) {
+        const [root] = this.template.tasks;
+        const values = { task: task.title };
+
+        return this.template.tasks
+            .filter(item => item.parentKey === root.key)
+            .map(item => ({
+                title: fillPlaceholders(item.title, values),
+                description: item.description ? fillPlaceholders(item.description, values) : undefined
+            }));
+    }
+}
+
+/**
+ * Saves task subtrees as reusable templates and instantiates them again.
+ * Templates live in the task storage's meta store.
+ *
+ * A template is `{ id, name, description, tasks, created, updatedAt }` where
+ * `tasks` lists the subtree root first, each as
+ * `{ key, parentKey, title, description, tags, dependencies, dueOffsetDays }`.
+ * Keys are local to the template; `dependencies` only refers to keys inside it.
+ */
+export class TemplateManager {
+    /**
+     * @param {TaskManager} taskManager - Source of subtrees and target for new tasks
+     */
+    constructor(taskManager) {
+        this.taskManager = taskManager;
+        this.templates = new Map();
+        this.fractalAlgorithm = null;
+    }
+
+    /**
+     * Load saved templates
+     * @returns {Promise<Array>} Templates
+     */
+    async initialize() {
+        try {
+            const storage = await this.taskManager.getStorage();
+            const templates = (await storage.getMeta(TEMPLATES_META_KEY)) || [];
+            this.templates = new Map(templates.map(template => [template.id, template]));
+            this._syncStrategies();
+            return this.getTemplates();
+        } catch (error) {
+            console.error('Error loading templates:', error);
+            throw error;
+        }
+    }
+
+    getTemplates() {
+        return Array.from(this.templates.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getTemplate(id) {
+        return this.templates.get(id);
+    }
+
+    /**
+     * Placeholder names used anywhere in a template
+     * @param {Object} template - Template
+     * @returns {Array<string>} Unique names in order of appearance
+     */
+    getVariables(template) {
+        const names = new Set();
+        template.tasks.forEach(item => {
+            [item.title, item.description || ''].forEach(text => {
+                for (const [, name] of text.matchAll(PLACEHOLDER)) {
+                    names.add(name);
+                }
+            });
+        });
+        return Array.from(names);
+    }
+
+    /**
+     * Describe a task and its descendants as a template. Due dates become
+     * offsets in days from the earliest due date in the subtree.
+     * @param {string} rootId - Root task of the subtree
+     * @param {Object} details - `{ name, description }`
+     * @returns {Object} Unsaved template
+     */
+    createFromSubtree(rootId, { name, description = '' }) {
+        const root = this.taskManager.getTask(rootId);
+        if (!root) {
+            throw new Error('Task not found');
+        }
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Template name is required');
+        }
+
+        const tasks = [root, ...this.taskManager.getDescendants(rootId)];
+        const keys = new Map(tasks.map((task, index) => [task.id, `t${index}`]));
+        const dueDays = tasks.filter(task => task.dueDate).map(task => toDay(task.dueDate));
+        const firstDueDay = dueDays.length ? Math.min(...dueDays) : null;
+
+        const now = new Date().toISOString();
+        return {
+            id: createTaskId(),
+            name: name.trim(),
+            description,
+            tasks: tasks.map(task => ({
+                key: keys.get(task.id),
+                parentKey: task.id === rootId ? null : keys.get(task.parentId),
+                title: task.title,
+                description: task.description || '',
+                tags: task.tags || [],
+                dependencies: (task.dependencies || []).filter(id => keys.has(id)).map(id => keys.get(id)),
+                dueOffsetDays: task.dueDate ? toDay(task.dueDate) - firstDueDay : null
+            })),
+            created: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Add or replace a template
+     * @param {Object} template - Template
+     * @returns {Promise<Object>} Saved template
+     */
+    async saveTemplate(template) {
+        try {
+            const errors = this.getValidationErrors(template);
+            if (errors.length > 0) {
+                throw new Error(errors.join('. '));
+            }
+
+            const saved = { ...template, updatedAt: new Date().toISOString() };
+            await this._persist(new Map(this.templates).set(saved.id, saved));
+            return saved;
+        } catch (error) {
+            console.error('Error saving template:', error);
+            throw error;
+        }
+    }
+
+    async deleteTemplate(id) {
+        try {
+            const templates = new Map(this.templates);
+            if (!templates.delete(id)) {
+                throw new Error('Template not found');
+            }
+            await this._persist(templates);
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check that a template is usable
+     * @param {Object} template - Template
+     * @returns {Array<string>} Problems; empty when valid
+     */
+    getValidationErrors(template) {
+        const errors = [];
+        if (!template || typeof template !== 'object') {
+            return ['Template must be an object'];
+        }
+        if (!template.id) {
+            errors.push('Template ID is required');
+        }
+        if (typeof template.name !== 'string' || template.name.trim() === '') {
+            errors.push('Template name is required');
+        }
+        if (!Array.isArray(template.tasks) || template.tasks.length === 0) {
+            errors.push('Template needs at least one task');
+            return errors;
+        }
+
+        const keys = new Set(template.tasks.map(item => item.key));
+        if (template.tasks[0].parentKey !== null) {
+            errors.push('The first template task must be the root');
+        }
+        if (!template.tasks.every(item => typeof item.title === 'string' && item.title.trim() !== '')) {
+            errors.push('Every template task needs a title');
+        }
+        if (!template.tasks.slice(1).every(item => keys.has(item.parentKey))) {
+            errors.push('Template tasks must belong to the template root');
+        }
+        return errors;
+    }
+
+    /**
+     * Build tasks from a template without adding them
+     * @param {Object} template - Template
+     * @param {Object} [options]
+     * @param {string|null} [options.parentId] - Parent for the new root task
+     * @param {Object} [options.values] - Placeholder values by name
+     * @param {string|Date} [options.startDate] - Date the earliest due date maps to; today when
+     *     omitted. A Date counts as its local calendar day.
+     * @returns {Array} New tasks, parents before children
+     */
+    buildTasks(template, { parentId = null, values = {}, startDate = toLocalDay() } = {}) {
+        const missing = this.getVariables(template).filter(name => !values[name]);
+        if (missing.length > 0) {
+            throw new Error(`Missing value for ${missing.map(name => `{{${name}}}`).join(', ')}`);
+        }
+
+        const ids = new Map(template.tasks.map(item => [item.key, createTaskId()]));
+        const startDay = toDay(startDate instanceof Date ? toLocalDay(startDate) : startDate);
+
+        return template.tasks.map(item => ({
+            id: ids.get(item.key),
+            title: fillPlaceholders(item.title, values),
+            description: fillPlaceholders(item.description || '', values),
+            status: this.taskManager.workflow.initialStatus,
+            ...(item.parentKey ? { parentId: ids.get(item.parentKey) } : parentId ? { parentId } : {}),
+            ...(item.tags?.length ? { tags: [...item.tags] } : {}),
+            ...(item.dependencies?.length ? { dependencies: item.dependencies.map(key => ids.get(key)) } : {}),
+            ...(Number.isInteger(item.dueOffsetDays)
+                ? { dueDate: new Date((startDay + item.dueOffsetDays) * DAY_MS).toISOString().slice(0, 10) }
+                : {})
+        }));
+    }
+
+    /**
+     * Create tasks from a template as one undoable change
+     * @param {string} templateId - Template ID
+     * @param {Object} [options] - See `buildTasks`
+     * @returns {Promise<Array>} Added tasks
+     */
+    async instantiate(templateId, options = {}) {
+        try {
+            const template = this.templates.get(templateId);
+            if (!template) {
+                throw new Error('Template not found');
+            }
+
+            const tasks = this.buildTasks(template, options);
+            return await this.taskManager.addTasks(tasks, `Use template "${template.name}"`);
+        } catch (error) {
+            console.error('Error instantiating template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Serialize all templates for download next to `TaskManager.exportTasks`
+     * @returns {string} JSON string
+     */
+    exportTemplates() {
+        return JSON.stringify({ templates: this.getTemplates() }, null, 2);
+    }
+
+    /**
+     * Whether a JSON file holds templates rather than tasks
+     * @param {string} json - File contents
+     * @returns {boolean}
+     */
+    isTemplateFile(json) {
+        try {
+            return Array.isArray(JSON.parse(json)?.templates);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Add templates from an export. Templates with a known ID replace the saved one.
+     * @param {string} json - JSON from `exportTemplates`
+     * @returns {Promise<Object>} Report with `accepted` IDs and `rejected` `{ name, reason }`
+     */
+    async importTemplates(json) {
+        const report = { accepted: [], rejected: [] };
+
+        let templates;
+        try {
+            templates = JSON.parse(json).templates;
+        } catch (error) {
+            report.rejected.push({ name: null, reason: 'File is not valid JSON' });
+            return report;
+        }
+        if (!Array.isArray(templates)) {
+            report.rejected.push({ name: null, reason: 'Expected a list of templates' });
+            return report;
+        }
+
+        try {
+            const staged = new Map(this.templates);
+            templates.forEach(template => {
+                const errors = this.getValidationErrors(template);
+                if (errors.length > 0) {
+                    report.rejected.push({ name: template?.name ?? null, reason: errors.join('. ') });
+                    return;
+                }
+                staged.set(template.id, template);
+                report.accepted.push(template.id);
+            });
+
+            if (report.accepted.length > 0) {
+                await this._persist(staged);
+            }
+            return report;
+        } catch (error) {
+            console.error('Error importing templates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Offer every template as a decomposition strategy, kept in sync as
+     * templates are saved and deleted
+     * @param {FractalAlgorithm} fractalAlgorithm - Algorithm to register with
+     */
+    registerStrategies(fractalAlgorithm) {
+        this.fractalAlgorithm = fractalAlgorithm;
+        this._syncStrategies();
+    }
+
+    _syncStrategies() {
+        if (!this.fractalAlgorithm) return;
+
+        Array.from(this.fractalAlgorithm.decompositionStrategies.keys())
+            .filter(name => name.startsWith(TEMPLATE_STRATEGY_PREFIX))
+            .forEach(name => this.fractalAlgorithm.unregisterDecompositionStrategy(name));
+
+        this.templates.forEach(template => {
+            this.fractalAlgorithm.registerDecompositionStrategy(
+                `${TEMPLATE_STRATEGY_PREFIX}${template.id}`,
+                new TemplateStrategy(template)
+            );
+        });
+    }
+
+    /**
+     * Save a new set of templates and adopt it once it's stored, so a failed
+     * save leaves the templates as they were
+     * @param {Map} templates - Templates by ID
+     * @returns {Promise<void>}
+     */
+    async _persist(templates) {
+        const storage = await this.taskManager.getStorage();
+        await storage.setMeta(TEMPLATES_META_KEY, Array.from(templates.values()));
+        this.templates = templates;
+        this._syncStrategies();
+    }
+}
@@ -0,0 +1,107 @@
+import { Workflow } from './workflow.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Where a time entry came from; entries without a source predate the field
+ */
+export const TIME_ENTRY_SOURCES = ['timer', 'manual'];
+
+/**
+ * Total logged time on a task, not counting subtasks
+ * @param {Object} task - Task with optional `timeEntries`
+ * @returns {number} Milliseconds
+ */
+export function getLoggedTime(task) {
+    return (task.timeEntries || []).reduce(
+        (total, entry) => total + Math.max(0, Date.parse(entry.end) - Date.parse(entry.start)),
+        0
+    );
+}
+
+/**
+ * A task's own estimate
+ * @param {Object} task - Task with optional `estimateMinutes`
+ * @returns {number} Milliseconds; 0 when not estimated
+ */
+export function getEstimate(task) {
+    return (task.estimateMinutes || 0) * MINUTE_MS;
+}
+
+/**
+ * Estimates and logged time summed up the hierarchy along `parentId`. Each
+ * rollup is `{ estimate, actual, remaining, estimated }` in milliseconds:
+ * `remaining` is the unspent estimate of unfinished tasks, so finishing a task or
+ * overrunning it never makes its parent's remaining effort grow, and
+ * `estimated` says whether any task in the subtree has an estimate.
+ * @param {Array} tasks - Flat list of tasks
+ * @param {Workflow} [workflow] - Decides which statuses are done
+ * @returns {Map<string, Object>} Rollups by task ID
+ */
+export function getTimeRollups(tasks, workflow = new Workflow()) {
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const childrenByParent = new Map();
+    tasks.forEach(task => {
+        if (task.parentId && task.parentId !== task.id && tasksById.has(task.parentId)) {
+            if (!childrenByParent.has(task.parentId)) {
+                childrenByParent.set(task.parentId, []);
+            }
+            childrenByParent.get(task.parentId).push(task);
+        }
+    });
+
+    const rollups = new Map();
+    const visit = (task, path) => {
+        if (rollups.has(task.id)) return rollups.get(task.id);
+
+        const estimate = getEstimate(task);
+        const actual = getLoggedTime(task);
+        const rollup = {
+            estimate,
+            actual,
+            remaining: workflow.isDone(task.status) ? 0 : Math.max(0, estimate - actual),
+            estimated: estimate > 0
+        };
+
+        // Parent cycles can only come from corrupt data; count each task once
+        path.add(task.id);
+        (childrenByParent.get(task.id) || []).forEach(child => {
+            if (path.has(child.id)) return;
+            const childRollup = visit(child, path);
+            rollup.estimate += childRollup.estimate;
+            rollup.actual += childRollup.actual;
+            rollup.remaining += childRollup.remaining;
+            rollup.estimated = rollup.estimated || childRollup.estimated;
+        });
+        path.delete(task.id);
+
+        rollups.set(task.id, rollup);
+        return rollup;
+    };
+    tasks.forEach(task => visit(task, new Set()));
+
+    return rollups;
+}
+
+/**
+ * How far logged time is over the estimate
+ * @param {Object} rollup - Rollup from `getTimeRollups`
+ * @returns {number} Milliseconds over; 0 when on track or not estimated
+ */
+export function getOverrun(rollup) {
+    return rollup.estimate > 0 ? Math.max(0, rollup.actual - rollup.estimate) : 0;
+}
+
+/**
+ * Format a duration as "1h 05m", "12m" or "<1m"
+ * @param {number} ms - Milliseconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(ms) {
+    const minutes = Math.round(ms / MINUTE_MS);
+    if (minutes === 0 && ms > 0) return '<1m';
+    const hours = Math.floor(minutes / 60);
+    return hours > 0
+        ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m`
+        : `${minutes}m`;
+}
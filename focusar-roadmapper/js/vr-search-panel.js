@@ -0,0 +1,308 @@
+const KEY_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const COMMAND_KEYS = [
+    { key: 'clear', label: 'CLEAR', width: 0.3 },
+    { key: ' ', label: 'SPACE', width: 0.6 },
+    { key: 'backspace', label: 'DEL', width: 0.3 },
+    { key: 'close', label: 'CLOSE', width: 0.3 }
+];
+const KEY_SIZE = 0.12;
+const KEY_GAP = 0.015;
+const MAX_RESULTS = 5;
+const MAX_TITLE_LENGTH = 42;
+const PANEL_WIDTH = 1.6;
+const PANEL_HEIGHT = 1.3;
+const PANEL_DISTANCE = 1.2;
+const KEY_COLOR = '#374151';
+const KEY_HOVER_COLOR = '#4F46E5';
+// Controller buttons that open and close the panel
+const TOGGLE_EVENTS = ['xbuttondown', 'menudown'];
+
+/**
+ * Search in VR: a floating panel with a keyboard typed on by pointing a
+ * laser controller (or the mouse cursor) at the keys. Results come from a
+ * `SearchIndex`; picking one is reported through `onSelect`.
+ */
+export class VRSearchPanel {
+    /**
+     * @param {ARController} arController - Owns the scene and camera
+     * @param {SearchIndex} searchIndex - Index to query
+     */
+    constructor(arController, searchIndex) {
+        this.arController = arController;
+        this.searchIndex = searchIndex;
+        this.query = '';
+        this.results = [];
+        this.panel = null;
+        this.toggleButton = null;
+        this.isOpen = false;
+
+        // Called with the task when a result is picked
+        this.onSelect = null;
+    }
+
+    /**
+     * Build the panel and the button that opens it. The button only shows in VR.
+     */
+    attach() {
+        const { scene, cameraRig } = this.arController;
+        if (!scene || this.panel) return;
+
+        this.panel = this.createPanel();
+        scene.appendChild(this.panel);
+
+        this.toggleButton = this.createToggleButton();
+        cameraRig.appendChild(this.toggleButton);
+
+        scene.addEventListener('enter-vr', () => this.setToggleVisible(true));
+        scene.addEventListener('exit-vr', () => {
+            this.setToggleVisible(false);
+            this.close();
+        });
+        TOGGLE_EVENTS.forEach(type => {
+            scene.addEventListener(type, () => {
+                if (this.arController.isVRMode) this.toggle();
+            });
+        });
+    }
+
+    createPanel() {
+        const panel = document.createElement('a-entity');
+        panel.classList.add('vr-search-panel');
+        panel.setAttribute('visible', false);
+
+        const background = document.createElement('a-plane');
+        background.setAttribute('width', PANEL_WIDTH);
+        background.setAttribute('height', PANEL_HEIGHT);
+        background.setAttribute('material', { color: '#111827', opacity: 0.92, transparent: true, shader: 'flat' });
+        panel.appendChild(background);
+
+        const top = PANEL_HEIGHT / 2;
+        const queryText = document.createElement('a-text');
+        queryText.classList.add('vr-search-query');
+        queryText.setAttribute('position', `${-PANEL_WIDTH / 2 + 0.08} ${top - 0.1} 0.01`);
+        queryText.setAttribute('width', 2);
+        queryText.setAttribute('color', '#FFFFFF');
+        panel.appendChild(queryText);
+
+        for (let i = 0; i < MAX_RESULTS; i++) {
+            const row = document.createElement('a-plane');
+            row.classList.add('vr-search-result');
+            row.dataset.resultIndex = i;
+            row.setAttribute('width', PANEL_WIDTH - 0.1);
+            row.setAttribute('height', 0.085);
+            row.setAttribute('position', `0 ${top - 0.23 - i * 0.095} 0.01`);
+            row.setAttribute('material', { color: KEY_COLOR, shader: 'flat' });
+            row.setAttribute('visible', false);
+
+            const label = document.createElement('a-text');
+            label.setAttribute('position', `${-(PANEL_WIDTH - 0.1) / 2 + 0.04} 0 0.01`);
+            label.setAttribute('width', 1.6);
+            label.setAttribute('color', '#E5E7EB');
+            row.appendChild(label);
+            panel.appendChild(row);
+        }
+
+        const keyboardTop = top - 0.23 - MAX_RESULTS * 0.095 - 0.04;
+        KEY_ROWS.forEach((keys, rowIndex) => {
+            const rowWidth = keys.length * (KEY_SIZE + KEY_GAP) - KEY_GAP;
+            Array.from(keys).forEach((key, index) => {
+                panel.appendChild(this.createKey({ key, label: key.toUpperCase(), width: KEY_SIZE }, {
+                    x: -rowWidth / 2 + index * (KEY_SIZE + KEY_GAP) + KEY_SIZE / 2,
+                    y: keyboardTop - rowIndex * (KEY_SIZE + KEY_GAP)
+                }));
+            });
+        });
+
+        const commandsWidth = COMMAND_KEYS.reduce((total, { width }) => total + width + KEY_GAP, -KEY_GAP);
+        let x = -commandsWidth / 2;
+        COMMAND_KEYS.forEach(command => {
+            panel.appendChild(this.createKey(command, {
+                x: x + command.width / 2,
+                y: keyboardTop - KEY_ROWS.length * (KEY_SIZE + KEY_GAP)
+            }));
+            x += command.width + KEY_GAP;
+        });
+
+        // Keys and results handle their own events through delegation
+        panel.addEventListener('click', (event) => this.handleClick(event.target));
+        panel.addEventListener('mouseenter', (event) => this.setHover(event.target, true));
+        panel.addEventListener('mouseleave', (event) => this.setHover(event.target, false));
+
+        return panel;
+    }
+
+    /**
+     * @param {Object} key - `{ key, label, width }`
+     * @param {Object} position - Center of the key on the panel
+     * @returns {Element} Key entity
+     */
+    createKey({ key, label, width }, { x, y }) {
+        const button = document.createElement('a-plane');
+        button.classList.add('vr-search-key');
+        button.dataset.key = key;
+        button.setAttribute('width', width);
+        button.setAttribute('height', KEY_SIZE);
+        button.setAttribute('position', `${x} ${y} 0.01`);
+        button.setAttribute('material', { color: KEY_COLOR, shader: 'flat' });
+
+        const text = document.createElement('a-text');
+        text.setAttribute('value', label);
+        text.setAttribute('align', 'center');
+        text.setAttribute('width', label.length > 1 ? 1 : 1.4);
+        text.setAttribute('position', '0 0 0.01');
+        text.setAttribute('color', '#FFFFFF');
+        button.appendChild(text);
+
+        return button;
+    }
+
+    createToggleButton() {
+        const button = document.createElement('a-entity');
+        button.classList.add('vr-search-toggle');
+        button.setAttribute('position', '-0.45 -0.45 -0.9');
+        button.setAttribute('visible', false);
+
+        const disc = document.createElement('a-circle');
+        disc.classList.add('vr-search-toggle-disc');
+        disc.setAttribute('radius', 0.07);
+        disc.setAttribute('material', { color: '#4F46E5', shader: 'flat', side: 'double' });
+        disc.addEventListener('click', () => this.toggle());
+        button.appendChild(disc);
+
+        // Magnifying glass drawn from a ring and a handle
+        const lens = document.createElement('a-ring');
+        lens.setAttribute('radius-inner', 0.022);
+        lens.setAttribute('radius-outer', 0.032);
+        lens.setAttribute('position', '0.008 0.008 0.005');
+        lens.setAttribute('material', { color: '#FFFFFF', shader: 'flat' });
+        button.appendChild(lens);
+
+        const handle = document.createElement('a-plane');
+        handle.setAttribute('width', 0.012);
+        handle.setAttribute('height', 0.035);
+        handle.setAttribute('position', '-0.026 -0.026 0.005');
+        handle.setAttribute('rotation', '0 0 45');
+        handle.setAttribute('material', { color: '#FFFFFF', shader: 'flat' });
+        button.appendChild(handle);
+
+        return button;
+    }
+
+    setToggleVisible(visible) {
+        this.toggleButton.setAttribute('visible', visible);
+        this.toggleButton.querySelector('.vr-search-toggle-disc').classList.toggle('clickable', visible);
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the panel in front of the viewer, level with their gaze
+     */
+    open() {
+        if (!this.panel) return;
+
+        const head = this.arController.camera.object3D;
+        const eye = head.getWorldPosition(new THREE.Vector3());
+        // Entities face +z, so the view direction is the reverse of their world direction
+        const forward = head.getWorldDirection(new THREE.Vector3()).negate().setY(0);
+        if (forward.lengthSq() === 0) {
+            forward.set(0, 0, -1);
+        }
+        forward.normalize();
+
+        this.panel.object3D.position.copy(eye).addScaledVector(forward, PANEL_DISTANCE);
+        this.panel.object3D.position.y -= 0.15;
+        this.panel.object3D.lookAt(eye.x, this.panel.object3D.position.y, eye.z);
+        this.panel.setAttribute('visible', true);
+        this.panel.querySelectorAll('.vr-search-key').forEach(key => key.classList.add('clickable'));
+        this.isOpen = true;
+        this.render();
+    }
+
+    close() {
+        if (!this.panel || !this.isOpen) return;
+        this.panel.setAttribute('visible', false);
+        // Hidden entities still catch the laser
+        this.panel.querySelectorAll('.clickable').forEach(el => el.classList.remove('clickable'));
+        this.isOpen = false;
+    }
+
+    /**
+     * Apply one key press
+     * @param {string} key - Character, or 'backspace', 'clear' or 'close'
+     */
+    press(key) {
+        switch (key) {
+            case 'close':
+                this.close();
+                return;
+            case 'clear':
+                this.query = '';
+                break;
+            case 'backspace':
+                this.query = this.query.slice(0, -1);
+                break;
+            default:
+                this.query += key;
+        }
+        this.refresh();
+    }
+
+    /**
+     * Re-run the search, e.g. after tasks change
+     */
+    refresh() {
+        this.results = this.searchIndex.search(this.query, { limit: MAX_RESULTS });
+        if (this.isOpen) {
+            this.render();
+        }
+    }
+
+    render() {
+        const placeholder = this.query ? '' : 'Point at the keys to search';
+        const queryText = this.panel.querySelector('.vr-search-query');
+        queryText.setAttribute('value', this.query ? `${this.query}_` : placeholder);
+        queryText.setAttribute('color', this.query ? '#FFFFFF' : '#9CA3AF');
+
+        this.panel.querySelectorAll('.vr-search-result').forEach((row, index) => {
+            const result = this.results[index];
+            row.setAttribute('visible', Boolean(result));
+            row.classList.toggle('clickable', Boolean(result));
+            if (!result) return;
+
+            const title = result.task.title.length > MAX_TITLE_LENGTH
+                ? `${result.task.title.slice(0, MAX_TITLE_LENGTH - 1)}…`
+                : result.task.title;
+            row.querySelector('a-text').setAttribute('value', title);
+        });
+    }
+
+    /**
+     * @param {Element} target - Element the cursor or laser clicked
+     */
+    handleClick(target) {
+        const key = target.closest('[data-key]');
+        if (key) {
+            this.press(key.dataset.key);
+            return;
+        }
+
+        const row = target.closest('[data-result-index]');
+        const result = row && this.results[Number(row.dataset.resultIndex)];
+        if (result) {
+            this.close();
+            this.onSelect?.(result.task);
+        }
+    }
+
+    setHover(target, hovered) {
+        const button = target.closest('.vr-search-key, .vr-search-result');
+        button?.setAttribute('material', 'color', hovered ? KEY_HOVER_COLOR : KEY_COLOR);
+    }
+}
@@ -0,0 +1,230 @@
+const STATUS_CATEGORIES = ['todo', 'active', 'done', 'blocked'];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * The statuses FocusAR ships with. Each status has a display `color` (hex),
+ * a Font Awesome `icon`, a Markdown checklist `marker` and a `category`:
+ * - `todo`: not started; the first one is given to new tasks
+ * - `active`: being worked on; the first one is where focus sessions move tasks
+ * - `done`: finished; satisfies dependencies and stops reminders
+ * - `blocked`: the first one is shown for tasks waiting on a prerequisite
+ *
+ * `transitions` lists the statuses each status may move to. Statuses missing
+ * from `transitions` may move anywhere. Routines are the exception: finishing
+ * an occurrence resets them to the initial status (see `TaskManager.updateTask`).
+ */
+export const DEFAULT_WORKFLOW = {
+    statuses: [
+        { name: 'Not Started', color: '#808080', icon: 'fa-circle', marker: ' ', category: 'todo' },
+        { name: 'In Progress', color: '#4F46E5', icon: 'fa-spinner', marker: '/', category: 'active' },
+        { name: 'In Review', color: '#D97706', icon: 'fa-eye', marker: '?', category: 'active' },
+        { name: 'Completed', color: '#22C55E', icon: 'fa-check-circle', marker: 'x', category: 'done' },
+        { name: 'Blocked', color: '#EF4444', icon: 'fa-ban', marker: '!', category: 'blocked' },
+        { name: 'Deferred', color: '#64748B', icon: 'fa-pause-circle', marker: '-', category: 'todo' }
+    ],
+    transitions: {
+        'Not Started': ['In Progress', 'Completed', 'Blocked', 'Deferred'],
+        'In Progress': ['Not Started', 'In Review', 'Completed', 'Blocked', 'Deferred'],
+        'In Review': ['In Progress', 'Completed'],
+        'Completed': ['In Progress'],
+        'Blocked': ['Not Started', 'In Progress', 'Deferred'],
+        'Deferred': ['Not Started', 'In Progress']
+    }
+};
+
+/**
+ * Check a workflow definition
+ * @param {Object} definition - `{ statuses, transitions }`, see `DEFAULT_WORKFLOW`
+ * @returns {Array<string>} Problems; empty when valid
+ */
+export function getWorkflowErrors(definition) {
+    if (!definition || !Array.isArray(definition.statuses) || definition.statuses.length === 0) {
+        return ['A workflow needs at least one status'];
+    }
+
+    const errors = [];
+    const names = definition.statuses.map(status => status?.name);
+    if (!names.every(name => typeof name === 'string' && name.trim() !== '')) {
+        errors.push('Every status needs a name');
+    }
+    if (new Set(names).size !== names.length) {
+        errors.push('Status names must be unique');
+    }
+    if (!definition.statuses.every(status => HEX_COLOR.test(status?.color))) {
+        errors.push('Status colors must be hex colors like #4F46E5');
+    }
+    if (!definition.statuses.every(status => STATUS_CATEGORIES.includes(status?.category))) {
+        errors.push(`Status categories must be one of: ${STATUS_CATEGORIES.join(', ')}`);
+    }
+    if (!definition.statuses.some(status => status?.category === 'todo')) {
+        errors.push('A workflow needs a todo status for new tasks');
+    }
+    if (!definition.statuses.some(status => status?.category === 'done')) {
+        errors.push('A workflow needs a done status');
+    }
+
+    const markers = definition.statuses.map(status => status?.marker).filter(marker => marker !== undefined);
+    if (!markers.every(marker => typeof marker === 'string' && marker.length === 1 && marker !== ']')) {
+        errors.push('Checklist markers must be a single character');
+    } else if (new Set(markers.map(marker => marker.toLowerCase())).size !== markers.length) {
+        errors.push('Checklist markers must be unique');
+    }
+
+    Object.entries(definition.transitions || {}).forEach(([from, targets]) => {
+        if (!names.includes(from)) {
+            errors.push(`Transitions refer to an unknown status: ${from}`);
+        } else if (!Array.isArray(targets) || !targets.every(target => names.includes(target))) {
+            errors.push(`Transitions from ${from} must list known statuses`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Statuses and the rules for moving between them. One instance is shared by
+ * everything that shows or checks statuses; `update` swaps the definition in
+ * place so holders of the instance see the change.
+ */
+export class Workflow {
+    /**
+     * @param {Object} [definition] - See `DEFAULT_WORKFLOW`
+     */
+    constructor(definition = DEFAULT_WORKFLOW) {
+        this.update(definition);
+    }
+
+    /**
+     * Replace the definition
+     * @param {Object} definition - See `DEFAULT_WORKFLOW`
+     */
+    update(definition) {
+        const errors = getWorkflowErrors(definition);
+        if (errors.length > 0) {
+            throw new Error(errors.join('. '));
+        }
+
+        this.statuses = definition.statuses.map(status => ({ ...status }));
+        this.transitions = Object.fromEntries(
+            Object.entries(definition.transitions || {}).map(([from, targets]) => [from, [...targets]])
+        );
+        this.byName = new Map(this.statuses.map(status => [status.name, status]));
+    }
+
+    /**
+     * Plain definition for storage and export
+     * @returns {Object} `{ statuses, transitions }`
+     */
+    toJSON() {
+        return { statuses: this.statuses, transitions: this.transitions };
+    }
+
+    getStatusNames() {
+        return this.statuses.map(status => status.name);
+    }
+
+    getStatus(name) {
+        return this.byName.get(name) || null;
+    }
+
+    isValidStatus(name) {
+        return this.byName.has(name);
+    }
+
+    isDone(name) {
+        return this.byName.get(name)?.category === 'done';
+    }
+
+    /**
+     * Status for new tasks
+     * @returns {string} First todo status
+     */
+    get initialStatus() {
+        return this._firstOf('todo');
+    }
+
+    /**
+     * Status that starting work moves a task to
+     * @returns {string|null} First active status
+     */
+    get activeStatus() {
+        return this._firstOf('active');
+    }
+
+    /**
+     * Status shown for tasks waiting on a prerequisite
+     * @returns {string|null} First blocked status
+     */
+    get blockedStatus() {
+        return this._firstOf('blocked');
+    }
+
+    /**
+     * Status for finished work, e.g. checked items in imported checklists
+     * @returns {string} First done status
+     */
+    get doneStatus() {
+        return this._firstOf('done');
+    }
+
+    /**
+     * Whether a task may move between two statuses. Tasks in a status the
+     * workflow no longer knows may move to any status.
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     * @returns {boolean}
+     */
+    canTransition(from, to) {
+        if (from === to) return true;
+        if (!this.isValidStatus(to)) return false;
+        if (!this.isValidStatus(from) || !this.transitions[from]) return true;
+        return this.transitions[from].includes(to);
+    }
+
+    /**
+     * Statuses a task may move to
+     * @param {string} from - Current status
+     * @returns {Array<string>} Status names, in workflow order, excluding `from`
+     */
+    getAllowedTransitions(from) {
+        return this.getStatusNames().filter(name => name !== from && this.canTransition(from, name));
+    }
+
+    /**
+     * Display color for a status
+     * @param {string} name - Status name
+     * @returns {string} Hex color; gray for unknown statuses
+     */
+    getColor(name) {
+        return this.byName.get(name)?.color || '#808080';
+    }
+
+    getIcon(name) {
+        return this.byName.get(name)?.icon || 'fa-circle';
+    }
+
+    /**
+     * Markdown checklist marker for a status
+     * @param {string} name - Status name
+     * @returns {string} Single character; 'x' for done and ' ' for other statuses without one
+     */
+    getMarker(name) {
+        const status = this.byName.get(name);
+        return status?.marker ?? (status?.category === 'done' ? 'x' : ' ');
+    }
+
+    /**
+     * Status for a Markdown checklist marker
+     * @param {string} marker - Character between the brackets
+     * @returns {string} Status name; the initial status for unknown markers
+     */
+    getStatusForMarker(marker) {
+        const match = this.statuses.find(status => status.marker?.toLowerCase() === marker.toLowerCase());
+        if (match) return match.name;
+        return marker.toLowerCase() === 'x' ? this.doneStatus : this.initialStatus;
+    }
+
+    _firstOf(category) {
+        return this.statuses.find(status => status.category === category)?.name ?? null;
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * Local relay for FocusAR collaboration sessions. No dependencies: a minimal
+ * WebSocket server that forwards every text message to the other clients in
+ * the same room. The room is the URL path, so ws://localhost:8788/team-plan
+ * joins "team-plan". The relay keeps no task data; clients exchange state
+ * when they join.
+ *
+ *   node server/collab-relay.mjs [--port 8788] [--host 127.0.0.1]
+ *
+ * There is no authentication: bind it to localhost or put it behind a proxy
+ * that adds some.
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { parseArgs } from 'node:util';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: process.env.PORT || '8788' },
+        host: { type: 'string', default: '127.0.0.1' }
+    }
+});
+
+// Room name -> Set of client sockets
+const rooms = new Map();
+
+/**
+ * Build an unmasked server frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read complete frames off the front of a buffer
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object} `{ frames, rest }` where `rest` is an incomplete frame, or
+ *     `{ error }` for a frame the relay won't accept
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        let length = second & 0x7f;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            return { error: 1009 };
+        }
+        // Clients must mask what they send
+        if (!(second & 0x80)) {
+            return { error: 1002 };
+        }
+        if (buffer.length < cursor + 4 + length) break;
+
+        const mask = buffer.subarray(cursor, cursor + 4);
+        const payload = Buffer.from(buffer.subarray(cursor + 4, cursor + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ fin: Boolean(first & 0x80), opcode: first & 0x0f, payload });
+        offset = cursor + 4 + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function close(socket, code = 1000) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    if (socket.writable) {
+        socket.end(encodeFrame(OPCODES.close, payload));
+    }
+}
+
+function broadcast(room, sender, text) {
+    const frame = encodeFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+    rooms.get(room)?.forEach(client => {
+        if (client !== sender && client.writable) {
+            client.write(frame);
+        }
+    });
+}
+
+function join(room, socket) {
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    rooms.get(room).add(socket);
+
+    let buffered = Buffer.alloc(0);
+    let fragments = null;
+    let fragmentBytes = 0;
+
+    socket.on('data', chunk => {
+        const decoded = decodeFrames(Buffer.concat([buffered, chunk]));
+        if (decoded.error) {
+            close(socket, decoded.error);
+            return;
+        }
+        buffered = decoded.rest;
+
+        for (const { fin, opcode, payload } of decoded.frames) {
+            switch (opcode) {
+                case OPCODES.text:
+                case OPCODES.continuation: {
+                    if (opcode === OPCODES.text) {
+                        fragments = [];
+                        fragmentBytes = 0;
+                    }
+                    // The limit applies to whole messages, not just single frames
+                    fragmentBytes += payload.length;
+                    if (!fragments || fragmentBytes > MAX_MESSAGE_BYTES) {
+                        close(socket, fragments ? 1009 : 1002);
+                        return;
+                    }
+                    fragments.push(payload);
+                    if (fin) {
+                        broadcast(room, socket, Buffer.concat(fragments).toString('utf8'));
+                        fragments = null;
+                    }
+                    break;
+                }
+                case OPCODES.ping:
+                    socket.write(encodeFrame(OPCODES.pong, payload));
+                    break;
+                case OPCODES.close:
+                    close(socket);
+                    break;
+                case OPCODES.pong:
+                    break;
+                default:
+                    // Binary frames aren't part of the protocol
+                    close(socket, 1003);
+                    return;
+            }
+        }
+    });
+
+    const leave = () => {
+        const clients = rooms.get(room);
+        clients?.delete(socket);
+        if (clients?.size === 0) rooms.delete(room);
+    };
+    socket.on('close', leave);
+    socket.on('error', leave);
+}
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('FocusAR collaboration relay: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    let room;
+    try {
+        room = decodeURIComponent(new URL(request.url, 'http://localhost').pathname.slice(1)) || 'default';
+    } catch (error) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    join(room, socket);
+});
+
+server.listen(Number(options.port), options.host, () => {
+    console.log(`FocusAR collaboration relay listening on ws://${options.host}:${options.port}/<room>`);
+});
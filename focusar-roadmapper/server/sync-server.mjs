@@ -0,0 +1,129 @@
+/**
+ * Reference sync server for FocusAR Roadmapper. No dependencies; keeps the
+ * winning version of every task in memory and, with --data, in a JSON file.
+ *
+ *   node server/sync-server.mjs [--port 8787] [--host 127.0.0.1] [--data sync-data.json]
+ *
+ * The app's modules are ES modules without a package.json, so Node 20 needs
+ * --experimental-detect-module to load them; Node 22 and later detect them.
+ *
+ * Endpoints, both JSON:
+ * - POST /push with `{ records }` answers `{ accepted, rejected, cursor }`
+ * - GET /changes?since=<cursor> answers `{ records, cursor }`
+ *
+ * There is no authentication: bind it to localhost or put it behind a proxy
+ * that adds some.
+ */
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { SyncStore } from '../js/sync.js';
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: process.env.PORT || '8787' },
+        host: { type: 'string', default: '127.0.0.1' },
+        data: { type: 'string' }
+    }
+});
+
+async function loadStore(path) {
+    if (!path) return new SyncStore();
+    try {
+        return new SyncStore(JSON.parse(await readFile(path, 'utf8')));
+    } catch (error) {
+        if (error.code === 'ENOENT') return new SyncStore();
+        throw error;
+    }
+}
+
+// Writes are chained so a slow write never overlaps the next one. Each
+// write holds the whole store, so one that fails is made up by the next.
+let saving = Promise.resolve();
+function saveStore(store, path) {
+    if (!path) return saving;
+    saving = saving.catch(() => {}).then(async () => {
+        const temporary = `${path}.tmp`;
+        await writeFile(temporary, JSON.stringify(store));
+        await rename(temporary, path);
+    });
+    return saving;
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        // The app is usually served from another origin
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+const store = await loadStore(options.data);
+
+const server = createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    try {
+        if (request.method === 'OPTIONS') {
+            send(response, 204);
+        } else if (request.method === 'POST' && url.pathname === '/push') {
+            let payload;
+            try {
+                payload = JSON.parse(await readBody(request));
+            } catch (error) {
+                if (error.status) throw error;
+                send(response, 400, { error: 'Body is not valid JSON' });
+                return;
+            }
+            if (!Array.isArray(payload?.records)) {
+                send(response, 400, { error: 'Expected { records: [...] }' });
+                return;
+            }
+
+            const result = store.push(payload.records);
+            if (result.accepted.length > 0) {
+                await saveStore(store, options.data);
+            }
+            send(response, 200, result);
+        } else if (request.method === 'GET' && url.pathname === '/changes') {
+            const since = Number(url.searchParams.get('since') || 0);
+            if (!Number.isInteger(since) || since < 0) {
+                send(response, 400, { error: 'since must be a sequence number' });
+                return;
+            }
+            send(response, 200, store.pull(since));
+        } else {
+            send(response, 404, { error: 'Not found' });
+        }
+    } catch (error) {
+        console.error('Error handling sync request:', error);
+        send(response, error.status || 500, { error: error.status ? error.message : 'Internal error' });
+    }
+});
+
+server.listen(Number(options.port), options.host, () => {
+    console.log(`FocusAR sync server listening on http://${options.host}:${options.port}`);
+});
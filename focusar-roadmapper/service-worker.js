@@ -1,4 +1,4 @@
-const CACHE_NAME = 'focusar-cache-v1';
+const CACHE_NAME = 'focusar-cache-v2';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
@@ -7,6 +7,28 @@ const ASSETS_TO_CACHE = [
     '/js/ar-controller.js',
     '/js/fractal.js',
     '/js/task-manager.js',
+    '/js/storage.js',
+    '/js/command-history.js',
+    '/js/task-formats.js',
+    '/js/lod-manager.js',
+    '/js/layouts.js',
+    '/js/drag-controls.js',
+    '/js/decomposition.js',
+    '/js/template-manager.js',
+    '/js/reminders.js',
+    '/js/focus-session.js',
+    '/js/time-tracking.js',
+    '/js/workflow.js',
+    '/js/task-query.js',
+    '/js/saved-views.js',
+    '/js/search-index.js',
+    '/js/vr-search-panel.js',
+    '/js/revisions.js',
+    '/js/sync.js',
+    '/js/collaboration.js',
+    '/js/tab-channel.js',
+    '/js/recurrence.js',
+    '/js/checklist.js',
     'https://cdn.tailwindcss.com',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css',
     'https://aframe.io/releases/1.2.0/aframe.min.js',
@@ -14,6 +36,16 @@ const ASSETS_TO_CACHE = [
     'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js'
 ];
 
+const REMINDER_DB_NAME = 'focusar-reminders';
+const REMINDER_SYNC_TAG = 'focusar-reminders';
+// Reminder notifications are tagged with this and the reminder ID, so they can
+// be told apart from push notifications
+const REMINDER_TAG_PREFIX = 'reminder:';
+// Reminders missed by more than this (device off, browser closed) are dropped
+const MISSED_REMINDER_GRACE_MS = 24 * 60 * 60 * 1000;
+const NOTIFICATION_ICON = 'assets/icons/icon-192x192.png';
+const NOTIFICATION_BADGE = 'assets/icons/badge-72x72.png';
+
 // Install Service Worker
 self.addEventListener('install', (event) => {
     event.waitUntil(
@@ -40,12 +72,19 @@ self.addEventListener('activate', (event) => {
             );
         }).then(() => {
             return self.clients.claim();
+        }).then(() => {
+            return checkReminders();
         })
     );
 });
 
 // Fetch Event Handler
 self.addEventListener('fetch', (event) => {
+    // Sync traffic and other writes always go to the network
+    if (event.request.method !== 'GET' || event.request.cache === 'no-store') {
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then((response) => {
@@ -86,19 +125,28 @@ self.addEventListener('fetch', (event) => {
 
 // Handle Push Notifications
 self.addEventListener('push', (event) => {
+    // Payloads are plain text, or JSON with `body` and an optional `taskId`
+    let payload;
+    try {
+        payload = event.data.json();
+    } catch (error) {
+        payload = { body: event.data.text() };
+    }
+
     const options = {
-        body: event.data.text(),
-        icon: 'assets/icons/icon-192x192.png',
-        badge: 'assets/icons/badge-72x72.png',
+        body: payload.body,
+        icon: NOTIFICATION_ICON,
+        badge: NOTIFICATION_BADGE,
         vibrate: [100, 50, 100],
         data: {
             dateOfArrival: Date.now(),
-            primaryKey: 1
+            primaryKey: 1,
+            taskId: payload.taskId
         }
     };
 
     event.waitUntil(
-        self.registration.showNotification('FocusAR Roadmapper', options)
+        self.registration.showNotification(payload.title || 'FocusAR Roadmapper', options)
     );
 });
 
@@ -106,7 +154,164 @@ self.addEventListener('push', (event) => {
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
 
+    const taskId = event.notification.data && event.notification.data.taskId;
+    const url = taskId ? `/?task=${encodeURIComponent(taskId)}` : '/';
+
+    // Reuse an open window when there is one; it focuses the task itself
     event.waitUntil(
-        clients.openWindow('/')
+        clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+            const client = windowClients[0];
+            if (!client) {
+                return clients.openWindow(url);
+            }
+            if (taskId) {
+                client.postMessage({ type: 'focus-task', taskId });
+            }
+            return client.focus();
+        })
     );
 });
+
+// Reminder schedule from the app
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'schedule-reminders') {
+        event.waitUntil(queueReminderWork(() => scheduleReminders(message.reminders || [])));
+    } else if (message.type === 'check-reminders') {
+        event.waitUntil(queueReminderWork(checkReminders));
+    }
+});
+
+// Periodic wake-ups while the app is closed, where supported
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        event.waitUntil(queueReminderWork(checkReminders));
+    }
+});
+
+// Reminder state is read, changed and written back; one update at a time keeps
+// a schedule change and a check from both showing the same reminder
+let reminderQueue = Promise.resolve();
+
+function queueReminderWork(work) {
+    const run = reminderQueue.then(work);
+    reminderQueue = run.catch(() => {});
+    return run;
+}
+
+function openReminderDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(REMINDER_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('state');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function readReminderState(key) {
+    const db = await openReminderDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = db.transaction('state', 'readonly').objectStore('state').get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+async function writeReminderState(key, value) {
+    const db = await openReminderDB();
+    try {
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction('state', 'readwrite');
+            transaction.objectStore('state').put(value, key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+function supportsNotificationTriggers() {
+    return 'showTrigger' in Notification.prototype && typeof TimestampTrigger !== 'undefined';
+}
+
+function showReminder(reminder, extraOptions = {}) {
+    return self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: `${REMINDER_TAG_PREFIX}${reminder.id}`,
+        icon: NOTIFICATION_ICON,
+        badge: NOTIFICATION_BADGE,
+        data: { taskId: reminder.taskId },
+        ...extraOptions
+    });
+}
+
+/**
+ * Store the schedule and, with Notification Triggers, hand future reminders
+ * to the browser. Reminders it already owns count as fired for `checkReminders`.
+ * @param {Array} reminders - `{ id, taskId, title, body, at }` from the app
+ */
+async function scheduleReminders(reminders) {
+    try {
+        const previous = (await readReminderState('schedule')) || [];
+        await writeReminderState('schedule', reminders);
+
+        if (supportsNotificationTriggers() && Notification.permission === 'granted') {
+            const ids = new Set(reminders.map(reminder => reminder.id));
+            const fired = new Set((await readReminderState('fired')) || []);
+
+            // Cancel triggers for reminders that were removed or moved, leaving
+            // push notifications and reminders already on screen alone
+            const now = Date.now();
+            const cancelled = new Set(previous
+                .filter(reminder => reminder.at > now && !ids.has(reminder.id))
+                .map(reminder => `${REMINDER_TAG_PREFIX}${reminder.id}`));
+            const pending = await self.registration.getNotifications({ includeTriggered: true });
+            pending.filter(notification => cancelled.has(notification.tag)).forEach(notification => notification.close());
+
+            const upcoming = reminders.filter(reminder => reminder.at > now && !fired.has(reminder.id));
+            await Promise.all(upcoming.map(reminder => showReminder(reminder, {
+                showTrigger: new TimestampTrigger(reminder.at)
+            })));
+
+            upcoming.forEach(reminder => fired.add(reminder.id));
+            await writeReminderState('fired', Array.from(fired));
+        }
+
+        await checkReminders();
+    } catch (error) {
+        console.error('Error scheduling reminders:', error);
+    }
+}
+
+/**
+ * Show reminders that are due and haven't been shown yet
+ */
+async function checkReminders() {
+    try {
+        if (Notification.permission !== 'granted') return;
+
+        const schedule = (await readReminderState('schedule')) || [];
+        const fired = new Set((await readReminderState('fired')) || []);
+        const now = Date.now();
+
+        const due = schedule.filter(reminder =>
+            reminder.at <= now &&
+            now - reminder.at < MISSED_REMINDER_GRACE_MS &&
+            !fired.has(reminder.id)
+        );
+        await Promise.all(due.map(reminder => showReminder(reminder)));
+        due.forEach(reminder => fired.add(reminder.id));
+
+        // Forget reminders that are no longer scheduled
+        const scheduled = new Set(schedule.map(reminder => reminder.id));
+        await writeReminderState('fired', Array.from(fired).filter(id => scheduled.has(id)));
+    } catch (error) {
+        console.error('Error checking reminders:', error);
+    }
+}